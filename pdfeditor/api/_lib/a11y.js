@@ -0,0 +1,693 @@
+// /api/_lib/a11y.js
+// Accessibility audit of generated code. The markup is parsed with htmlparser2 and the CSS with postcss, and a small
+// cascade (type / class / id / attribute selectors, descendant and sibling combinators, specificity, inheritance,
+// var()) resolves each element's text colour, backdrop and font size — enough for the self-contained output the model
+// writes, without a browser. Rules:
+//   contrast       WCAG 2 AA for text on its resolved background: 4.5:1, 3:1 for large text (24px, or 18.66px bold)
+//   label          form fields, buttons and links without an accessible name (a placeholder is not one)
+//   alt            <img> / <input type="image"> without alt; unlabelled <svg> / role="img"
+//   heading_order  skipped heading levels; in a document also a missing or repeated <h1>
+//   focus_visible  outline removed from focusable elements with no :focus / :focus-visible style in its place
+// auditAccessibility({ css, html, scope?, document?, baseCss?, fix? }) → { css, html, report }. With `document` the CSS is
+// the <style> content of `html` (css is ignored); baseCss only resolves var() (a brand kit's :root). fix: true moves
+// failing text colours to the nearest passing shade, restores focus outlines and adds missing aria-label / alt text
+// where the element itself says what it is (placeholder, name, id, class; the type of a submit / reset input). A
+// field, button or image with nothing to go on is left as an unfixed error rather than given a placeholder name;
+// headings are reported only, since retagging them would break the CSS.
+// report: { passed, counts: { error, warning, info }, issues: [{ rule, severity, message, element?, …, fixed?, fix? }] }
+// — `passed` when no error is left unfixed.
+
+import postcss from "postcss";
+import { DomUtils } from "htmlparser2";
+import { parseHtml } from "./sanitize.js";
+import { colorToHex, parseColor } from "./tokens.js";
+
+const SEVERITIES = ["error", "warning", "info"];
+const AA_NORMAL = 4.5;
+const AA_LARGE = 3;
+const MAX_FIX_ROUNDS = 8;
+const FOCUS_RING = "2px solid currentColor";
+
+const STATE_PSEUDOS = new Set(["hover", "focus", "focus-visible", "focus-within", "active", "visited", "checked", "disabled", "target"]);
+const HEADING_SCALE = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67 };
+const BOLD_TAGS = new Set(["h1", "h2", "h3", "h4", "h5", "h6", "b", "strong", "th"]);
+const SKIP_TAGS = new Set(["head", "style", "script", "template", "noscript", "title", "meta", "link"]);
+const FIELD_TAGS = new Set(["input", "select", "textarea"]);
+const UNLABELLED_INPUTS = new Set(["hidden", "submit", "button", "reset", "image"]);
+const DEFAULT_FG = [0, 0, 0, 1];
+const DEFAULT_BG = [255, 255, 255, 1];
+
+/* ---------------- colour ---------------- */
+
+function luminance([r, g, b]) {
+  const lin = (c) => (c /= 255) <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+export function contrastRatio(fg, bg) {
+  const [a, b] = [luminance(fg), luminance(bg)].sort((x, y) => y - x);
+  return (a + 0.05) / (b + 0.05);
+}
+
+// Colour with alpha composited over an opaque backdrop.
+function over([r, g, b, a], [br, bg, bb]) {
+  return [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a), 1].map((v, i) => (i < 3 ? Math.round(v) : v));
+}
+
+const mix = (c, target, t) => [...c.slice(0, 3).map((v, i) => Math.round(v + (target[i] - v) * t)), c[3]];
+
+// The closest tint or shade of `fg` (mixed toward white or black, alpha kept) that reaches `required` on `bg`.
+function nearestPassing(fg, bg, required) {
+  let best = null;
+  for (const target of [[0, 0, 0], [255, 255, 255]]) {
+    for (let t = 0.01; t <= 1.0001; t += 0.01) {
+      const candidate = mix(fg, target, t);
+      if (contrastRatio(over(candidate, bg), bg) >= required) {
+        if (!best || t < best.t) best = { t, color: candidate };
+        break;
+      }
+    }
+  }
+  return best?.color || null;
+}
+
+const hex = (c) => colorToHex(c.map((v, i) => (i < 3 ? Math.round(v) : v)));
+const round2 = (n) => Math.floor(n * 100) / 100;
+
+/* ---------------- selectors ---------------- */
+
+const COMPOUND_PART = /(\*|[a-zA-Z][\w-]*)|\.(-?[_a-zA-Z][\w-]*)|#(-?[_a-zA-Z][\w-]*)|\[\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]|(::?)([\w-]+)(?:\(([^)]*)\))?/y;
+
+// "a.b#c[x]:first-child" → { tag, classes, ids, attrs, pseudos, states, spec } or null for anything unsupported.
+function parseCompound(text) {
+  const out = { tag: null, classes: [], ids: [], attrs: [], pseudos: [], not: [], states: [], spec: [0, 0, 0] };
+  COMPOUND_PART.lastIndex = 0;
+  let pos = 0;
+  while (pos < text.length) {
+    COMPOUND_PART.lastIndex = pos;
+    const m = COMPOUND_PART.exec(text);
+    if (!m) return null;
+    pos = COMPOUND_PART.lastIndex;
+    const [, tag, cls, id, attr, op, v1, v2, v3, colons, pseudo, arg] = m;
+    if (tag) {
+      if (tag !== "*") { out.tag = tag.toLowerCase(); out.spec[2] += 1; }
+    } else if (cls) { out.classes.push(cls); out.spec[1] += 1; }
+    else if (id) { out.ids.push(id); out.spec[0] += 1; }
+    else if (attr) { out.attrs.push({ name: attr.toLowerCase(), op, value: v1 ?? v2 ?? v3 }); out.spec[1] += 1; }
+    else {
+      const name = pseudo.toLowerCase();
+      if (colons === "::" || ["before", "after", "first-line", "first-letter"].includes(name)) return null;
+      if (STATE_PSEUDOS.has(name)) out.states.push(name);
+      else if (name === "not" && arg) {
+        const inner = parseCompound(arg.trim());
+        if (!inner || inner.states.length) return null;
+        out.not.push(inner);
+      } else if (["first-child", "last-child", "only-child", "root"].includes(name)) out.pseudos.push(name);
+      else return null;
+      out.spec[1] += 1;
+    }
+  }
+  return out;
+}
+
+// Selector → { parts: [{ compound, combinator }] (left to right), spec, states } or null when unsupported.
+function parseSelector(selector) {
+  const parts = [];
+  let buf = "", combinator = null, depth = 0;
+  const push = () => {
+    if (!buf) return true;
+    const compound = parseCompound(buf);
+    if (!compound) return false;
+    parts.push({ compound, combinator: parts.length ? combinator || " " : null });
+    buf = "";
+    combinator = null;
+    return true;
+  };
+  for (const ch of selector.trim()) {
+    if (ch === "(" || ch === "[") depth++;
+    if (ch === ")" || ch === "]") depth--;
+    if (depth === 0 && /[\s>+~]/.test(ch)) {
+      if (!push()) return null;
+      if (ch !== " " && ch !== "\n" && ch !== "\t") combinator = ch;
+      continue;
+    }
+    buf += ch;
+  }
+  if (!push() || !parts.length) return null;
+  const spec = parts.reduce((s, p) => s.map((n, i) => n + p.compound.spec[i]), [0, 0, 0]);
+  return { parts, spec, states: parts.flatMap((p) => p.compound.states) };
+}
+
+const elementsOf = (nodes) => (nodes || []).filter((n) => n.type === "tag");
+
+function attrMatches(el, { name, op, value }) {
+  const actual = el.attribs[name];
+  if (actual == null) return false;
+  if (!op) return true;
+  if (op === "=") return actual === value;
+  if (op === "~=") return actual.split(/\s+/).includes(value);
+  if (op === "^=") return actual.startsWith(value);
+  if (op === "$=") return actual.endsWith(value);
+  if (op === "*=") return actual.includes(value);
+  return actual === value || actual.startsWith(`${value}-`);
+}
+
+function compoundMatches(el, c) {
+  if (c.tag && el.name !== c.tag) return false;
+  const classes = (el.attribs.class || "").split(/\s+/);
+  if (c.classes.some((x) => !classes.includes(x))) return false;
+  if (c.ids.some((x) => el.attribs.id !== x)) return false;
+  if (c.attrs.some((a) => !attrMatches(el, a))) return false;
+  const siblings = elementsOf(el.parent?.children);
+  for (const p of c.pseudos) {
+    if (p === "root" && el.name !== "html") return false;
+    if (p === "first-child" && siblings[0] !== el) return false;
+    if (p === "last-child" && siblings[siblings.length - 1] !== el) return false;
+    if (p === "only-child" && siblings.length !== 1) return false;
+  }
+  return !c.not.some((n) => compoundMatches(el, n));
+}
+
+const parentElement = (el) => (el.parent?.type === "tag" ? el.parent : null);
+
+function previousElements(el) {
+  const siblings = elementsOf(el.parent?.children);
+  return siblings.slice(0, siblings.indexOf(el)).reverse();
+}
+
+// Right-to-left match of parts[0..i] ending at `el`; state pseudo-classes are ignored here (callers filter on them).
+function matchesAt(el, parts, i) {
+  if (!compoundMatches(el, parts[i].compound)) return false;
+  if (i === 0) return true;
+  const comb = parts[i].combinator;
+  if (comb === ">") {
+    const p = parentElement(el);
+    return Boolean(p && matchesAt(p, parts, i - 1));
+  }
+  if (comb === "+") {
+    const prev = previousElements(el)[0];
+    return Boolean(prev && matchesAt(prev, parts, i - 1));
+  }
+  if (comb === "~") return previousElements(el).some((s) => matchesAt(s, parts, i - 1));
+  for (let p = parentElement(el); p; p = parentElement(p)) if (matchesAt(p, parts, i - 1)) return true;
+  return false;
+}
+
+const matches = (el, parsed) => matchesAt(el, parsed.parts, parsed.parts.length - 1);
+
+/* ---------------- cascade ---------------- */
+
+// At-rules whose rules apply to the base, mobile-first rendering.
+const baseContext = (rule) => {
+  for (let p = rule.parent; p && p.type !== "root"; p = p.parent) {
+    if (p.type === "atrule" && !/^(?:supports|layer)$/i.test(p.name)) return false;
+  }
+  return true;
+};
+
+// Every style rule with its parsed selectors, in source order across the given roots.
+function collectRules(roots) {
+  const rules = [];
+  for (const root of roots) {
+    root.walkRules((rule) => {
+      if (rule.parent?.type === "atrule" && /keyframes$/i.test(rule.parent.name)) return;
+      rules.push({ rule, base: baseContext(rule), selectors: rule.selectors.map((s) => ({ text: s, parsed: parseSelector(s) })) });
+    });
+  }
+  return rules;
+}
+
+// Custom properties, last definition wins (the generated code defines them on :root or the scope root).
+function collectVars(roots) {
+  const vars = new Map();
+  for (const root of roots) root.walkDecls(/^--/, (d) => vars.set(d.prop, d.value.trim()));
+  return vars;
+}
+
+function resolveVars(value, vars, depth = 0) {
+  if (depth > 8 || !/var\(/i.test(value)) return value;
+  return resolveVars(value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/gi,
+    (_, name, fallback) => vars.get(name) ?? fallback ?? "unset"), vars, depth + 1);
+}
+
+const INHERITED = ["color", "font-size", "font-weight"];
+const TRACKED = new Set([...INHERITED, "background", "background-color", "background-image", "display", "visibility", "outline", "outline-style", "outline-width"]);
+
+// [important, ids, classes, tags, rule order, declaration order] — compared left to right.
+const outranks = (a, b) => {
+  const i = a.findIndex((v, j) => v !== b[j]);
+  return i >= 0 && a[i] > b[i];
+};
+
+// Winning base-state declarations for one element: Map(prop → { decl, rank }).
+function cascade(el, rules) {
+  const winners = new Map();
+  rules.forEach(({ rule, base, selectors }, order) => {
+    if (!base) return;
+    let spec = null;
+    for (const s of selectors) {
+      if (!s.parsed || s.parsed.states.length || !matches(el, s.parsed)) continue;
+      if (!spec || outranks(s.parsed.spec, spec)) spec = s.parsed.spec;
+    }
+    if (!spec) return;
+    rule.each((decl, i) => {
+      if (decl.type !== "decl") return;
+      const prop = decl.prop.toLowerCase();
+      if (!TRACKED.has(prop)) return;
+      const rank = [decl.important ? 1 : 0, ...spec, order, i];
+      const prev = winners.get(prop);
+      if (!prev || !outranks(prev.rank, rank)) winners.set(prop, { decl, rank });
+    });
+  });
+  return winners;
+}
+
+// Background value → { color, decl }, { complex: true } for images / gradients, or null (transparent / unknown).
+function backgroundOf(decls, vars) {
+  const image = decls.get("background-image");
+  const shorthand = decls.get("background");
+  const longhand = decls.get("background-color");
+  if (image && !(shorthand && outranks(shorthand.rank, image.rank)) && !/^\s*none\s*$/i.test(resolveVars(image.decl.value, vars))) {
+    return { complex: true };
+  }
+  const decl = (longhand && (!shorthand || outranks(longhand.rank, shorthand.rank)) ? longhand : shorthand)?.decl;
+  if (!decl) return null;
+  const value = resolveVars(decl.value, vars).trim().toLowerCase();
+  if (/url\(|gradient\(/.test(value)) return { complex: true };
+  const token = decl === shorthand?.decl ? value.split(/\s+(?![^(]*\))/).find((t) => parseColor(t) || t === "transparent") : value;
+  if (!token || token === "transparent") return null;
+  const c = parseColor(token);
+  return c ? { color: c, decl } : null;
+}
+
+function fontSizePx(value, parentPx) {
+  const m = /^(-?\d*\.?\d+)(px|rem|em|%)?$/.exec(String(value).trim().toLowerCase());
+  if (!m) return parentPx;
+  const n = parseFloat(m[1]);
+  if (m[2] === "px" || (!m[2] && n === 0)) return n;
+  if (m[2] === "rem") return n * 16;
+  if (m[2] === "em") return n * parentPx;
+  if (m[2] === "%") return (n / 100) * parentPx;
+  return parentPx;
+}
+
+function fontWeight(value, parentWeight) {
+  const s = String(value).trim().toLowerCase();
+  if (s === "bold") return 700;
+  if (s === "normal") return 400;
+  if (s === "bolder") return Math.min(900, parentWeight + 300);
+  if (s === "lighter") return Math.max(100, parentWeight - 300);
+  const n = Number(s);
+  return Number.isFinite(n) ? n : parentWeight;
+}
+
+// Computed { fg, fgDecl, bg, bgDecl, complexBg, size, weight, hidden } per element (Map), walking from the roots down.
+function computeStyles(roots, rules, vars) {
+  const styles = new Map();
+  const visit = (el, parent) => {
+    if (SKIP_TAGS.has(el.name)) return;
+    const decls = cascade(el, rules);
+    const value = (prop) => (decls.has(prop) ? resolveVars(decls.get(prop).decl.value, vars).trim().toLowerCase() : null);
+
+    const s = { ...parent };
+    const color = value("color");
+    if (color && !["inherit", "currentcolor", "unset"].includes(color)) {
+      const c = parseColor(color);
+      s.fg = c;
+      s.fgDecl = c ? decls.get("color").decl : null;
+    }
+    const bg = backgroundOf(decls, vars);
+    if (bg?.complex) s.complexBg = true;
+    else if (bg?.color) {
+      s.bg = bg.color[3] < 1 && s.bg ? over(bg.color, s.bg) : over(bg.color, DEFAULT_BG);
+      s.bgDecl = bg.decl;
+      s.complexBg = false;
+    }
+    const tagScale = HEADING_SCALE[el.name];
+    s.size = value("font-size") ? fontSizePx(value("font-size"), parent.size) : tagScale ? tagScale * parent.size : parent.size;
+    s.weight = value("font-weight") ? fontWeight(value("font-weight"), parent.weight) : BOLD_TAGS.has(el.name) ? 700 : parent.weight;
+    s.hidden = parent.hidden || value("display") === "none" || value("visibility") === "hidden" || el.attribs.hidden != null ||
+      el.attribs["aria-hidden"] === "true";
+    styles.set(el, s);
+    for (const child of elementsOf(el.children)) visit(child, s);
+  };
+  const initial = { fg: DEFAULT_FG, fgDecl: null, bg: DEFAULT_BG, bgDecl: null, complexBg: false, size: 16, weight: 400, hidden: false };
+  for (const el of roots) visit(el, initial);
+  return styles;
+}
+
+/* ---------------- checks ---------------- */
+
+function describe(el) {
+  const attrs = ["id", "class", "type", "name"].filter((a) => el.attribs[a]).map((a) => ` ${a}="${el.attribs[a]}"`).join("");
+  return `<${el.name}${attrs}>`;
+}
+
+const ownText = (el) => el.children.filter((c) => c.type === "text").map((c) => c.data).join("").trim();
+
+function checkContrast(elements, styles) {
+  const failures = [];
+  for (const el of elements) {
+    const s = styles.get(el);
+    if (!s || s.hidden || s.complexBg || !s.fg || !ownText(el)) continue;
+    const fg = over(s.fg, s.bg);
+    const ratio = contrastRatio(fg, s.bg);
+    const large = s.size >= 24 || (s.size >= 18.66 && s.weight >= 700);
+    const required = large ? AA_LARGE : AA_NORMAL;
+    if (ratio < required) failures.push({ el, s, ratio, required, large });
+  }
+  return failures;
+}
+
+// One issue per colour pair → [{ issue, elements }].
+function contrastIssues(failures) {
+  const grouped = new Map();
+  for (const f of failures) {
+    const key = `${hex(f.s.fg)}|${hex(f.s.bg)}|${f.required}`;
+    if (grouped.has(key)) {
+      const group = grouped.get(key);
+      group.issue.count += 1;
+      group.elements.push(f.el);
+      continue;
+    }
+    grouped.set(key, { elements: [f.el], issue: {
+      rule: "contrast",
+      severity: "error",
+      message: `Text ${hex(f.s.fg)} on ${hex(f.s.bg)} is ${round2(f.ratio)}:1; ${f.large ? "large " : ""}text needs ${f.required}:1 (${describe(f.el)})`,
+      element: describe(f.el),
+      color: hex(f.s.fg),
+      background: hex(f.s.bg),
+      ratio: round2(f.ratio),
+      required: f.required,
+      count: 1,
+    } });
+  }
+  return [...grouped.values()];
+}
+
+// Fixes each failing colour declaration in turn, re-resolving after every round since one declaration can colour
+// text on several backgrounds. Colours that come from var() (brand-kit tokens) are left for the report.
+// → Map(decl → { selector, from, to }), `from` being the colour before the first change.
+function fixContrast(elements, compute) {
+  const changes = new Map();
+  const record = (decl, from, to) => {
+    const prev = changes.get(decl);
+    changes.set(decl, { selector: decl.parent.selector, from: prev?.from || from, to });
+  };
+  for (let round = 0; round < MAX_FIX_ROUNDS; round++) {
+    const styles = compute();
+    const failing = checkContrast(elements, styles);
+    let changed = false;
+    const touched = new Set();
+    for (const f of failing) {
+      const target = nearestPassing(f.s.fg, f.s.bg, f.required);
+      if (!target) continue;
+      if (f.s.fgDecl) {
+        if (touched.has(f.s.fgDecl) || /var\(/i.test(f.s.fgDecl.value)) continue;
+        touched.add(f.s.fgDecl);
+        record(f.s.fgDecl, hex(f.s.fg), hex(target));
+        f.s.fgDecl.value = hex(target);
+        changed = true;
+      } else if (f.s.bgDecl && !touched.has(f.s.bgDecl)) {
+        // Default text colour on a background the CSS set: give that rule a readable text colour.
+        touched.add(f.s.bgDecl);
+        record(f.s.bgDecl.cloneAfter({ prop: "color", value: hex(target), important: false }), hex(f.s.fg), hex(target));
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+  return changes;
+}
+
+function humanize(word) {
+  const s = String(word || "").replace(/[-_]+/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").replace(/\b(?:btn|icon|ico|input|field)\b/gi, "").trim();
+  return s ? s[0].toUpperCase() + s.slice(1).toLowerCase() : "";
+}
+
+function hasName(el, ids) {
+  const label = (el.attribs["aria-label"] || "").trim() || (el.attribs.title || "").trim();
+  if (label) return true;
+  const by = (el.attribs["aria-labelledby"] || "").split(/\s+/).filter(Boolean);
+  return by.some((id) => ids.has(id));
+}
+
+// Visible text plus the alt text of images inside, as a screen reader would read the element.
+function contentName(el) {
+  let text = "";
+  for (const c of el.children || []) {
+    if (c.type === "text") text += c.data;
+    else if (c.type === "tag" && c.attribs["aria-hidden"] !== "true") text += c.name === "img" ? c.attribs.alt || "" : contentName(c);
+  }
+  return text.trim();
+}
+
+// A name taken from the element's own attributes, or "" when there is none to take it from.
+function suggestedLabel(el) {
+  const classes = (el.attribs.class || "").split(/\s+/).filter(Boolean);
+  return (el.attribs.placeholder || "").trim() || humanize(el.attribs.name) || humanize(el.attribs.id) ||
+    humanize(classes[classes.length - 1]);
+}
+
+function checkLabels(elements, all, fix) {
+  const issues = [];
+  const ids = new Set(all.map((e) => e.attribs.id).filter(Boolean));
+  const labelled = new Set(all.filter((e) => e.name === "label" && e.attribs.for && contentName(e)).map((e) => e.attribs.for));
+  const insideLabel = (el) => {
+    for (let p = parentElement(el); p; p = parentElement(p)) if (p.name === "label") return Boolean(contentName(p));
+    return false;
+  };
+
+  for (const el of elements) {
+    const type = (el.attribs.type || "text").toLowerCase();
+    let kind = null, fallback = "";
+    if (FIELD_TAGS.has(el.name) && !(el.name === "input" && UNLABELLED_INPUTS.has(type))) {
+      if (hasName(el, ids) || (el.attribs.id && labelled.has(el.attribs.id)) || insideLabel(el)) continue;
+      kind = el.attribs.placeholder ? "has only a placeholder, which is not a label" : "has no label";
+    } else if (el.name === "button" || el.attribs.role === "button" || (el.name === "a" && el.attribs.href != null)) {
+      if (hasName(el, ids) || contentName(el)) continue;
+      kind = "has no text or aria-label";
+    } else if (el.name === "input" && ["submit", "reset", "button"].includes(type) && el.attribs.value === "") {
+      if (hasName(el, ids)) continue;
+      kind = "has an empty value";
+      if (type !== "button") fallback = humanize(type);
+    } else {
+      continue;
+    }
+    const issue = { rule: "label", severity: "error", message: `${describe(el)} ${kind}`, element: describe(el) };
+    const label = fix && (suggestedLabel(el) || fallback);
+    if (label) {
+      el.attribs["aria-label"] = label;
+      Object.assign(issue, { fixed: true, fix: `Added aria-label="${label}" (check the wording)` });
+    }
+    issues.push(issue);
+  }
+  return issues;
+}
+
+function checkImages(elements, fix) {
+  const issues = [];
+  for (const el of elements) {
+    const type = (el.attribs.type || "").toLowerCase();
+    if ((el.name === "img" || (el.name === "input" && type === "image")) && el.attribs.alt == null) {
+      if (el.attribs.role === "presentation" || el.attribs.role === "none" || el.attribs["aria-hidden"] === "true") continue;
+      const issue = { rule: "alt", severity: "error", message: `${describe(el)} has no alt text`, element: describe(el) };
+      // Whether an <img> is decorative, and what it shows, can't be read from the markup: it stays for the author.
+      const alt = fix && el.name === "input" && suggestedLabel(el);
+      if (alt) {
+        el.attribs.alt = alt;
+        Object.assign(issue, { fixed: true, fix: `Added alt="${alt}"` });
+      }
+      issues.push(issue);
+    } else if (el.name === "svg" || (el.attribs.role === "img" && el.name !== "img")) {
+      if (el.attribs["aria-hidden"] === "true" || hasName(el, new Set())) continue;
+      if (el.name === "svg" && el.children.some((c) => c.type === "tag" && c.name === "title")) continue;
+      const issue = {
+        rule: "alt",
+        severity: "warning",
+        message: `${describe(el)} has no accessible name; label it or hide it from screen readers if it is decorative`,
+        element: describe(el),
+      };
+      if (fix && el.name === "svg") {
+        el.attribs["aria-hidden"] = "true";
+        el.attribs.focusable = "false";
+        Object.assign(issue, { fixed: true, fix: 'Added aria-hidden="true" (treated as decorative)' });
+      }
+      issues.push(issue);
+    }
+  }
+  return issues;
+}
+
+function checkHeadings(elements, isDocument) {
+  const issues = [];
+  const headings = elements.filter((el) => HEADING_SCALE[el.name] || (el.attribs.role === "heading" && el.attribs["aria-level"]));
+  const level = (el) => (HEADING_SCALE[el.name] ? Number(el.name[1]) : Number(el.attribs["aria-level"]) || 2);
+  let prev = null;
+  for (const el of headings) {
+    const n = level(el);
+    if (!contentName(el)) {
+      issues.push({ rule: "heading_order", severity: "warning", message: `${describe(el)} is empty`, element: describe(el) });
+    }
+    if (prev != null && n > prev + 1) {
+      issues.push({ rule: "heading_order", severity: "warning", message: `Heading level jumps from h${prev} to h${n} (${describe(el)})`, element: describe(el) });
+    }
+    prev = n;
+  }
+  if (isDocument) {
+    const h1 = headings.filter((el) => level(el) === 1).length;
+    if (!h1 && headings.length) issues.push({ rule: "heading_order", severity: "warning", message: "The page has headings but no <h1>" });
+    if (headings.length && level(headings[0]) !== 1 && h1) {
+      issues.push({ rule: "heading_order", severity: "info", message: `The first heading is h${level(headings[0])}, not h1` });
+    }
+    if (h1 > 1) issues.push({ rule: "heading_order", severity: "info", message: `The page has ${h1} <h1> elements` });
+  }
+  return issues;
+}
+
+const isFocusable = (el) => {
+  const tabindex = el.attribs.tabindex;
+  if (tabindex != null) return Number(tabindex) >= 0;
+  if (el.name === "a" || el.name === "area") return el.attribs.href != null;
+  if (el.name === "input") return (el.attribs.type || "").toLowerCase() !== "hidden";
+  return ["button", "select", "textarea", "summary"].includes(el.name) || el.attribs.contenteditable != null;
+};
+
+const removesOutline = (decl) => {
+  const prop = decl.prop.toLowerCase();
+  const value = decl.value.trim().toLowerCase();
+  if (prop === "outline") return /^(?:none|0(?:px)?)(?:\s|$)/.test(value) || /\bnone\b/.test(value);
+  if (prop === "outline-style") return value === "none";
+  if (prop === "outline-width") return /^0(?:px)?$/.test(value);
+  return false;
+};
+
+const VISIBLE_FOCUS = /^(?:outline(?:-style|-width|-color)?|box-shadow|border(?:-[\w-]+)?|background(?:-color)?|text-decoration(?:-[\w-]+)?|color)$/i;
+
+// Focusable elements that lose their outline in some rule and get no :focus / :focus-visible style back.
+function checkFocus(elements, rules, fix) {
+  const focusable = elements.filter(isFocusable);
+  if (!focusable.length) return [];
+
+  const removals = [], replacements = [];
+  for (const { rule, selectors } of rules) {
+    const decls = rule.nodes.filter((n) => n.type === "decl");
+    const removing = decls.some(removesOutline);
+    const styled = decls.some((d) => VISIBLE_FOCUS.test(d.prop) && !removesOutline(d) && !/^\s*none\s*$/i.test(d.value));
+    for (const s of selectors) {
+      if (!s.parsed) continue;
+      const focusState = s.parsed.states.some((st) => st === "focus" || st === "focus-visible");
+      if (removing) removals.push({ rule, selector: s });
+      if (styled && focusState) replacements.push({ parsed: s.parsed, within: false });
+      else if (styled && s.parsed.states.includes("focus-within")) replacements.push({ parsed: s.parsed, within: true });
+    }
+  }
+  const replaced = (el) => replacements.some(({ parsed, within }) => {
+    if (!within) return matches(el, parsed);
+    for (let p = el; p; p = parentElement(p)) if (matches(p, parsed)) return true;
+    return false;
+  });
+
+  const issues = [];
+  const handled = new Set();
+  for (const { rule, selector } of removals) {
+    const bare = focusable.filter((el) => matches(el, selector.parsed) && !replaced(el));
+    if (!bare.length || handled.has(rule)) continue;
+    handled.add(rule);
+    const issue = {
+      rule: "focus_visible",
+      severity: "error",
+      message: `"${selector.text}" removes the focus outline and no :focus-visible style replaces it (${describe(bare[0])}${bare.length > 1 ? ` and ${bare.length - 1} more` : ""})`,
+      element: describe(bare[0]),
+      selector: selector.text,
+    };
+    if (fix) {
+      const targets = rule.selectors.map((sel) => `${sel.replace(/:(?:focus-visible|focus|hover|active)\b/g, "")}:focus-visible`);
+      rule.cloneAfter({ selector: [...new Set(targets)].join(", "), nodes: [] })
+        .append({ prop: "outline", value: FOCUS_RING }, { prop: "outline-offset", value: "2px" });
+      Object.assign(issue, { fixed: true, fix: `Added ${[...new Set(targets)].join(", ")} { outline: ${FOCUS_RING}; outline-offset: 2px }` });
+    }
+    issues.push(issue);
+  }
+  return issues;
+}
+
+/* ---------------- entry point ---------------- */
+
+function serialize(doc) {
+  return DomUtils.getOuterHTML(doc.children, { encodeEntities: "utf8", emptyAttrs: true });
+}
+
+export function auditAccessibility({ css = "", html = "", scope = null, document = false, baseCss = "", fix = false }) {
+  let doc = parseHtml(html);
+  let container = doc;
+  // Component markup may leave the scope element out (the page supplies it); audit it inside one so scoped rules apply.
+  const scopeClass = !document && /^\.(-?[_a-zA-Z][\w-]*)$/.exec(String(scope || "").trim())?.[1];
+  if (scopeClass && !DomUtils.findOne((e) => (e.attribs.class || "").split(/\s+/).includes(scopeClass), doc.children)) {
+    doc = parseHtml(`<div class="${scopeClass}">${html}</div>`);
+    container = elementsOf(doc.children)[0];
+  }
+  const styleEls = document ? DomUtils.findAll((e) => e.name === "style", doc.children) : [];
+  const sheets = [];
+  try {
+    if (document) for (const el of styleEls) sheets.push(postcss.parse(DomUtils.textContent(el)));
+    else sheets.push(postcss.parse(String(css || "")));
+  } catch {
+    sheets.length = 0; // unparseable CSS: markup checks only (validate.js reports the parse error)
+  }
+  let base = null;
+  try { base = baseCss ? postcss.parse(baseCss) : null; } catch { base = null; }
+
+  // Styles cascade from <html> / <body>; only what is in the body is checked.
+  const all = DomUtils.findAll(() => true, doc.children);
+  const body = all.find((e) => e.name === "body");
+  const roots = elementsOf(doc.children);
+  const elements = body ? DomUtils.findAll(() => true, body.children) : all;
+
+  const rules = collectRules(sheets);
+  const vars = collectVars(base ? [base, ...sheets] : sheets);
+  const compute = () => computeStyles(roots, rules, vars);
+
+  const contrast = contrastIssues(checkContrast(elements, compute()));
+  const issues = contrast.map((g) => g.issue);
+  let cssChanged = false;
+  if (fix && contrast.length && sheets.length) {
+    const changes = fixContrast(elements, compute);
+    const failing = new Set(checkContrast(elements, compute()).map((f) => f.el));
+    for (const { issue, elements: els } of contrast) {
+      if (els.some((el) => failing.has(el))) continue;
+      const change = [...changes.values()].find((c) => c.from === issue.color);
+      Object.assign(issue, { fixed: true, fix: change ? `${change.selector}: color ${change.to}` : "Text colour adjusted" });
+    }
+    cssChanged = changes.size > 0;
+  }
+  const labels = checkLabels(elements, all, fix);
+  const images = checkImages(elements, fix);
+  const focus = sheets.length ? checkFocus(elements, rules, fix) : [];
+  if (focus.some((i) => i.fixed)) cssChanged = true;
+  issues.push(...labels, ...images, ...checkHeadings(elements, document), ...focus);
+
+  const markupChanged = [...labels, ...images].some((i) => i.fixed);
+  let outCss = css, outHtml = html;
+  if (document) {
+    if (cssChanged) styleEls.forEach((el, i) => { el.children.forEach((c, j) => { c.data = j ? "" : sheets[i].toString(); }); });
+    if (cssChanged || markupChanged) outHtml = serialize(doc);
+  } else {
+    if (cssChanged) outCss = sheets[0].toString().trim();
+    if (markupChanged) outHtml = serialize(container).trim();
+  }
+
+  issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, issues.filter((i) => i.severity === s && !i.fixed).length]));
+  return {
+    css: outCss,
+    html: outHtml,
+    report: { passed: counts.error === 0, counts, fixed: issues.filter((i) => i.fixed).length, issues },
+  };
+}
+
+// body.accessibility → "report" (default) | "fix" | null (off).
+export function accessibilityMode(option) {
+  if (option === false || option === "off") return null;
+  return option === "fix" ? "fix" : "report";
+}
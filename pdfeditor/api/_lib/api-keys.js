@@ -0,0 +1,205 @@
+// /api/_lib/api-keys.js
+// Personal API keys for scripts and CI: "itc_" + 32 random characters, shown once at creation. Only the SHA-256 of
+// the key is stored (keys are random, so no salt is needed to keep the hash from being looked up), plus the first
+// characters as `prefix` so a key can be recognised in the list. A key acts as its owner: same tier, same quota.
+// withApiKey() wraps a handler for /api/v1/*: it verifies the key, applies the key's rate limit and hands over.
+// Table `api_keys`: id (uuid, default gen_random_uuid()), user_id, name, prefix, key_hash (unique), rate_limit
+//   (requests / minute, null → API_KEY_RATE_LIMIT), created_at, last_used_at, revoked_at.
+// Table `api_requests`: id (uuid, default gen_random_uuid()), key_id, endpoint, created_at — one row per admitted
+//   request, read back for the rate limit; a key's rows older than the window are pruned each time it is used.
+
+import crypto from "node:crypto";
+import { supabaseAdmin } from "./supabase.js";
+import { API_KEY_PREFIX, loadProfile, readBearer } from "./auth.js";
+
+const COLUMNS = "id, name, prefix, rate_limit, created_at, last_used_at";
+const MAX_KEYS = 10;                 // active keys per account
+const FALLBACK_RATE_LIMIT = 20;      // requests / minute
+const MAX_RATE_LIMIT = 120;
+const RATE_WINDOW_MS = 60_000;
+const PREFIX_CHARS = 12;
+
+export const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+function defaultRateLimit() {
+  const n = Number(process.env.API_KEY_RATE_LIMIT);
+  return Number.isInteger(n) && n > 0 ? n : FALLBACK_RATE_LIMIT;
+}
+
+/* ---------------- management ---------------- */
+
+export async function listKeys(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("api_keys")
+    .select(COLUMNS)
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return (data || []).map((k) => ({ ...k, rate_limit: k.rate_limit || defaultRateLimit() }));
+}
+
+// Request body → { ok: true, name, rate_limit } or { ok: false, status, body }.
+export function cleanKeyRequest(raw) {
+  const name = String(raw?.name ?? "").trim();
+  if (!name || name.length > 80) {
+    return { ok: false, status: 400, body: { error: "bad_key", field: "name", hint: 'Name the key after where it runs, e.g. "CI" (max 80 characters).' } };
+  }
+  if (raw.rate_limit == null) return { ok: true, name, rate_limit: null };
+  const rate = Number(raw.rate_limit);
+  if (!Number.isInteger(rate) || rate < 1 || rate > MAX_RATE_LIMIT) {
+    return { ok: false, status: 400, body: { error: "bad_key", field: "rate_limit", hint: `Requests per minute, 1–${MAX_RATE_LIMIT}.` } };
+  }
+  return { ok: true, name, rate_limit: rate };
+}
+
+// → { ok: true, key, row } where `key` is the plaintext (never stored), or the too_many_keys failure.
+export async function createKey(userId, { name, rate_limit }) {
+  const active = await listKeys(userId);
+  if (active.length >= MAX_KEYS) {
+    return { ok: false, status: 409, body: { error: "too_many_keys", limit: MAX_KEYS, hint: "Revoke a key you no longer use first." } };
+  }
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const { data, error } = await supabaseAdmin
+    .from("api_keys")
+    .insert({
+      user_id: userId,
+      name,
+      prefix: key.slice(0, PREFIX_CHARS),
+      key_hash: hashKey(key),
+      rate_limit,
+      created_at: new Date().toISOString(),
+    })
+    .select(COLUMNS);
+  if (error) throw error;
+  const row = data[0];
+  return { ok: true, key, row: { ...row, rate_limit: row.rate_limit || defaultRateLimit() } };
+}
+
+// → true when an active key of the user's was revoked. The row stays for the request log.
+export async function revokeKey(userId, id) {
+  const { data, error } = await supabaseAdmin
+    .from("api_keys")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("id", id)
+    .is("revoked_at", null)
+    .select("id");
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+/* ---------------- /api/v1 ---------------- */
+
+// Authorization: Bearer itc_… → { ok: true, user, profile, key } (the shape authenticate() returns) or a 401.
+export async function authenticateKey(req) {
+  const token = readBearer(req);
+  if (!token || !token.startsWith(API_KEY_PREFIX)) {
+    return {
+      ok: false,
+      status: 401,
+      body: { error: "unauthorized", hint: "Send Authorization: Bearer <API key>. Create keys under API keys in the app." },
+    };
+  }
+
+  const { data: key, error } = await supabaseAdmin
+    .from("api_keys")
+    .select("id, user_id, name, rate_limit, revoked_at")
+    .eq("key_hash", hashKey(token))
+    .maybeSingle();
+  if (error) throw error;
+  if (!key || key.revoked_at) {
+    return { ok: false, status: 401, body: { error: "invalid_api_key", hint: "This key does not exist or was revoked." } };
+  }
+
+  const profile = await loadProfile(key.user_id);
+  return {
+    ok: true,
+    user: { id: key.user_id, email: profile?.email || null },
+    profile,
+    key: { id: key.id, name: key.name, rate_limit: key.rate_limit || defaultRateLimit() },
+  };
+}
+
+// Sliding one-minute window over the key's logged requests. The request is logged first and then the window counted;
+// over the limit it takes its row back. So the last of any parallel calls to count sees all the others, and a burst
+// can't all pass a check made before any of them was written.
+// → { ok: true, limit, remaining } or { ok: false, status: 429, body, limit, retryAfter } (seconds).
+export async function takeRateLimit(key, endpoint, now = Date.now()) {
+  const limit = key.rate_limit;
+  const at = new Date(now).toISOString();
+  const since = new Date(now - RATE_WINDOW_MS).toISOString();
+  const { data: mine, error: insError } = await supabaseAdmin
+    .from("api_requests")
+    .insert({ key_id: key.id, endpoint, created_at: at })
+    .select("id")
+    .single();
+  if (insError) throw insError;
+
+  const { count, error } = await supabaseAdmin
+    .from("api_requests")
+    .select("id", { count: "exact", head: true })
+    .eq("key_id", key.id)
+    .gte("created_at", since);
+  if (error) throw error;
+
+  if (count > limit) {
+    const { error: delError } = await supabaseAdmin.from("api_requests").delete().eq("id", mine.id);
+    if (delError) throw delError;
+    const { data: oldest, error: oldError } = await supabaseAdmin
+      .from("api_requests")
+      .select("created_at")
+      .eq("key_id", key.id)
+      .gte("created_at", since)
+      .order("created_at", { ascending: true })
+      .limit(1);
+    if (oldError) throw oldError;
+    const retryAfter = Math.max(1, Math.ceil(((oldest?.[0] ? Date.parse(oldest[0].created_at) : now) + RATE_WINDOW_MS - now) / 1000));
+    return {
+      ok: false,
+      status: 429,
+      limit,
+      retryAfter,
+      body: { error: "rate_limited", limit, retry_after: retryAfter, hint: `This key allows ${limit} requests per minute.` },
+    };
+  }
+
+  const [pruned, touched] = await Promise.all([
+    supabaseAdmin.from("api_requests").delete().eq("key_id", key.id).lt("created_at", since),
+    supabaseAdmin.from("api_keys").update({ last_used_at: at }).eq("id", key.id),
+  ]);
+  if (pruned.error) console.error("api_requests_prune_error", pruned.error);
+  if (touched.error) console.error("api_key_touch_error", touched.error);
+  return { ok: true, limit, remaining: Math.max(0, limit - count) };
+}
+
+// The /api/v1/<endpoint> handler: API-key auth and rate limit, then the session handler unchanged — it sees the key's
+// owner through req.apiAuth (auth.js), so tiers, quotas, brand kits and response formats are the same as in the app.
+export function withApiKey(endpoint, handler) {
+  return async function v1(req, res) {
+    try {
+      res.setHeader("X-API-Version", "1");
+      if (req.method !== "POST") {
+        res.setHeader("Allow", "POST");
+        return res.status(405).json({ error: "method_not_allowed" });
+      }
+
+      const auth = await authenticateKey(req);
+      if (!auth.ok) return res.status(auth.status).json(auth.body);
+      const rate = await takeRateLimit(auth.key, endpoint);
+      res.setHeader("X-RateLimit-Limit", String(rate.limit));
+      if (!rate.ok) {
+        res.setHeader("X-RateLimit-Remaining", "0");
+        res.setHeader("Retry-After", String(rate.retryAfter));
+        return res.status(rate.status).json(rate.body);
+      }
+      res.setHeader("X-RateLimit-Remaining", String(rate.remaining));
+
+      req.apiAuth = auth;
+      return await handler(req, res);
+    } catch (e) {
+      console.error("api_v1_error", e);
+      return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+    }
+  };
+}
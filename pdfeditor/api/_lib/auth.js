@@ -0,0 +1,114 @@
+// /api/_lib/auth.js
+// Bearer-token auth + Pro entitlement check against the `profiles` row kept current by stripe-webhook.js.
+// Returns { ok: true, user, profile } or { ok: false, status, body } — handlers send the failure as-is.
+// resolveEntitlement() also admits anonymous callers and tags every caller with a tier: "pro" | "free" | "anon".
+// On /api/v1/* the caller is an API key instead (_lib/api-keys.js): withApiKey() verifies it and leaves the result on
+// req.apiAuth, which authenticate() returns as-is. Session endpoints refuse API keys.
+
+import crypto from "node:crypto";
+import { supabaseAdmin, supabaseConfigured } from "./supabase.js";
+
+// Every API key starts with this, so a key sent to a session endpoint is recognised without a lookup.
+export const API_KEY_PREFIX = "itc_";
+
+export function readBearer(req) {
+  const h = req.headers?.authorization || req.headers?.Authorization || "";
+  const m = /^Bearer\s+(.+)$/i.exec(String(h).trim());
+  return m ? m[1].trim() : null;
+}
+
+// Raw IPs are never stored; IP_HASH_SALT keeps the hashes from being reversible by lookup table.
+export function clientIpHash(req) {
+  const fwd = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  const ip = fwd || req.headers?.["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+  return crypto.createHash("sha256").update(`${process.env.IP_HASH_SALT || ""}:${ip}`).digest("hex");
+}
+
+export function isProActive(profile, now = Date.now()) {
+  if (!profile?.pro) return false;
+  if (!profile.pro_until) return true;
+  const until = Date.parse(profile.pro_until);
+  return Number.isNaN(until) || until > now;
+}
+
+const MISCONFIGURED = {
+  ok: false,
+  status: 500,
+  body: { error: "missing_supabase_config", hint: "Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in Vercel → Project → Settings → Environment Variables." },
+};
+
+export async function loadProfile(userId) {
+  const { data: profile, error } = await supabaseAdmin
+    .from("profiles")
+    .select("id, email, pro, status, pro_until, plan, stripe_customer_id")
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return profile || null;
+}
+
+export async function authenticate(req) {
+  if (!supabaseConfigured) return MISCONFIGURED;
+  if (req.apiAuth) return req.apiAuth;
+
+  const token = readBearer(req);
+  if (!token) {
+    return {
+      ok: false,
+      status: 401,
+      body: { error: "unauthorized", hint: "Sign in and send Authorization: Bearer <supabase access token>." },
+    };
+  }
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return {
+      ok: false,
+      status: 401,
+      body: { error: "invalid_token", hint: "API keys work on the /api/v1/ endpoints only. This endpoint needs a signed-in session." },
+    };
+  }
+
+  const { data, error } = await supabaseAdmin.auth.getUser(token);
+  const user = data?.user;
+  if (error || !user) {
+    return {
+      ok: false,
+      status: 401,
+      body: { error: "invalid_token", hint: "Session expired or invalid. Sign in again." },
+    };
+  }
+
+  return { ok: true, user, profile: await loadProfile(user.id) };
+}
+
+// No token → anonymous (IP-limited). A token that fails verification is still a 401, never a silent downgrade.
+export async function resolveEntitlement(req) {
+  if (!supabaseConfigured) return MISCONFIGURED;
+  if (!readBearer(req)) return { ok: true, tier: "anon", user: null, profile: null, ipHash: clientIpHash(req) };
+
+  const auth = await authenticate(req);
+  if (!auth.ok) return auth;
+  return { ...auth, tier: isProActive(auth.profile) ? "pro" : "free" };
+}
+
+export async function requirePro(req) {
+  const auth = await authenticate(req);
+  if (!auth.ok) return auth;
+
+  const { profile } = auth;
+  if (!profile?.pro) {
+    return {
+      ok: false,
+      status: 402,
+      body: { error: "pro_required", hint: "This endpoint requires an active Pro subscription.", upgrade: "/pricing.html#pro" },
+    };
+  }
+  if (!isProActive(profile)) {
+    return {
+      ok: false,
+      status: 402,
+      body: { error: "pro_expired", pro_until: profile.pro_until, hint: "Your Pro subscription has lapsed. Renew to continue.", upgrade: "/pricing.html#pro" },
+    };
+  }
+
+  return { ...auth, tier: "pro" };
+}
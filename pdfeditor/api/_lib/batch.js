@@ -0,0 +1,186 @@
+// /api/_lib/batch.js
+// Batch jobs: many component screenshots converted under one job id, with per-item status.
+// Table `batch_jobs`: id (uuid, default gen_random_uuid()), user_id, status (running | done | partial | failed),
+//   total, done, failed, created_at, updated_at.
+// Table `batch_items`: id (uuid, default gen_random_uuid()), job_id, user_id, position, scope, component,
+//   status (queued | running | done | error), error, css, html, validation (jsonb), attempts, updated_at.
+// Screenshots are not stored; retrying an item means sending its image again. A "running" item belongs to the request
+// converting it; past RUNNING_LEASE_MS that request is taken to have died and the item can be retried.
+
+import { supabaseAdmin } from "./supabase.js";
+import { createZip } from "./zip.js";
+
+export const MAX_JOB_ITEMS = 50;
+export const MAX_REQUEST_ITEMS = 20;
+export const RUNNING_LEASE_MS = 10 * 60_000;
+const FALLBACK_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 6;
+
+const JOB_COLUMNS = "id, status, total, done, failed, created_at, updated_at";
+const ITEM_COLUMNS = "id, job_id, position, scope, component, status, error, css, html, validation, attempts, updated_at";
+
+export function batchConcurrency(requested) {
+  const env = Number(process.env.BATCH_CONCURRENCY) || FALLBACK_CONCURRENCY;
+  const n = Number(requested) || env;
+  return Math.max(1, Math.min(n, env, MAX_CONCURRENCY));
+}
+
+// Run `worker` over `list` with at most `limit` in flight; stops picking up new work once `signal` aborts.
+export async function runPool(list, limit, worker, signal) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, list.length) }, async () => {
+    while (next < list.length && !signal?.aborted) {
+      const item = list[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+export async function createJob(userId) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from("batch_jobs")
+    .insert({ user_id: userId, status: "running", total: 0, done: 0, failed: 0, created_at: now, updated_at: now })
+    .select(JOB_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function listJobs(userId, { limit = 20 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from("batch_jobs")
+    .select(JOB_COLUMNS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(Math.max(1, Math.min(Number(limit) || 20, 100)));
+  if (error) throw error;
+  return data || [];
+}
+
+// → { job, items } (items in position order) or null.
+export async function getJob(userId, id) {
+  const { data: job, error } = await supabaseAdmin
+    .from("batch_jobs")
+    .select(JOB_COLUMNS)
+    .eq("user_id", userId)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!job) return null;
+  const { data: items, error: itemsError } = await supabaseAdmin
+    .from("batch_items")
+    .select(ITEM_COLUMNS)
+    .eq("job_id", id)
+    .order("position", { ascending: true });
+  if (itemsError) throw itemsError;
+  return { job, items: items || [] };
+}
+
+export async function addItems(userId, jobId, items) {
+  if (!items.length) return [];
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from("batch_items")
+    .insert(items.map((it) => ({
+      job_id: jobId,
+      user_id: userId,
+      position: it.position,
+      scope: it.scope,
+      component: it.component || null,
+      status: it.status || "queued",
+      error: it.error || null,
+      attempts: 0,
+      updated_at: now,
+    })))
+    .select(ITEM_COLUMNS);
+  if (error) throw error;
+  return data || [];
+}
+
+export async function updateItem(id, patch) {
+  const { error } = await supabaseAdmin
+    .from("batch_items")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw error;
+}
+
+// Conditional updateItem: applies `patch` only while the row still has the status and updated_at it was read with, so
+// of two requests retrying the same item one gets it. → true when this call took the item.
+export async function claimItem(item, patch) {
+  const { data, error } = await supabaseAdmin
+    .from("batch_items")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", item.id)
+    .eq("status", item.status)
+    .eq("updated_at", item.updated_at)
+    .select("id");
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Recount item statuses onto the job row: anything still queued/running → running; otherwise done / partial / failed.
+export async function refreshJob(jobId) {
+  const { data: items, error } = await supabaseAdmin.from("batch_items").select("status").eq("job_id", jobId);
+  if (error) throw error;
+  const total = items?.length || 0;
+  const done = items.filter((i) => i.status === "done").length;
+  const failed = items.filter((i) => i.status === "error").length;
+  const status = done + failed < total ? "running" : failed === 0 ? "done" : done === 0 ? "failed" : "partial";
+  const { data, error: updateError } = await supabaseAdmin
+    .from("batch_jobs")
+    .update({ status, total, done, failed, updated_at: new Date().toISOString() })
+    .eq("id", jobId)
+    .select(JOB_COLUMNS)
+    .single();
+  if (updateError) throw updateError;
+  return data;
+}
+
+export async function deleteJob(userId, id) {
+  const { data, error } = await supabaseAdmin
+    .from("batch_jobs")
+    .delete()
+    .eq("user_id", userId)
+    .eq("id", id)
+    .select("id");
+  if (error) throw error;
+  if (!data?.length) return false;
+  const { error: itemsError } = await supabaseAdmin.from("batch_items").delete().eq("job_id", id);
+  if (itemsError) throw itemsError;
+  return true;
+}
+
+function slug(s) {
+  return String(s || "").toLowerCase().replace(/^[.#]+/, "").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+}
+
+// ZIP layout: components/<name>.css + components/<name>.html per finished item, styles.css with every item's CSS,
+// manifest.json with each item's status/error (failed items are listed there, not dropped silently).
+export function jobArchive(job, items) {
+  const used = new Set();
+  const files = [];
+  const combined = [`/* Batch ${job.id} — ${items.filter((i) => i.status === "done").length}/${items.length} components */`];
+  const manifest = { job: job.id, status: job.status, created_at: job.created_at, items: [] };
+
+  for (const item of items) {
+    const base = slug(item.component) || slug(item.scope) || `component-${item.position + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+    manifest.items.push({
+      name, position: item.position, scope: item.scope, component: item.component, status: item.status, error: item.error || null,
+      violations: item.validation?.violations || [],
+    });
+    if (item.status !== "done") continue;
+    files.push({ name: `components/${name}.css`, content: `${item.css}\n` });
+    files.push({ name: `components/${name}.html`, content: `${item.html}\n` });
+    combined.push(`\n/* ${name} (${item.scope}) */\n${item.css}`);
+  }
+
+  files.push({ name: "styles.css", content: `${combined.join("\n")}\n` });
+  files.push({ name: "manifest.json", content: `${JSON.stringify(manifest, null, 2)}\n` });
+  return createZip(files);
+}
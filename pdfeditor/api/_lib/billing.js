@@ -0,0 +1,148 @@
+// /api/_lib/billing.js
+// Stripe webhook bookkeeping: which user or team workspace an event belongs to, whether it was already handled, and
+// whether it is older than the state already stored.
+// Table `billing_events` (audit log + idempotency): id (Stripe event id, primary key), type, event_created,
+//   user_id, workspace_id, stripe_customer_id, stripe_subscription_id, outcome (processing | applied | stale |
+//   unmatched | ignored | failed), detail (jsonb), received_at, updated_at.
+// profiles.stripe_event_at / stripe_event_id and workspaces.stripe_event_at / stripe_event_id hold the `created` time
+// and id of the newest event applied to that row; older events are logged as "stale" and change nothing. Events from
+// the same second are ordered by id, so the row ends up the same whichever is delivered first.
+
+import { supabaseAdmin } from "./supabase.js";
+
+// How long a "processing" claim holds: past it the attempt is taken to have crashed or timed out before finishEvent.
+const PROCESSING_LEASE_MS = 5 * 60_000;
+
+// Event ids are unique per Stripe account, so a retry or a duplicate delivery hits the primary key. A row whose earlier
+// attempt failed, or whose "processing" lease ran out, is claimed again so Stripe's retry can finish the job; the
+// update is conditional on the row being unchanged, so of two concurrent retries only one wins.
+// → { claimed: true } or { claimed: false, outcome }.
+export async function claimEvent(event) {
+  const now = new Date().toISOString();
+  const row = {
+    id: event.id,
+    type: event.type,
+    event_created: new Date(event.created * 1000).toISOString(),
+    outcome: "processing",
+    received_at: now,
+    updated_at: now,
+  };
+  const { error } = await supabaseAdmin.from("billing_events").insert(row);
+  if (!error) return { claimed: true };
+  if (error.code !== "23505") throw error;
+
+  const { data: existing, error: selError } = await supabaseAdmin
+    .from("billing_events")
+    .select("outcome, updated_at")
+    .eq("id", event.id)
+    .maybeSingle();
+  if (selError) throw selError;
+  const abandoned = existing?.outcome === "processing" && Date.parse(existing.updated_at) < Date.now() - PROCESSING_LEASE_MS;
+  if (existing?.outcome !== "failed" && !abandoned) return { claimed: false, outcome: existing?.outcome || "processing" };
+
+  const { data: reclaimed, error: updError } = await supabaseAdmin
+    .from("billing_events")
+    .update({ outcome: "processing", updated_at: now })
+    .eq("id", event.id)
+    .eq("outcome", existing.outcome)
+    .eq("updated_at", existing.updated_at)
+    .select("id");
+  if (updError) throw updError;
+  return reclaimed?.length ? { claimed: true } : { claimed: false, outcome: "processing" };
+}
+
+// Final audit fields for a claimed event.
+export async function finishEvent(eventId, { outcome, userId = null, workspaceId = null, customerId = null, subscriptionId = null, detail = null }) {
+  const { error } = await supabaseAdmin
+    .from("billing_events")
+    .update({
+      outcome,
+      user_id: userId,
+      workspace_id: workspaceId,
+      stripe_customer_id: customerId,
+      stripe_subscription_id: subscriptionId,
+      detail,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", eventId);
+  if (error) throw error;
+}
+
+async function profileIdBy(column, value, { ilike = false } = {}) {
+  const query = supabaseAdmin.from("profiles").select("id").limit(1);
+  const { data, error } = await (ilike ? query.ilike(column, value) : query.eq(column, value));
+  if (error) throw error;
+  return data?.[0]?.id || null;
+}
+
+// First match wins: checkout's client_reference_id, the supabase_user_id metadata create-checkout-session writes
+// (userId on subscriptions created before that), the profile already linked to the Stripe customer, and only then
+// the email address. → { userId, via } or { userId: null, via: null }.
+export async function resolveUser({ clientReferenceId = null, metadata = null, customerId = null, email = null }) {
+  if (clientReferenceId) return { userId: clientReferenceId, via: "client_reference_id" };
+  const fromMetadata = metadata?.supabase_user_id || metadata?.userId;
+  if (fromMetadata) return { userId: fromMetadata, via: "metadata" };
+  if (customerId) {
+    const userId = await profileIdBy("stripe_customer_id", customerId);
+    if (userId) return { userId, via: "stripe_customer_id" };
+  }
+  if (email) {
+    const userId = await profileIdBy("email", email, { ilike: true });
+    if (userId) return { userId, via: "email" };
+  }
+  return { userId: null, via: null };
+}
+
+// Team subscriptions carry workspace_id in their metadata (create-checkout-session.js); the subscription id already
+// stored on a workspace is the fallback. → { workspaceId, via } or { workspaceId: null, via: null }.
+export async function resolveWorkspace({ metadata = null, subscriptionId = null }) {
+  if (metadata?.workspace_id) return { workspaceId: metadata.workspace_id, via: "metadata" };
+  if (subscriptionId) {
+    const { data, error } = await supabaseAdmin
+      .from("workspaces")
+      .select("id")
+      .eq("stripe_subscription_id", subscriptionId)
+      .limit(1);
+    if (error) throw error;
+    if (data?.[0]) return { workspaceId: data[0].id, via: "stripe_subscription_id" };
+  }
+  return { workspaceId: null, via: null };
+}
+
+// Writes `patch` stamped with the event, only where the row holds no newer event: the ordering check is part of the
+// update, so two events for the same row can't both pass it and then land in either order. The same event again
+// (a retry after a failed attempt) applies again. → true when the row was updated.
+async function updateIfNewer(table, id, patch, event) {
+  const at = new Date(event.created * 1000).toISOString();
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .update({ ...patch, stripe_event_at: at, stripe_event_id: event.id, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .or(
+      `stripe_event_at.is.null,stripe_event_at.lt.${at},` +
+      `and(stripe_event_at.eq.${at},or(stripe_event_id.is.null,stripe_event_id.lte.${event.id}))`
+    )
+    .select("id");
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+// Applies the event to the profile unless it already reflects a newer one, creating the profile if there is none yet.
+// → true when applied, false when stale.
+export async function applyProfile(userId, patch, event) {
+  if (await updateIfNewer("profiles", userId, patch, event)) return true;
+  const { error } = await supabaseAdmin.from("profiles").insert({
+    id: userId, ...patch, stripe_event_at: new Date(event.created * 1000).toISOString(), stripe_event_id: event.id,
+    updated_at: new Date().toISOString(),
+  });
+  if (!error) return true;
+  if (error.code !== "23505") throw error;
+  // The profile exists: it was stale, or another event created it meanwhile and the order is checked against that.
+  return updateIfNewer("profiles", userId, patch, event);
+}
+
+// Same for a workspace; the row is only updated, so a workspace deleted meanwhile stays deleted. → true when applied,
+// false when stale or gone.
+export async function applyWorkspace(workspaceId, patch, event) {
+  return updateIfNewer("workspaces", workspaceId, patch, event);
+}
@@ -0,0 +1,262 @@
+// /api/_lib/brand-kits.js
+// Brand kits: an account's design-system tokens (colours, font stack, type scale, radius and spacing scales). A kit id
+// on generate-css / generate-index replaces the soft `palette` hint: the prompt lists the kit's custom properties and
+// asks for var(--token) references, then snapToKit() rewrites literal values the model still wrote to the nearest
+// token and reports the ones no token is close to.
+// Kits belong to a library: the user's own, or their team workspace's shared one (_lib/workspaces.js), where every
+// member can use and edit them.
+// Table `brand_kits`: id (uuid, default gen_random_uuid()), user_id (who created it), workspace_id, name, colors
+//   (jsonb { name: "#hex" }), font_family, type_scale / radius / spacing (jsonb { name: "16px" | "1rem" }), created_at,
+//   updated_at.
+// Custom properties: --color-<name>, --font-family, --font-size-<name>, --radius-<name>, --space-<name>.
+
+import postcss from "postcss";
+import { supabaseAdmin } from "./supabase.js";
+import { COLOR_RE, RADIUS_PROPS, SPACING_PROPS, colorToHex, parseColor, parseLength, splitTopLevel } from "./tokens.js";
+import { inLibrary, libraryFor } from "./workspaces.js";
+
+const COLUMNS = "id, workspace_id, name, colors, font_family, type_scale, radius, spacing, created_at, updated_at";
+const MAX_TOKENS = 32;           // per group
+const COLOR_SNAP_DISTANCE = 40;  // RGB euclidean
+const LENGTH_SNAP_PX = 2;        // or LENGTH_SNAP_RATIO of the value, whichever is larger
+const LENGTH_SNAP_RATIO = 0.15;
+
+const TOKEN_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/i;
+const SCALES = { type_scale: "font-size", radius: "radius", spacing: "space" };
+
+/* ---------------- validation ---------------- */
+
+function badKit(field, hint) {
+  return { ok: false, status: 400, body: { error: "bad_kit", field, hint } };
+}
+
+// { name: value } → { ok: true, tokens } with values normalized by `parse`, or the bad_kit failure for the first bad entry.
+function cleanGroup(raw, field, parse, what) {
+  if (raw == null) return { ok: true, tokens: {} };
+  if (typeof raw !== "object" || Array.isArray(raw)) return badKit(field, `${field} must be an object of { name: ${what} }.`);
+  const entries = Object.entries(raw);
+  if (entries.length > MAX_TOKENS) return badKit(field, `At most ${MAX_TOKENS} ${field} tokens.`);
+  const tokens = {};
+  for (const [name, value] of entries) {
+    if (!TOKEN_NAME.test(name)) return badKit(`${field}.${name}`, "Token names use letters, digits and dashes (max 32).");
+    const clean = parse(value);
+    if (clean == null) return badKit(`${field}.${name}`, `Expected ${what}.`);
+    tokens[name.toLowerCase()] = clean;
+  }
+  return { ok: true, tokens };
+}
+
+const cleanColor = (v) => {
+  const c = parseColor(String(v ?? ""));
+  return c ? colorToHex(c) : null;
+};
+
+const cleanLength = (v) => {
+  const s = String(v ?? "").trim().toLowerCase();
+  return parseLength(s) > 0 ? s : null;
+};
+
+// Request body → { ok: true, kit } or { ok: false, status, body }. The font stack goes into CSS verbatim, so only
+// names, quotes, commas and spaces are allowed.
+export function cleanKit(raw) {
+  const name = String(raw?.name ?? "").trim();
+  if (!name || name.length > 80) return badKit("name", "Give the kit a name (max 80 characters).");
+
+  const colors = cleanGroup(raw.colors, "colors", cleanColor, "a colour (#hex, rgb(), hsl())");
+  if (!colors.ok) return colors;
+  const kit = { name, colors: colors.tokens, font_family: null };
+  for (const field of Object.keys(SCALES)) {
+    const group = cleanGroup(raw[field], field, cleanLength, "a positive length in px, rem or em");
+    if (!group.ok) return group;
+    kit[field] = group.tokens;
+  }
+
+  if (raw.font_family != null && String(raw.font_family).trim()) {
+    const stack = String(raw.font_family).trim();
+    if (stack.length > 200 || !/^[\w\s,"'-]+$/.test(stack)) {
+      return badKit("font_family", 'A font stack such as "Inter", system-ui, sans-serif (max 200 characters).');
+    }
+    kit.font_family = stack;
+  }
+
+  if (!kitVariables(kit).length) return badKit("colors", "A kit needs at least one token.");
+  return { ok: true, kit };
+}
+
+/* ---------------- storage ---------------- */
+
+// lib: { userId, workspaceId } from libraryFor().
+export async function listKits(lib) {
+  const { data, error } = await inLibrary(supabaseAdmin.from("brand_kits").select(COLUMNS), lib)
+    .order("updated_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getKit(lib, id) {
+  const { data, error } = await inLibrary(supabaseAdmin.from("brand_kits").select(COLUMNS), lib)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Inserts a new kit into the library, or replaces kit `id` → the saved row (null when `id` is not in the library).
+export async function saveKit(lib, kit, id = null) {
+  const now = new Date().toISOString();
+  const query = id
+    ? inLibrary(supabaseAdmin.from("brand_kits").update({ ...kit, updated_at: now }), lib).eq("id", id)
+    : supabaseAdmin.from("brand_kits").insert({ ...kit, user_id: lib.userId, workspace_id: lib.workspaceId, created_at: now, updated_at: now });
+  const { data, error } = await query.select(COLUMNS);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export async function deleteKit(lib, id) {
+  const { data, error } = await inLibrary(supabaseAdmin.from("brand_kits").delete(), lib)
+    .eq("id", id)
+    .select("id");
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+// body.kit_id on a generation request → null (not sent), { ok: true, kit } or { ok: false, status, body }.
+export async function resolveKit(user, kitId) {
+  if (kitId == null || kitId === "") return null;
+  if (!user) {
+    return { ok: false, status: 401, body: { error: "unauthorized", hint: "Brand kits belong to an account. Sign in to use kit_id." } };
+  }
+  const kit = await getKit(await libraryFor(user.id), String(kitId));
+  if (!kit) return { ok: false, status: 404, body: { error: "kit_not_found", hint: "GET /api/brand-kits lists your kits." } };
+  return { ok: true, kit };
+}
+
+/* ---------------- prompt + CSS ---------------- */
+
+// [{ name: "--color-primary", value, group }] in prompt / :root order.
+export function kitVariables(kit) {
+  const vars = Object.entries(kit.colors || {}).map(([k, value]) => ({ name: `--color-${k}`, value, group: "color" }));
+  if (kit.font_family) vars.push({ name: "--font-family", value: kit.font_family, group: "font-family" });
+  for (const [field, prefix] of Object.entries(SCALES)) {
+    for (const [k, value] of Object.entries(kit[field] || {})) vars.push({ name: `--${prefix}-${k}`, value, group: field });
+  }
+  return vars;
+}
+
+// The :root block that defines every kit token.
+export function kitRootCss(kit) {
+  return `:root {\n${kitVariables(kit).map((v) => `  ${v.name}: ${v.value};`).join("\n")}\n}\n`;
+}
+
+// Prompt lines for a kit; empty without one.
+export function kitLines(kit) {
+  if (!kit) return [];
+  const vars = kitVariables(kit);
+  return [
+    `Brand kit "${kit.name}" — these custom properties are already defined by the page: ` +
+      vars.map((v) => `${v.name}: ${v.value}`).join("; ") + ".",
+    "Write every colour, font-family, font-size, border-radius and margin/padding/gap value as var(--token) from that list, " +
+      "picking the closest token. Do not redefine the tokens or add a :root block; use a literal only where no token comes close.",
+    "Use the font-family / font-size longhands, not the font shorthand.",
+  ];
+}
+
+function nearestLength(px, scale) {
+  let best = null;
+  for (const t of scale) if (!best || Math.abs(t.px - px) < Math.abs(best.px - px)) best = t;
+  return best && Math.abs(best.px - px) <= Math.max(LENGTH_SNAP_PX, px * LENGTH_SNAP_RATIO) ? best : null;
+}
+
+function nearestColor([r, g, b, a], palette) {
+  let best = null, bestDist = Infinity;
+  for (const t of palette) {
+    if (Math.abs(t.rgba[3] - a) >= 0.05) continue;
+    const d = Math.hypot(t.rgba[0] - r, t.rgba[1] - g, t.rgba[2] - b);
+    if (d < bestDist) { best = t; bestDist = d; }
+  }
+  return bestDist <= COLOR_SNAP_DISTANCE ? best : null;
+}
+
+// Rewrites the literal values a kit covers to var(--token): colours anywhere, font-family, font-size, border radii and
+// margin / padding / gap. A group the kit leaves empty is not touched; a value no token is close to stays and is
+// reported, as is the font shorthand. Redefinitions of kit tokens are dropped so the kit's :root values win.
+// → { css, snapped, unmapped: [{ prop, value, count }] } (css unchanged if it does not parse).
+export function snapToKit(css, kit) {
+  let root;
+  try {
+    root = postcss.parse(String(css || ""));
+  } catch {
+    return { css, snapped: 0, unmapped: [] };
+  }
+  const colors = Object.entries(kit.colors || {}).map(([k, v]) => ({ ref: `var(--color-${k})`, rgba: parseColor(v) }));
+  const scale = (field) => Object.entries(kit[field] || {}).map(([k, v]) => ({ ref: `var(--${SCALES[field]}-${k})`, px: parseLength(v) }));
+  const sizes = scale("type_scale"), radii = scale("radius"), spacing = scale("spacing");
+  const defined = new Set(kitVariables(kit).map((v) => v.name));
+
+  let snapped = 0;
+  const unmapped = new Map();
+  const miss = (prop, value) => {
+    const key = `${prop}\n${value}`;
+    if (unmapped.has(key)) unmapped.get(key).count += 1;
+    else unmapped.set(key, { prop, value, count: 1 });
+  };
+  const snapLength = (prop, part, tokens) => {
+    const px = parseLength(part);
+    if (!px) return part; // zero, auto, %, calc() …
+    const hit = nearestLength(Math.abs(px), tokens);
+    if (!hit) {
+      miss(prop, part);
+      return part;
+    }
+    snapped += 1;
+    return px < 0 ? `calc(${hit.ref} * -1)` : hit.ref;
+  };
+  // Colour literals outside var(…), so token names like --color-white are never rewritten.
+  const snapColors = (prop, value) => value.split(/(var\([^)]*\))/).map((seg, i) => (i % 2 ? seg : seg.replace(COLOR_RE, (m) => {
+    const c = parseColor(m);
+    if (!c || c[3] === 0) return m;
+    const hit = nearestColor(c, colors);
+    if (!hit) {
+      miss(prop, m);
+      return m;
+    }
+    snapped += 1;
+    return hit.ref;
+  }))).join("");
+
+  root.walkDecls((decl) => {
+    if (decl.prop.startsWith("--")) {
+      if (!defined.has(decl.prop)) return;
+      const rule = decl.parent;
+      decl.remove();
+      if (!rule.nodes.length) rule.remove();
+      return;
+    }
+    const prop = decl.prop.toLowerCase();
+    let value = decl.value;
+    if (colors.length) value = snapColors(prop, value);
+
+    if (prop === "font-family" && kit.font_family && !/^(?:var\(|inherit|initial|unset|revert)/i.test(value.trim())) {
+      if (/monospace/i.test(value)) miss(prop, value.trim());
+      else {
+        value = "var(--font-family)";
+        snapped += 1;
+      }
+    } else if (prop === "font" && (sizes.length || kit.font_family)) {
+      miss(prop, value.trim());
+    } else if (prop === "font-size" && sizes.length) {
+      value = snapLength(prop, value.trim(), sizes);
+    } else if (RADIUS_PROPS.test(prop) && radii.length) {
+      value = splitTopLevel(value.replace("/", " / ")).map((p) => snapLength(prop, p, radii)).join(" ");
+    } else if (SPACING_PROPS.test(prop) && spacing.length) {
+      value = splitTopLevel(value).map((p) => snapLength(prop, p, spacing)).join(" ");
+    }
+    if (value !== decl.value) decl.value = value;
+  });
+
+  return {
+    css: root.toString().trim(),
+    snapped,
+    unmapped: [...unmapped.values()].sort((a, b) => b.count - a.count),
+  };
+}
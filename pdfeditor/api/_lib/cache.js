@@ -0,0 +1,227 @@
+// /api/_lib/cache.js
+// Content-addressed cache of model output, so re-submitting a screenshot doesn't pay for the model passes again.
+// key = { variant, hash }: `hash` is the SHA-256 of the decoded image bytes (the data URL's MIME spelling and base64
+// line breaks don't matter; several shots hash their bytes in order with each width / state), `variant` the SHA-256 of
+// everything else that shapes the output — endpoint, scope, component, passes, palette, prompt notes (brand kit,
+// breakpoints, states) and the provider:model of every pass — so switching a model in MODELS starts a fresh cache.
+// generate-css caches the model output, so kit snapping, accessibility fixes and tokens still run on a hit;
+// generate-index caches the finished run, so its key also covers the kit's values and the accessibility mode.
+// Backends (CACHE_BACKEND): "supabase" (default when configured), "memory" (per instance, default otherwise), "file"
+// (CACHE_DIR, default <tmpdir>/imagetocss-cache) or "off". Entries live CACHE_TTL_HOURS (default 168).
+// { cache: "bypass" } skips the lookup but stores the fresh result; { cache: "similar" } falls back to a near-duplicate
+// of the same owner's (perceptual hash within CACHE_PHASH_DISTANCE bits, same aspect ratio) — PNG only (_lib/phash.js).
+// Decoding for the hash is only done for "similar" requests, so only what they store can be matched that way.
+// Cache failures are logged and never fail a generation.
+// Table `generation_cache`: variant, image_hash (primary key together), endpoint, owner (user id or IP hash), phash,
+//   width, height, payload (jsonb), created_at, expires_at.
+
+import crypto from "node:crypto";
+import os from "node:os";
+import path from "node:path";
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { supabaseAdmin, supabaseConfigured } from "./supabase.js";
+import { ENDPOINT_PASSES, modelFor } from "./models.js";
+import { hammingDistance, perceptualHash } from "./phash.js";
+
+const FALLBACK_TTL_HOURS = 168;
+const FALLBACK_PHASH_DISTANCE = 6;   // of 256 bits
+const MAX_ASPECT_DRIFT = 0.03;
+const MEMORY_ENTRIES = 200;
+const SIMILAR_CANDIDATES = 200;      // newest entries of the owner's compared for a near-duplicate
+const CACHE_MODES = ["bypass", "similar"];
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Request option → "lookup" (default) | "bypass" | "similar", or the bad_cache failure.
+export function cacheMode(option) {
+  if (option == null || option === true || option === "lookup") return { ok: true, mode: "lookup" };
+  if (CACHE_MODES.includes(option)) return { ok: true, mode: option };
+  return { ok: false, status: 400, body: { error: "bad_cache", hint: 'cache is "bypass" (skip the lookup) or "similar" (also match near-duplicates).' } };
+}
+
+// images: data URLs, tags: the width / state of each (null for a single shot); params: whatever else shapes the output.
+export function cacheKey(endpoint, images, tags, params) {
+  const models = ENDPOINT_PASSES[endpoint].map((pass) => {
+    const { provider, model } = modelFor(endpoint, pass);
+    return `${pass}=${provider}:${model}`;
+  });
+  const variant = sha256(JSON.stringify({ endpoint, models, ...params }));
+  const parts = images.map((image, i) => {
+    const base64 = String(image).slice(String(image).indexOf(",") + 1).replace(/\s+/g, "");
+    return `${tags[i] ?? ""}:${sha256(Buffer.from(base64, "base64"))}`;
+  });
+  const hash = parts.length === 1 && tags[0] == null ? parts[0].slice(1) : sha256(parts.join("\n"));
+  return { endpoint, variant, hash, image: images.length === 1 ? images[0] : null };
+}
+
+/* ---------------- backends ---------------- */
+
+// Entries: { variant, image_hash, endpoint, owner, phash, width, height, payload, created_at, expires_at }.
+const memory = new Map();
+
+const memoryBackend = {
+  async get(variant, hash) {
+    const id = `${variant}:${hash}`;
+    const entry = memory.get(id);
+    if (!entry) return null;
+    memory.delete(id); // re-insert: Map order doubles as least-recently-used
+    memory.set(id, entry);
+    return { ...entry, payload: JSON.parse(entry.payload) };
+  },
+  async candidates(variant, owner) {
+    return [...memory.values()]
+      .filter((e) => e.variant === variant && e.owner === owner && e.phash)
+      .slice(-SIMILAR_CANDIDATES)
+      .map((e) => ({ ...e, payload: JSON.parse(e.payload) }));
+  },
+  async put(entry) {
+    const id = `${entry.variant}:${entry.image_hash}`;
+    memory.delete(id);
+    memory.set(id, { ...entry, payload: JSON.stringify(entry.payload) });
+    while (memory.size > MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+  },
+  async drop(variant, hash) {
+    memory.delete(`${variant}:${hash}`);
+  },
+};
+
+const cacheDir = () => process.env.CACHE_DIR || path.join(os.tmpdir(), "imagetocss-cache");
+
+const fileBackend = {
+  async get(variant, hash) {
+    const raw = await readFile(path.join(cacheDir(), variant, `${hash}.json`), "utf8").catch(() => null);
+    return raw ? JSON.parse(raw) : null;
+  },
+  async candidates(variant, owner) {
+    const dir = path.join(cacheDir(), variant);
+    const names = await readdir(dir).catch(() => []);
+    const entries = await Promise.all(names.map((n) => readFile(path.join(dir, n), "utf8").then(JSON.parse).catch(() => null)));
+    return entries
+      .filter((e) => e && e.owner === owner && e.phash)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .slice(-SIMILAR_CANDIDATES);
+  },
+  async put(entry) {
+    const dir = path.join(cacheDir(), entry.variant);
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, `${entry.image_hash}.json`), JSON.stringify(entry));
+  },
+  async drop(variant, hash) {
+    await rm(path.join(cacheDir(), variant, `${hash}.json`), { force: true });
+  },
+};
+
+const supabaseBackend = {
+  async get(variant, hash) {
+    const { data, error } = await supabaseAdmin
+      .from("generation_cache")
+      .select("*")
+      .eq("variant", variant)
+      .eq("image_hash", hash)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+  async candidates(variant, owner) {
+    const { data, error } = await supabaseAdmin
+      .from("generation_cache")
+      .select("*")
+      .eq("variant", variant)
+      .eq("owner", owner)
+      .not("phash", "is", null)
+      .gt("expires_at", new Date().toISOString())
+      .order("created_at", { ascending: false })
+      .limit(SIMILAR_CANDIDATES);
+    if (error) throw error;
+    return data || [];
+  },
+  async put(entry) {
+    const { error } = await supabaseAdmin.from("generation_cache").upsert(entry, { onConflict: "variant,image_hash" });
+    if (error) throw error;
+  },
+  async drop(variant, hash) {
+    const { error } = await supabaseAdmin.from("generation_cache").delete().eq("variant", variant).eq("image_hash", hash);
+    if (error) throw error;
+  },
+};
+
+function backend() {
+  const name = process.env.CACHE_BACKEND || (supabaseConfigured ? "supabase" : "memory");
+  if (name === "off") return null;
+  if (name === "file") return fileBackend;
+  if (name === "supabase" && supabaseConfigured) return supabaseBackend;
+  return memoryBackend;
+}
+
+const expired = (entry, now) => Date.parse(entry.expires_at) <= now;
+
+// Decoded once per request: the near-duplicate lookup and the store both need it.
+function probeOf(key) {
+  if (!("probe" in key)) key.probe = key.image ? perceptualHash(key.image) : null;
+  return key.probe;
+}
+
+/* ---------------- lookup / store ---------------- */
+
+// → { payload, match: "exact" } | { payload, match: "similar", distance } | null (miss, bypass, or cache unavailable).
+export async function readCache(key, { mode = "lookup", owner = null } = {}) {
+  const store = backend();
+  if (!store || mode === "bypass") return null;
+  try {
+    const now = Date.now();
+    const hit = await store.get(key.variant, key.hash);
+    if (hit && !expired(hit, now)) return { payload: hit.payload, match: "exact" };
+    if (hit) await store.drop(key.variant, key.hash);
+    if (mode !== "similar" || !owner || !key.image) return null;
+
+    const probe = probeOf(key);
+    if (!probe) return null;
+    const limit = envNumber("CACHE_PHASH_DISTANCE", FALLBACK_PHASH_DISTANCE);
+    const aspect = probe.width / probe.height;
+    let best = null;
+    for (const entry of await store.candidates(key.variant, owner)) {
+      if (expired(entry, now) || !entry.width || !entry.height) continue;
+      if (Math.abs(entry.width / entry.height - aspect) > aspect * MAX_ASPECT_DRIFT) continue;
+      const distance = hammingDistance(probe.hash, entry.phash);
+      if (distance <= limit && (!best || distance < best.distance)) best = { payload: entry.payload, match: "similar", distance };
+    }
+    return best;
+  } catch (err) {
+    console.error("cache_error", err);
+    return null;
+  }
+}
+
+export async function writeCache(key, payload, { mode = "lookup", owner = null } = {}) {
+  const store = backend();
+  if (!store) return;
+  try {
+    const now = Date.now();
+    const probe = mode === "similar" ? probeOf(key) : null;
+    await store.put({
+      variant: key.variant,
+      image_hash: key.hash,
+      endpoint: key.endpoint,
+      owner,
+      phash: probe?.hash || null,
+      width: probe?.width || null,
+      height: probe?.height || null,
+      payload,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + envNumber("CACHE_TTL_HOURS", FALLBACK_TTL_HOURS) * 3_600_000).toISOString(),
+    });
+  } catch (err) {
+    console.error("cache_error", err);
+  }
+}
+
+// X-Cache: HIT | MISS, and X-Cache-Match: similar; distance=N when the hit was a near-duplicate.
+export function setCacheHeaders(res, hit) {
+  res.setHeader("X-Cache", hit ? "HIT" : "MISS");
+  if (hit?.match === "similar") res.setHeader("X-Cache-Match", `similar; distance=${hit.distance}`);
+}
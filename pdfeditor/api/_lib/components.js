@@ -0,0 +1,303 @@
+// /api/_lib/components.js
+// Deterministic { css, html } → framework component translation (no model call). The markup is parsed once, wrapped
+// in the scope element when the model left it out (same rule as app.html's preview), and re-serialised per target:
+// JSX for React (className / htmlFor / style objects, CSS Modules or styled-components), a Vue SFC with scoped styles,
+// a Svelte component, or a Custom Element that carries its styles in the shadow root.
+
+import postcss from "postcss";
+import { parseDocument } from "htmlparser2";
+
+export const COMPONENT_TARGETS = {
+  "react-css-modules": "React + CSS Modules",
+  "react-styled": "React + styled-components",
+  vue: "Vue single-file component",
+  svelte: "Svelte component",
+  "web-component": "Custom Element (shadow DOM)",
+};
+
+const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+// HTML attribute → React prop, where it isn't just the camel-cased name.
+const JSX_ATTRS = {
+  class: "className", for: "htmlFor", tabindex: "tabIndex", readonly: "readOnly", maxlength: "maxLength",
+  minlength: "minLength", colspan: "colSpan", rowspan: "rowSpan", autocomplete: "autoComplete", autofocus: "autoFocus",
+  contenteditable: "contentEditable", crossorigin: "crossOrigin", srcset: "srcSet", enctype: "encType",
+  novalidate: "noValidate", spellcheck: "spellCheck", usemap: "useMap", datetime: "dateTime", accesskey: "accessKey",
+  inputmode: "inputMode", allowfullscreen: "allowFullScreen", cellpadding: "cellPadding", cellspacing: "cellSpacing",
+  formaction: "formAction", hreflang: "hrefLang", viewbox: "viewBox", preserveaspectratio: "preserveAspectRatio",
+  "xlink:href": "xlinkHref", "xml:space": "xmlSpace",
+};
+
+// ---- names ----
+function words(name) {
+  return String(name || "").replace(/([a-z0-9])([A-Z])/g, "$1 $2").split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+export function componentName(name) {
+  const pascal = words(name).map((w) => w[0].toUpperCase() + w.slice(1).toLowerCase()).join("") || "Component";
+  return /^[0-9]/.test(pascal) ? `C${pascal}` : pascal;
+}
+
+// Custom element names need a hyphen and a leading letter.
+export function elementTagName(name) {
+  const kebab = words(name).map((w) => w.toLowerCase()).join("-") || "component";
+  const tag = /^[a-z]/.test(kebab) ? kebab : `x-${kebab}`;
+  return tag.includes("-") ? tag : `ui-${tag}`;
+}
+
+function scopeClasses(scope) {
+  return (String(scope || "").match(/\.-?[_a-zA-Z][\w-]*/g) || []).map((c) => c.slice(1));
+}
+
+// ---- markup ----
+
+// Parse the component markup; scripts and inline handlers never make it into a component file. Case is kept so SVG
+// names (viewBox, linearGradient) survive; shouty HTML (<DIV CLASS>) is lower-cased.
+function parseMarkup(html, scope) {
+  const doc = parseDocument(String(html || ""), {
+    decodeEntities: true, recognizeSelfClosing: true, lowerCaseTags: false, lowerCaseAttributeNames: false,
+  });
+  const strip = (nodes) => nodes.filter((n) => {
+    if (n.type === "script") return false;
+    if (n.name && n.name === n.name.toUpperCase()) n.name = n.name.toLowerCase();
+    if (n.attribs) {
+      n.attribs = Object.fromEntries(Object.entries(n.attribs)
+        .filter(([k]) => !/^on/i.test(k))
+        .map(([k, v]) => [k === k.toUpperCase() ? k.toLowerCase() : k, v]));
+    }
+    if (n.children) n.children = strip(n.children);
+    return true;
+  });
+  let nodes = strip(doc.children).filter((n) => !(n.type === "text" && !n.data.trim()));
+
+  const classes = scopeClasses(scope);
+  if (classes.length) {
+    const root = nodes.length === 1 && nodes[0].type === "tag" ? nodes[0] : null;
+    const has = root && classes.every((c) => (root.attribs.class || "").split(/\s+/).includes(c));
+    if (!has) nodes = [{ type: "tag", name: "div", attribs: { class: classes.join(" ") }, children: nodes }];
+  }
+  return nodes;
+}
+
+const isElement = (n) => n.type === "tag" || n.type === "style";
+
+// Shared pretty-printer: children that are all elements go one per line; mixed text + inline elements stay on one
+// line so whitespace between words survives (JSX drops whitespace that contains a newline).
+function serialize(nodes, fmt, depth = 0) {
+  const pad = "  ".repeat(depth);
+  return nodes.map((n) => pad + renderNode(n, fmt, depth)).filter((l) => l.trim()).join("\n");
+}
+
+function renderNode(n, fmt, depth) {
+  if (n.type === "text") return fmt.text(n.data.replace(/\s+/g, " "), n);
+  if (n.type === "comment") return fmt.comment(n.data);
+  if (!isElement(n)) return "";
+  const name = fmt.tagName ? fmt.tagName(n) : n.name;
+  const open = `<${name}${fmt.attrs(n)}`;
+  if (VOID.has(n.name.toLowerCase())) return `${open}${fmt.voidClose}`;
+
+  const kids = (n.children || []).filter((c) => !(c.type === "text" && !c.data.trim()));
+  if (!kids.length) return fmt.selfCloseEmpty ? `${open}${fmt.voidClose}` : `${open}></${name}>`;
+  const blockish = kids.every((c) => isElement(c) || c.type === "comment");
+  if (!blockish) {
+    const inline = (n.children || []).map((c) => renderNode(c, fmt, depth)).join("");
+    return `${open}>${inline.replace(/^ | $/g, "")}</${name}>`;
+  }
+  return `${open}>\n${serialize(kids, fmt, depth + 1)}\n${"  ".repeat(depth)}</${name}>`;
+}
+
+const escapeHtml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttr = (s) => s.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+// Plain HTML for Vue / Svelte / Custom Elements; braces are entity-escaped so neither template language reads them
+// as expressions.
+function htmlFormat({ braces = false } = {}) {
+  const curly = (s) => (braces ? s.replace(/\{/g, "&#123;").replace(/\}/g, "&#125;") : s);
+  return {
+    voidClose: ">",
+    text: (s) => curly(escapeHtml(s)),
+    comment: (s) => `<!--${s}-->`,
+    attrs: (n) => Object.entries(n.attribs || {})
+      .map(([k, v]) => (v === "" ? ` ${k}` : ` ${k}="${curly(escapeAttr(v))}"`)).join(""),
+  };
+}
+
+function camel(s) {
+  return s.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function styleObject(style) {
+  const entries = String(style).split(";").map((d) => d.trim()).filter(Boolean).map((d) => {
+    const i = d.indexOf(":");
+    if (i < 0) return null;
+    const prop = d.slice(0, i).trim();
+    const key = prop.startsWith("--") ? JSON.stringify(prop) : camel(prop.replace(/^-ms-/, "ms-"));
+    return `${key}: ${JSON.stringify(d.slice(i + 1).trim())}`;
+  }).filter(Boolean);
+  return `{{ ${entries.join(", ")} }}`;
+}
+
+const identifier = (s) => /^[A-Za-z_$][\w$]*$/.test(s);
+
+// JSX. `classExpr(classes, node)` returns the className value ("..." or {...}), or null to drop the attribute.
+function jsxFormat({ classExpr = (cls) => JSON.stringify(cls.join(" ")), tagName } = {}) {
+  return {
+    voidClose: " />",
+    selfCloseEmpty: true,
+    tagName,
+    text: (s) => (/[{}<>&]/.test(s) ? `{${JSON.stringify(s)}}` : s),
+    comment: (s) => `{/*${s.replace(/\*\//g, "* /")}*/}`,
+    attrs: (n) => Object.entries(n.attribs || {}).map(([k, v]) => {
+      if (k === "class") {
+        const value = classExpr(v.split(/\s+/).filter(Boolean), n);
+        return value ? ` className=${value}` : "";
+      }
+      if (k === "style") return ` style=${styleObject(v)}`;
+      const lower = k.toLowerCase();
+      let prop = JSX_ATTRS[lower] || (/^(aria|data)-/.test(lower) ? lower : camel(k));
+      if (lower === "value" && /^(input|textarea|select)$/i.test(n.name)) prop = "defaultValue";
+      if (lower === "checked") prop = "defaultChecked";
+      if (v === "") return ` ${prop}`;
+      return /["\\{}]/.test(v) ? ` ${prop}={${JSON.stringify(v)}}` : ` ${prop}="${v}"`;
+    }).join(""),
+  };
+}
+
+// <textarea>text</textarea> is not valid React; move the text to defaultValue.
+function reactTextareas(nodes) {
+  for (const n of nodes) {
+    if (/^textarea$/i.test(n.name || "") && n.children?.length) {
+      n.attribs = { ...n.attribs, value: n.children.map((c) => c.data || "").join("") };
+      n.children = [];
+    }
+    if (n.children) reactTextareas(n.children);
+  }
+  return nodes;
+}
+
+// ---- styles ----
+
+// Re-indent CSS with two spaces, one declaration per line and a blank line between top-level blocks.
+export function formatCss(css) {
+  const root = typeof css === "string" ? postcss.parse(css) : css;
+  root.cleanRaws();
+  root.walk((n) => { if (n.nodes) n.raws.semicolon = true; });
+  root.rawCache = {
+    indent: "  ", beforeDecl: "\n", beforeRule: "\n", beforeComment: "\n", beforeAtrule: "\n", beforeClose: "\n",
+    beforeOpen: " ", colon: ": ",
+  };
+  root.each((n, i) => { n.raws.before = i ? "\n\n" : ""; });
+  return root.toString().trim() + "\n";
+}
+
+function cssClassNames(css) {
+  const names = new Set();
+  postcss.parse(css).walkRules((rule) => {
+    for (const m of rule.selector.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)) names.add(m[1]);
+  });
+  return names;
+}
+
+// Scope-rooted selectors become `&…` so the rules nest inside the styled root; the root's own declarations are
+// hoisted to the top of the template.
+function styledCss(css, scope) {
+  const root = postcss.parse(css);
+  const starts = (sel) => sel.startsWith(scope) && !/[\w-]/.test(sel.charAt(scope.length));
+  root.walkRules((rule) => {
+    if (rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name)) return;
+    rule.selectors = rule.selectors.map((sel) => (starts(sel) ? `&${sel.slice(scope.length)}` : sel));
+  });
+  const hoisted = [];
+  root.each((node) => {
+    if (node.type === "rule" && node.selector === "&") {
+      hoisted.push(...node.nodes.map((d) => d.clone()));
+      node.remove();
+    }
+  });
+  root.prepend(...hoisted);
+  const out = formatCss(root).replace(/\n\n(?=[\w-]+: )/g, "\n");
+  return out.trim().split("\n").map((l) => (l ? `  ${l}` : l)).join("\n");
+}
+
+const templateLiteral = (s) => s.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$\{/g, "\\${");
+
+function indent(text, spaces) {
+  const pad = " ".repeat(spaces);
+  return text.split("\n").map((l) => (l ? pad + l : l)).join("\n");
+}
+
+// ---- targets ----
+
+function reactComponent(name, jsx, head) {
+  return `${head}\n\nexport default function ${name}() {\n  return (\n${indent(jsx, 4)}\n  );\n}\n`;
+}
+
+const BUILDERS = {
+  "react-css-modules"({ css, nodes, name }) {
+    const local = cssClassNames(css);
+    const ref = (c) => (identifier(c) ? `styles.${c}` : `styles[${JSON.stringify(c)}]`);
+    const classExpr = (classes) => {
+      const parts = classes.map((c) => (local.has(c) ? { expr: ref(c) } : { lit: c }));
+      if (parts.every((p) => p.lit)) return JSON.stringify(classes.join(" "));
+      if (parts.length === 1) return `{${parts[0].expr}}`;
+      return `{\`${parts.map((p) => (p.lit ? p.lit : `\${${p.expr}}`)).join(" ")}\`}`;
+    };
+    const jsx = serialize(reactTextareas(nodes), jsxFormat({ classExpr }));
+    return [
+      { filename: `${name}.jsx`, type: "text/javascript", content: reactComponent(name, jsx, `import styles from "./${name}.module.css";`) },
+      { filename: `${name}.module.css`, type: "text/css", content: formatCss(css) },
+    ];
+  },
+
+  "react-styled"({ css, nodes, name, scope }) {
+    const classes = scopeClasses(scope);
+    const root = nodes.length === 1 && nodes[0].type === "tag"
+      ? nodes[0]
+      : { type: "tag", name: "div", attribs: {}, children: nodes };
+    const classExpr = (cls, n) => {
+      const rest = n === root ? cls.filter((c) => !classes.includes(c)) : cls;
+      return rest.length ? JSON.stringify(rest.join(" ")) : null;
+    };
+    const jsx = serialize(reactTextareas([root]), jsxFormat({ classExpr, tagName: (n) => (n === root ? "Root" : n.name) }));
+    const body = scope ? styledCss(css, scope) : indent(formatCss(css).trim(), 2);
+    const tag = /^[a-z][a-z0-9]*$/.test(root.name) ? root.name : "div";
+    const head = `import styled from "styled-components";\n\nconst Root = styled.${tag}\`\n${templateLiteral(body)}\n\`;`;
+    return [{ filename: `${name}.jsx`, type: "text/javascript", content: reactComponent(name, jsx, head) }];
+  },
+
+  vue({ css, nodes, name }) {
+    const template = serialize(nodes, htmlFormat({ braces: true }), 1);
+    const content =
+      `<template>\n${template}\n</template>\n\n` +
+      `<script>\nexport default {\n  name: ${JSON.stringify(name)},\n};\n</script>\n\n` +
+      `<style scoped>\n${formatCss(css)}</style>\n`;
+    return [{ filename: `${name}.vue`, type: "text/plain", content }];
+  },
+
+  svelte({ css, nodes, name }) {
+    const markup = serialize(nodes, htmlFormat({ braces: true }));
+    return [{ filename: `${name}.svelte`, type: "text/plain", content: `${markup}\n\n<style>\n${indent(formatCss(css).trim(), 2)}\n</style>\n` }];
+  },
+
+  "web-component"({ css, nodes, name, tag }) {
+    const markup = serialize(nodes, htmlFormat());
+    const styles = `:host {\n  display: block;\n}\n\n${formatCss(css)}`;
+    const content =
+      `const template = document.createElement("template");\n` +
+      `template.innerHTML = \`\n<style>\n${templateLiteral(styles)}</style>\n${templateLiteral(markup)}\n\`;\n\n` +
+      `export class ${name} extends HTMLElement {\n` +
+      `  constructor() {\n    super();\n    this.attachShadow({ mode: "open" }).appendChild(template.content.cloneNode(true));\n  }\n}\n\n` +
+      `if (!customElements.get(${JSON.stringify(tag)})) customElements.define(${JSON.stringify(tag)}, ${name});\n`;
+    return [{ filename: `${tag}.js`, type: "text/javascript", content }];
+  },
+};
+
+// → { target, name, tag, files: [{ filename, type, content }] }. Throws on CSS that postcss cannot parse.
+export function buildComponent({ css = "", html = "", scope = ".comp", component = "component" }, target) {
+  const build = BUILDERS[target];
+  if (!build) return null;
+  const name = componentName(component);
+  const tag = elementTagName(component);
+  const nodes = parseMarkup(html, scope);
+  return { target, name, tag, files: build({ css: String(css || ""), nodes, name, tag, scope: String(scope || "") }) };
+}
@@ -0,0 +1,161 @@
+// /api/_lib/convert.js
+// One screenshot → { css, html } (JSON by prompt) through the provider layer; models come from the
+// generate-css.convert / generate-css.repair config in models.js. The result is checked by validate.js (scope,
+// class consistency, unsafe content stripped); broken JSON or remaining violations use up the repair passes, each a
+// targeted request listing what to fix. `images` replaces the single screenshot with several (breakpoint or state
+// sets), `notes` adds lines to the prompt that describe them. Shared by generate-css and the batch runner.
+// refineComponent() sends the screenshot with the current { css, html } and an instruction (refine.revise /
+// refine.repair) and goes through the same checks and repairs. Both return
+// { ok: true, css, html, validation, model, usage, calls } or { ok: false, status, body, model, usage, calls };
+// metering, history and quotas stay with the callers.
+
+import { emptyUsage } from "./usage.js";
+import { complete, isModelError, modelFor } from "./models.js";
+import { checkComponent, repairPrompt } from "./validate.js";
+
+export const MAX_IMAGE_BYTES = 4.2 * 1024 * 1024;
+
+// null when the data URL is acceptable, else { status, body } in the usual error shape.
+export function checkImage(image) {
+  if (!image || typeof image !== "string" || !/^data:image\/(png|jpe?g|webp);base64,/.test(image)) {
+    return { status: 400, body: { error: "bad_image", hint: "Send { image: dataURL } (png/jpg/webp). Use a cropped component screenshot." } };
+  }
+  if (Buffer.byteLength(image, "utf8") > MAX_IMAGE_BYTES) {
+    return { status: 413, body: { error: "image_too_large", hint: "Keep image dataURL under ~4MB. Crop or compress." } };
+  }
+  return null;
+}
+
+function fail(status, body, usage, calls, model) {
+  return { ok: false, status, body, model, usage, calls };
+}
+
+export async function convertComponent({
+  image, images = [image], notes = [], scope = ".comp", component = "component", palette = [], repairPasses = 0, signal,
+}) {
+  // --- Prompt ---
+  const system =
+    "You convert UI component screenshots into compact, production-ready HTML + CSS.\n" +
+    "Rules:\n" +
+    '- Return STRICT JSON only: {"css":"...","html":"..."} (no prose, no code fences).\n' +
+    "- Scope ALL selectors under the provided scope (e.g. .comp button {...}).\n" +
+    "- Approximate fonts, sizes, colors, borders, radii, shadows from the image.\n" +
+    "- Include :hover and :focus-visible only if visually implied or shown in a state screenshot.\n" +
+    "- Minimal semantic HTML for just the component. No external assets; use plain text like →.";
+
+  const userText =
+    `Scope class: ${scope}\n` +
+    `Component hint: ${component}\n` +
+    (palette.length ? `Palette (extracted from the image; use these exact hex values where they visually match): ${palette.join(", ")}\n` : "") +
+    notes.map((line) => `${line}\n`).join("") +
+    "Infer styles from the image and output JSON ONLY with keys: css, html.";
+
+  return runComponent({ endpoint: "generate-css", pass: "convert", system, text: userText, images, scope, component, repairPasses, signal });
+}
+
+export async function refineComponent({
+  image, css, html, instruction, notes = [], scope = ".comp", component = "component", repairPasses = 0, signal,
+}) {
+  const system =
+    "You revise an existing HTML + CSS component so it matches its screenshot and the user's instruction.\n" +
+    "Rules:\n" +
+    '- Return STRICT JSON only: {"css":"...","html":"..."} with the COMPLETE revised css and html (no prose, no code fences).\n' +
+    "- Change only what the instruction asks for; keep every other rule, declaration, selector and class name as it is.\n" +
+    "- Keep ALL selectors under the provided scope. No external assets.";
+
+  const userText =
+    `Scope class: ${scope}\n` +
+    `Component hint: ${component}\n` +
+    notes.map((line) => `${line}\n`).join("") +
+    `Instruction: ${instruction}\n\n` +
+    `Current output:\n${JSON.stringify({ css, html })}`;
+
+  return runComponent({
+    endpoint: "refine", pass: "revise", system, text: userText, images: [image], scope, component, repairPasses, signal,
+    context: { css, html, instruction },
+  });
+}
+
+// Model call → JSON → validation, then repair passes (broken JSON first, then remaining violations).
+async function runComponent({ endpoint, pass, system, text, images, scope, component, repairPasses, signal, context: extra = {} }) {
+  const usage = emptyUsage();
+  const model = modelFor(endpoint, pass).model;
+  const context = { scope, scopeClass: String(scope).replace(/\./g, " ").trim(), component, ...extra };
+  let modelCalls = 0;
+
+  let content;
+  try {
+    modelCalls += 1;
+    content = await complete({ endpoint, pass, system, text, images, usage, signal, context });
+  } catch (err) {
+    if (isModelError(err)) return fail(502, err.body, usage, modelCalls, model);
+    throw err;
+  }
+  // Some models may wrap JSON in fences; strip cautiously
+  content = stripJsonFences(content);
+
+  let parsed;
+  try { parsed = JSON.parse(content); } catch { /* fall through to repair */ }
+
+  const repair = async (text) => {
+    modelCalls += 1;
+    try {
+      return stripJsonFences(await complete({
+        endpoint,
+        pass: "repair",
+        system: 'Return ONLY valid JSON {"css":"...","html":"..."}. No commentary, no code fences.',
+        text,
+        usage,
+        signal,
+        context,
+      }));
+    } catch (err) {
+      if (!isModelError(err)) throw err;
+      return "";
+    }
+  };
+  let passesLeft = repairPasses;
+
+  // --- Optional JSON repair pass ---
+  if (!parsed && passesLeft > 0) {
+    passesLeft -= 1;
+    const fix = await repair(`The text below should be JSON with keys css and html. Repair it.\n\n${content}`);
+    try { parsed = JSON.parse(fix); } catch { /* ignore */ }
+    if (!parsed) {
+      return fail(502, { error: "json_repair_failed", raw: (fix || content).slice(0, 500) }, usage, modelCalls, model);
+    }
+  }
+
+  if (!isComponent(parsed)) {
+    return fail(502, { error: "bad_model_output", raw: content.slice(0, 500) }, usage, modelCalls, model);
+  }
+
+  // --- Validation, then targeted repairs while violations remain (a repair that makes things worse is dropped) ---
+  const first = checkComponent({ css: parsed.css.trim(), html: parsed.html.trim(), scope });
+  let best = first;
+  let repairs = 0;
+  while (!best.report.valid && passesLeft > 0) {
+    passesLeft -= 1;
+    const fix = await repair(
+      `${repairPrompt(best.report)}\n\nScope: ${scope}\n\nCurrent output:\n${JSON.stringify({ css: best.css, html: best.html })}`
+    );
+    let next;
+    try { next = JSON.parse(fix); } catch { /* keep the previous output */ }
+    if (!isComponent(next)) continue;
+    repairs += 1;
+    const checked = checkComponent({ css: next.css.trim(), html: next.html.trim(), scope });
+    if (checked.report.violations.length <= best.report.violations.length) best = checked;
+  }
+
+  const { css, html, report } = best;
+  const fixed = best === first ? first.report.fixed : [...first.report.fixed, ...report.fixed];
+  return { ok: true, css, html, validation: { ...report, fixed, repairs }, model, usage, calls: modelCalls };
+}
+
+function isComponent(v) {
+  return Boolean(v) && typeof v.css === "string" && typeof v.html === "string";
+}
+
+function stripJsonFences(s) {
+  return String(s || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/```$/i, "").trim();
+}
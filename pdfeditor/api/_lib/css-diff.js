@@ -0,0 +1,60 @@
+// /api/_lib/css-diff.js
+// Declaration-level diff between two stylesheets, for refine responses. Declarations are keyed by their at-rule
+// context, selector and property (the last one wins, as in the cascade), so reformatting or reordering is not a change.
+// diffCss(before, after) → { changes: [{ type: "added" | "removed" | "changed", context, selector, prop, before, after }],
+// text } where `text` is a patch-style listing grouped per rule; null when either side does not parse.
+
+import postcss from "postcss";
+
+const squash = (s) => String(s).replace(/\s+/g, " ").trim();
+
+function atRule(node) {
+  return squash(`@${node.name} ${node.params}`);
+}
+
+// Map("context\nselector\nprop" → { context, selector, prop, value }) in order of last appearance.
+function flatten(css) {
+  const decls = new Map();
+  postcss.parse(String(css || "")).walkDecls((decl) => {
+    const parent = decl.parent;
+    const selector = parent.type === "rule" ? squash(parent.selector) : parent.type === "atrule" ? atRule(parent) : "";
+    const context = [];
+    for (let p = parent.parent; p && p.type !== "root"; p = p.parent) if (p.type === "atrule") context.unshift(atRule(p));
+    const entry = { context: context.join(" "), selector, prop: decl.prop.toLowerCase(), value: `${squash(decl.value)}${decl.important ? " !important" : ""}` };
+    const key = `${entry.context}\n${entry.selector}\n${entry.prop}`;
+    decls.delete(key);
+    decls.set(key, entry);
+  });
+  return decls;
+}
+
+export function diffCss(before, after) {
+  let a, b;
+  try {
+    a = flatten(before);
+    b = flatten(after);
+  } catch {
+    return null;
+  }
+
+  const changes = [];
+  for (const [key, { context, selector, prop, value }] of b) {
+    const old = a.get(key);
+    if (!old) changes.push({ type: "added", context, selector, prop, before: null, after: value });
+    else if (old.value !== value) changes.push({ type: "changed", context, selector, prop, before: old.value, after: value });
+  }
+  for (const [key, { context, selector, prop, value }] of a) {
+    if (!b.has(key)) changes.push({ type: "removed", context, selector, prop, before: value, after: null });
+  }
+
+  const blocks = new Map();
+  for (const c of changes) {
+    const head = [c.context, c.selector].filter(Boolean).join(" ");
+    if (!blocks.has(head)) blocks.set(head, []);
+    const lines = blocks.get(head);
+    if (c.before != null) lines.push(`-  ${c.prop}: ${c.before};`);
+    if (c.after != null) lines.push(`+  ${c.prop}: ${c.after};`);
+  }
+  const text = [...blocks].map(([head, lines]) => `${head} {\n${lines.join("\n")}\n}`).join("\n");
+  return { changes, text };
+}
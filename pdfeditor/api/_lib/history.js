@@ -0,0 +1,65 @@
+// /api/_lib/history.js
+// Saved generate-css results per library: a user's own, or their team workspace's shared one (_lib/workspaces.js).
+// Table `generations`: id (uuid, default gen_random_uuid()), user_id (who saved it), workspace_id, thumbnail (small
+//   data URL), scope, component, css, html, model, created_at.
+
+import { supabaseAdmin } from "./supabase.js";
+import { inLibrary } from "./workspaces.js";
+
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+const LIST_COLUMNS = "id, user_id, workspace_id, thumbnail, scope, component, model, created_at";
+
+// Thumbnails are produced client-side; anything unexpected is dropped rather than failing the generation.
+export function cleanThumbnail(thumbnail) {
+  if (typeof thumbnail !== "string") return null;
+  if (!/^data:image\/(png|jpe?g|webp);base64,/.test(thumbnail)) return null;
+  if (Buffer.byteLength(thumbnail, "utf8") > MAX_THUMBNAIL_BYTES) return null;
+  return thumbnail;
+}
+
+// lib: { userId, workspaceId } from libraryFor().
+export async function saveGeneration(lib, { thumbnail, scope, component, css, html, model }) {
+  const { data, error } = await supabaseAdmin
+    .from("generations")
+    .insert({
+      user_id: lib.userId,
+      workspace_id: lib.workspaceId,
+      thumbnail: cleanThumbnail(thumbnail),
+      scope,
+      component: component || null,
+      css,
+      html,
+      model,
+      created_at: new Date().toISOString(),
+    })
+    .select("id")
+    .single();
+  if (error) throw error;
+  return data.id;
+}
+
+export async function listGenerations(lib, { limit = 50, before = null } = {}) {
+  let q = inLibrary(supabaseAdmin.from("generations").select(LIST_COLUMNS), lib)
+    .order("created_at", { ascending: false })
+    .limit(Math.max(1, Math.min(Number(limit) || 50, 100)));
+  if (before) q = q.lt("created_at", before);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getGeneration(lib, id) {
+  const { data, error } = await inLibrary(supabaseAdmin.from("generations").select("*"), lib)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function deleteGeneration(lib, id) {
+  const { data, error } = await inLibrary(supabaseAdmin.from("generations").delete(), lib)
+    .eq("id", id)
+    .select("id");
+  if (error) throw error;
+  return Boolean(data?.length);
+}
@@ -0,0 +1,70 @@
+// /api/_lib/mock-fixtures.js
+// Canned replies for the mock provider (MODEL_PROVIDER=mock or a "mock:" model spec). Keys are "<endpoint>.<pass>";
+// {{name}} placeholders come from the context each caller passes to complete() (escaped for the JSON replies):
+//   generate-css   → scope, scopeClass, component
+//   generate-index → css, pass, total (html for the repair pass)
+//   refine         → scope, scopeClass, component, css, html, instruction
+// The refine and repair fixtures echo their input, so scored runs stop early after one refinement and a repair
+// leaves the document as it was.
+
+const CARD_CSS = [
+  ":root { --ink: #0f172a; --muted: #64748b; --accent: #2563eb; --surface: #ffffff; }",
+  "body { margin: 0; padding: 32px; background: #f1f5f9; font-family: system-ui, sans-serif; color: var(--ink); }",
+  ".card { max-width: 360px; padding: 20px 24px; border-radius: 12px; background: var(--surface); box-shadow: 0 1px 3px rgba(15, 23, 42, .12); }",
+  ".card h1 { margin: 0 0 8px; font-size: 20px; font-weight: 700; }",
+  ".card p { margin: 0 0 16px; font-size: 14px; line-height: 1.5; color: var(--muted); }",
+  ".card a { display: inline-block; padding: 8px 14px; border-radius: 8px; background: var(--accent); color: #fff; font-size: 14px; font-weight: 600; text-decoration: none; }",
+].join("\n");
+
+const CARD_MARKUP = [
+  '<div class="card">',
+  "  <h1>Mock component</h1>",
+  "  <p>Deterministic fixture output from the mock model provider.</p>",
+  '  <a href="#">Get started</a>',
+  "</div>",
+].join("\n");
+
+const COMPONENT_JSON = JSON.stringify({
+  css:
+    "{{scope}} { display: inline-flex; align-items: center; gap: 8px; padding: 10px 16px; border-radius: 8px; " +
+    "background: #2563eb; color: #ffffff; font: 600 14px/1.2 system-ui, sans-serif; border: 0; }\n" +
+    "{{scope}}:hover { background: #1d4ed8; }\n" +
+    "{{scope}}:focus-visible { outline: 2px solid #93c5fd; outline-offset: 2px; }",
+  html: '<button class="{{scopeClass}}" type="button">{{component}}</button>',
+});
+
+// The generate-css fixture with bolder text and tighter padding, so a refinement always has a diff to show.
+const REFINED_JSON = JSON.stringify({
+  css:
+    "{{scope}} { display: inline-flex; align-items: center; gap: 8px; padding: 8px 12px; border-radius: 8px; " +
+    "background: #2563eb; color: #ffffff; font: 700 14px/1.2 system-ui, sans-serif; border: 0; }\n" +
+    "{{scope}}:hover { background: #1d4ed8; }\n" +
+    "{{scope}}:focus-visible { outline: 2px solid #93c5fd; outline-offset: 2px; }",
+  html: '<button class="{{scopeClass}}" type="button">{{component}}</button>',
+});
+
+export const DEFAULT_FIXTURES = {
+  "generate-css.convert": COMPONENT_JSON,
+  "generate-css.repair": COMPONENT_JSON,
+  "generate-index.draft": CARD_CSS,
+  "generate-index.markup": CARD_MARKUP,
+  "generate-index.refine": "{{css}}",
+  "generate-index.repair": "{{html}}",
+  "refine.revise": REFINED_JSON,
+  "refine.repair": REFINED_JSON,
+  "generate-index.final": [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '  <meta charset="utf-8"/>',
+    "  <title>Generated UI</title>",
+    "  <style>",
+    "{{css}}",
+    "  </style>",
+    "</head>",
+    "<body>",
+    CARD_MARKUP,
+    "</body>",
+    "</html>",
+  ].join("\n"),
+};
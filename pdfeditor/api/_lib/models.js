@@ -0,0 +1,174 @@
+// /api/_lib/models.js
+// Provider layer for every model call. complete({ endpoint, pass, system, text, images, … }) → the reply text.
+// Models are picked per endpoint and per pass, first match wins:
+//   MODEL_<ENDPOINT>_<PASS>   e.g. MODEL_GENERATE_INDEX_REFINE=gpt-4o
+//   MODEL_<ENDPOINT>          e.g. MODEL_GENERATE_CSS=gpt-5
+//   MODELS (JSON)             e.g. {"generate-index.final":"gpt-4o","generate-css":"mock:fixture"}
+//   the built-in defaults below.
+// A spec is "provider:model" or a bare model for MODEL_PROVIDER (default "openai"). Providers:
+//   openai → chat.completions through the SDK (OPENAI_API_KEY, optional OPENAI_BASE_URL)
+//   mock   → deterministic fixtures from mock-fixtures.js (MOCK_FIXTURES=/path.json overrides), no network or key
+// Failures throw an Error named "ModelError" carrying { status, body: { error: "model_error", provider, model, status,
+// detail } }; a cancelled call throws an Error named "AbortError".
+
+import fs from "fs";
+import OpenAI from "openai";
+import { addUsage } from "./usage.js";
+import { DEFAULT_FIXTURES } from "./mock-fixtures.js";
+
+const DEFAULT_MODELS = {
+  "generate-css": "gpt-5",
+  "generate-index": "gpt-4o-mini",
+  "refine": "gpt-5",
+};
+
+// Passes each endpoint makes; used to check configuration up front and to label usage rows.
+export const ENDPOINT_PASSES = {
+  "generate-css": ["convert", "repair"],
+  "generate-index": ["draft", "markup", "refine", "final", "repair"],
+  "refine": ["revise", "repair"],
+};
+
+function envKey(...parts) {
+  return ["MODEL", ...parts].join("_").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+function modelConfig() {
+  try {
+    const parsed = JSON.parse(process.env.MODELS || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function modelFor(endpoint, pass) {
+  const config = modelConfig();
+  const spec =
+    process.env[envKey(endpoint, pass)] ||
+    process.env[envKey(endpoint)] ||
+    config[`${endpoint}.${pass}`] ||
+    config[endpoint] ||
+    DEFAULT_MODELS[endpoint];
+  const i = spec.indexOf(":");
+  return i > 0
+    ? { provider: spec.slice(0, i), model: spec.slice(i + 1) }
+    : { provider: process.env.MODEL_PROVIDER || "openai", model: spec };
+}
+
+// "gpt-4o-mini" or "gpt-4o-mini+gpt-4o" — what usage rows and responses report for an endpoint.
+export function modelLabel(endpoint) {
+  return [...new Set(ENDPOINT_PASSES[endpoint].map((p) => modelFor(endpoint, p).model))].join("+");
+}
+
+// null when every pass of the endpoint can run, else { status, body } in the usual error shape.
+export function checkProviders(endpoint) {
+  for (const pass of ENDPOINT_PASSES[endpoint]) {
+    const { provider } = modelFor(endpoint, pass);
+    if (!PROVIDERS[provider]) {
+      return { status: 500, body: { error: "unknown_provider", provider, hint: `Check the model config for ${endpoint}.${pass}.` } };
+    }
+    if (provider === "openai" && !process.env.OPENAI_API_KEY) {
+      return { status: 500, body: { error: "missing_api_key", hint: "Set OPENAI_API_KEY in Vercel → Project → Settings → Environment Variables." } };
+    }
+  }
+  return null;
+}
+
+export function isModelError(err) {
+  return err?.name === "ModelError";
+}
+
+function modelError(status, detail, { provider, model }) {
+  return Object.assign(new Error(`${provider} ${model}: ${status}`), {
+    name: "ModelError",
+    status,
+    body: { error: "model_error", provider, model, status, detail },
+  });
+}
+
+function abortError() {
+  return Object.assign(new Error("aborted"), { name: "AbortError" });
+}
+
+/* ---------------- providers ---------------- */
+
+let openaiClient = null;
+
+// Reasoning models (gpt-5, o-series) reject temperature and count hidden reasoning against max_tokens.
+const REASONING = /^(gpt-5|o\d)/;
+
+async function openaiComplete({ model, system, text, images, temperature, maxTokens, signal }) {
+  openaiClient ||= new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const user = images.length
+    ? [{ type: "text", text }, ...images.map((url) => ({ type: "image_url", image_url: { url } }))]
+    : text;
+  const sampling = REASONING.test(model) ? {} : {
+    ...(temperature != null ? { temperature } : {}),
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+  };
+  try {
+    const r = await openaiClient.chat.completions.create({
+      model,
+      ...sampling,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+    }, { signal });
+    return { text: r?.choices?.[0]?.message?.content || "", usage: r?.usage };
+  } catch (err) {
+    if (signal?.aborted || err?.constructor?.name === "APIUserAbortError") throw abortError();
+    if (err instanceof OpenAI.APIError) throw modelError(err.status || 502, err.error || err.message, { provider: "openai", model });
+    throw err;
+  }
+}
+
+let fixtureCache = null;
+
+function isJson(text) {
+  try { JSON.parse(text); return true; } catch { return false; }
+}
+
+function mockFixtures() {
+  if (fixtureCache) return fixtureCache;
+  let overrides = {};
+  if (process.env.MOCK_FIXTURES) overrides = JSON.parse(fs.readFileSync(process.env.MOCK_FIXTURES, "utf8"));
+  fixtureCache = { ...DEFAULT_FIXTURES, ...overrides };
+  return fixtureCache;
+}
+
+// Fixture lookup: "<endpoint>.<pass>.<model>", "<endpoint>.<pass>", "<endpoint>". A string is the reply, with
+// {{name}} filled from the caller's context (JSON-escaped when the reply is JSON, where the placeholders sit inside
+// string literals); { status, detail } fails the call with that status.
+async function mockComplete({ endpoint, pass, model, system, text, images, context, signal }) {
+  if (signal?.aborted) throw abortError();
+  const fixtures = mockFixtures();
+  const fixture = fixtures[`${endpoint}.${pass}.${model}`] ?? fixtures[`${endpoint}.${pass}`] ?? fixtures[endpoint];
+  if (fixture == null) throw modelError(404, `no fixture for ${endpoint}.${pass}`, { provider: "mock", model });
+  if (typeof fixture === "object") throw modelError(fixture.status || 500, fixture.detail || "mock failure", { provider: "mock", model });
+
+  const json = isJson(fixture);
+  const reply = fixture.replace(/\{\{(\w+)\}\}/g, (_, k) => {
+    const value = context?.[k] == null ? "" : String(context[k]);
+    return json ? JSON.stringify(value).slice(1, -1) : value;
+  });
+  const prompt = Math.ceil((system.length + text.length) / 4) + images.length * 85;
+  const completion = Math.ceil(reply.length / 4);
+  return { text: reply, usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion } };
+}
+
+const PROVIDERS = { openai: openaiComplete, mock: mockComplete };
+
+/* ---------------- entry point ---------------- */
+
+export async function complete({
+  endpoint, pass, system, text, images = [], temperature, maxTokens, usage, signal, context = {},
+}) {
+  const { provider, model } = modelFor(endpoint, pass);
+  const run = PROVIDERS[provider];
+  if (!run) throw modelError(500, `unknown provider "${provider}"`, { provider, model });
+  const out = await run({ endpoint, pass, model, system, text, images, temperature, maxTokens, context, signal });
+  if (usage) addUsage(usage, out.usage);
+  return out.text;
+}
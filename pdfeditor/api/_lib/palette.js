@@ -0,0 +1,15 @@
+// /api/_lib/palette.js
+// `palette` hint from the client (extracted swatches). Only hex colours reach the prompt.
+
+const MAX_COLORS = 16;
+
+export function cleanPalette(input) {
+  if (!Array.isArray(input)) return [];
+  const out = [];
+  for (const c of input) {
+    const hex = String(c || "").trim().toLowerCase();
+    if (/^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex) && !out.includes(hex)) out.push(hex);
+    if (out.length >= MAX_COLORS) break;
+  }
+  return out;
+}
@@ -0,0 +1,118 @@
+// /api/_lib/phash.js
+// Perceptual hash for the cache's near-duplicate lookup (_lib/cache.js): a difference hash (dHash) over a 17×16
+// grayscale thumbnail → 256 bits as 64 hex characters, so a re-export, recompression or 1px crop of the same screenshot
+// lands a few bits away. Decoding uses node:zlib only, which covers non-interlaced PNG (every colour type, 8/16-bit);
+// JPEG / WebP and interlaced PNGs get no hash and simply skip the near-duplicate lookup.
+//   perceptualHash(dataUrl) → { hash, width, height } or null
+//   hammingDistance(a, b)   → differing bits (Infinity for hashes of different length)
+
+import zlib from "node:zlib";
+
+const HASH_W = 17;  // one more column than bits per row: each bit compares neighbours
+const HASH_H = 16;
+const FLAT = 2;     // gray levels: neighbours closer than this are "equal", so noise in flat areas doesn't flip bits
+const MAX_PIXELS = 8_300_000;  // a 3840×2160 screenshot; anything larger isn't hashed
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// → { width, height, gray: Float32Array } or null.
+function decodePng(buf) {
+  if (buf.length < 8 || buf.readUInt32BE(0) !== 0x89504e47) return null;
+  let pos = 8, header = null, palette = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+    if (type === "IHDR") {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), depth: data[8], color: data[9], interlace: data[12] };
+    } else if (type === "PLTE") palette = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+  }
+  if (!header || header.interlace || !CHANNELS[header.color] || (header.depth !== 8 && header.depth !== 16)) return null;
+  const { width, height, depth, color } = header;
+  if (!width || !height || width * height > MAX_PIXELS || (color === 3 && !palette)) return null;
+
+  const bpp = CHANNELS[color] * (depth / 8);
+  const stride = width * bpp;
+  // Inflating stops at the size the header promises, so a small file can't expand into a huge buffer.
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * height });
+  if (raw.length < (stride + 1) * height) return null;
+
+  const gray = new Float32Array(width * height);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? line[i - bpp] : 0, b = prev[i], c = i >= bpp ? prev[i - bpp] : 0;
+      if (filter === 1) line[i] += a;
+      else if (filter === 2) line[i] += b;
+      else if (filter === 3) line[i] += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        line[i] += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+    }
+    for (let x = 0; x < width; x++) {
+      const px = (i) => line[x * bpp + i * (depth / 8)]; // 16-bit: high byte
+      let r, g, b, alpha = 255;
+      if (color === 0 || color === 4) { r = g = b = px(0); if (color === 4) alpha = px(1); }
+      else if (color === 3) { const k = line[x] * 3; r = palette[k]; g = palette[k + 1]; b = palette[k + 2]; }
+      else { r = px(0); g = px(1); b = px(2); if (color === 6) alpha = px(3); }
+      // Transparent pixels count as white, as the screenshot would sit on a page.
+      const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+      gray[y * width + x] = (lum * alpha + 255 * (255 - alpha)) / 255;
+    }
+    prev = line;
+  }
+  return { width, height, gray };
+}
+
+// Box-average down to HASH_W × HASH_H.
+function thumbnail({ width, height, gray }) {
+  const out = new Float32Array(HASH_W * HASH_H);
+  for (let ty = 0; ty < HASH_H; ty++) {
+    const y0 = Math.floor((ty * height) / HASH_H), y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / HASH_H));
+    for (let tx = 0; tx < HASH_W; tx++) {
+      const x0 = Math.floor((tx * width) / HASH_W), x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / HASH_W));
+      let sum = 0, n = 0;
+      for (let y = y0; y < Math.min(y1, height); y++) {
+        for (let x = x0; x < Math.min(x1, width); x++) { sum += gray[y * width + x]; n++; }
+      }
+      out[ty * HASH_W + tx] = n ? sum / n : 255;
+    }
+  }
+  return out;
+}
+
+export function perceptualHash(dataUrl) {
+  const m = /^data:image\/png;base64,(.+)$/s.exec(String(dataUrl || ""));
+  if (!m) return null;
+  let image;
+  try {
+    image = decodePng(Buffer.from(m[1], "base64"));
+  } catch {
+    return null;
+  }
+  if (!image) return null;
+
+  const t = thumbnail(image);
+  let bits = "";
+  for (let y = 0; y < HASH_H; y++) {
+    for (let x = 0; x < HASH_W - 1; x++) bits += t[y * HASH_W + x] - t[y * HASH_W + x + 1] > FLAT ? "1" : "0";
+  }
+  const hash = bits.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join("");
+  return { hash, width: image.width, height: image.height };
+}
+
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let d = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) { d += x & 1; x >>= 1; }
+  }
+  return d;
+}
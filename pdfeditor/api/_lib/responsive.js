@@ -0,0 +1,119 @@
+// /api/_lib/responsive.js
+// Breakpoint sets: screenshots of the same UI tagged with the viewport width each was taken at. generate-css and
+// generate-index send them to the model together and ask for one mobile-first stylesheet (base rules for the narrowest
+// shot, then `@media (min-width: …)` overrides); minimizeOverrides() then strips every override that repeats the value
+// already in effect, so each @media block holds only the declarations that change at that width.
+
+import postcss from "postcss";
+import { MAX_IMAGE_BYTES, checkImage } from "./convert.js";
+
+export const MAX_BREAKPOINTS = 4;
+const MIN_WIDTH = 240;
+const MAX_WIDTH = 3840;
+
+// body.breakpoints → null (not sent), { ok: true, shots } (narrowest first) or { ok: false, status, body }.
+export function cleanBreakpoints(raw) {
+  if (raw == null) return null;
+  const usage = `Send breakpoints: [{ width, image }, …] with 2–${MAX_BREAKPOINTS} screenshots of the same UI at different viewport widths (${MIN_WIDTH}–${MAX_WIDTH}px).`;
+  if (!Array.isArray(raw) || raw.length < 2 || raw.length > MAX_BREAKPOINTS) {
+    return { ok: false, status: 400, body: { error: "bad_breakpoints", hint: usage } };
+  }
+  const shots = [];
+  for (const [i, b] of raw.entries()) {
+    const width = Number(b?.width);
+    if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+      return { ok: false, status: 400, body: { error: "bad_breakpoints", index: i, hint: usage } };
+    }
+    const bad = checkImage(b.image);
+    if (bad) return { ok: false, status: bad.status, body: { ...bad.body, index: i } };
+    shots.push({ width, image: b.image });
+  }
+  if (new Set(shots.map((s) => s.width)).size !== shots.length) {
+    return { ok: false, status: 400, body: { error: "bad_breakpoints", hint: "Each breakpoint needs its own width." } };
+  }
+  if (shots.reduce((n, s) => n + Buffer.byteLength(s.image, "utf8"), 0) > MAX_IMAGE_BYTES) {
+    return { ok: false, status: 413, body: { error: "image_too_large", hint: "All breakpoint screenshots together must stay under ~4MB. Crop or compress." } };
+  }
+  shots.sort((a, b) => a.width - b.width);
+  return { ok: true, shots };
+}
+
+// Prompt lines describing the image order and the stylesheet shape; empty for a single screenshot.
+export function breakpointLines(shots) {
+  if (!shots || shots.length < 2) return [];
+  const [base, ...rest] = shots;
+  return [
+    "The images show the SAME UI at different viewport widths, in this order: " +
+      shots.map((s, i) => `image ${i + 1} = ${s.width}px`).join(", ") + ".",
+    `Write ONE mobile-first stylesheet: the base rules (outside any @media) reproduce the ${base.width}px screenshot; then ` +
+      rest.map((s) => `@media (min-width: ${s.width}px)`).join(", then ") +
+      ", in that order, each containing ONLY the declarations that change at that width.",
+    "Use ONE markup structure that works at every width — no duplicated elements shown or hidden per breakpoint unless the screenshots truly differ in content.",
+  ];
+}
+
+const MIN_WIDTH_QUERY = /^\s*(?:screen\s+and\s+)?\(\s*min-width\s*:\s*(\d+(?:\.\d+)?)px\s*\)\s*$/i;
+
+function declKey(decl) {
+  return `${decl.value.trim()}${decl.important ? " !important" : ""}`;
+}
+
+// Mobile-first clean-up: top-level `@media (min-width: Npx)` blocks are put in ascending order, and any declaration
+// in them that equals the value the same selector already has (base rules + narrower breakpoints) is dropped, as are
+// rules and blocks left empty. Other at-rules and queries are left alone. → { css, dropped } (css unchanged if it
+// does not parse).
+export function minimizeOverrides(css) {
+  let root;
+  try {
+    root = postcss.parse(String(css || ""));
+  } catch {
+    return { css, dropped: 0 };
+  }
+
+  const blocks = root.nodes.filter((n) => n.type === "atrule" && n.name.toLowerCase() === "media" && MIN_WIDTH_QUERY.test(n.params));
+  if (!blocks.length) return { css, dropped: 0 };
+
+  // Ascending order, each block keeping one of the original slots.
+  const width = (n) => Number(n.params.match(MIN_WIDTH_QUERY)[1]);
+  const sorted = [...blocks].sort((a, b) => width(a) - width(b));
+  const reordered = sorted.some((n, i) => n !== blocks[i]);
+  if (reordered) {
+    const slots = blocks.map((n) => {
+      const marker = postcss.comment({ text: "slot" });
+      n.replaceWith(marker);
+      return marker;
+    });
+    slots.forEach((marker, i) => marker.replaceWith(sorted[i]));
+  }
+
+  // Value in effect per selector + property, built up from the base rules and then each block in turn.
+  const current = new Map();
+  const record = (rule) => {
+    for (const decl of rule.nodes.filter((n) => n.type === "decl")) {
+      for (const sel of rule.selectors) current.set(`${sel.trim()}\n${decl.prop.toLowerCase()}`, declKey(decl));
+    }
+  };
+  root.each((n) => { if (n.type === "rule") record(n); });
+
+  let dropped = 0;
+  for (const block of sorted) {
+    const changes = [];
+    block.each((rule) => {
+      if (rule.type !== "rule") return;
+      for (const decl of rule.nodes.filter((n) => n.type === "decl")) {
+        const same = rule.selectors.every((sel) => current.get(`${sel.trim()}\n${decl.prop.toLowerCase()}`) === declKey(decl));
+        if (same) {
+          decl.remove();
+          dropped += 1;
+        }
+      }
+      changes.push(rule);
+    });
+    for (const rule of changes) {
+      if (!rule.nodes.some((n) => n.type === "decl")) rule.remove();
+      else record(rule);
+    }
+    if (!block.nodes.some((n) => n.type === "rule" || n.type === "atrule")) block.remove();
+  }
+  return { css: dropped || reordered ? root.toString().trim() : css, dropped };
+}
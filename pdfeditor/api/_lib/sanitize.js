@@ -0,0 +1,263 @@
+// /api/_lib/sanitize.js
+// Allowlist sanitizer for generated documents, run last before anything leaves generate-index. Elements and attributes
+// not listed below are dropped; the result carries no script of any kind (no <script>, handlers, javascript: URLs,
+// <iframe>/<object>/<embed>) and loads nothing from outside the document: URLs may only be fragments, relative paths,
+// mailto:/tel: links or data:image/font payloads, in markup and in CSS alike (CSS escapes are decoded before matching,
+// and style attributes must parse as a plain declaration list).
+//   sanitizeDocument(html) → { html, removed: [{ rule: "sanitized", message }] }
+// DOCUMENT_CSP is the policy the endpoint serves the document with; it matches what the sanitizer lets through.
+
+import postcss from "postcss";
+import { parseDocument, DomUtils } from "htmlparser2";
+
+export const DOCUMENT_CSP = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  "img-src data:",
+  "font-src data:",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "sandbox",
+].join("; ");
+
+// Removed together with everything inside them.
+const DROP = new Set([
+  "script", "noscript", "iframe", "frame", "frameset", "object", "embed", "applet", "base", "link", "template", "portal",
+  "audio", "video", "track", "source", "canvas", "math", "foreignobject", "animate", "animatemotion", "animatetransform", "set",
+]);
+
+const ELEMENTS = new Set([
+  "html", "head", "body", "title", "meta", "style",
+  "div", "span", "p", "a", "br", "hr", "h1", "h2", "h3", "h4", "h5", "h6", "header", "footer", "main", "nav", "section",
+  "article", "aside", "figure", "figcaption", "address", "blockquote", "pre", "code", "kbd", "samp", "strong", "em", "b",
+  "i", "u", "s", "small", "mark", "sub", "sup", "abbr", "cite", "q", "time", "del", "ins", "ul", "ol", "li", "dl", "dt",
+  "dd", "img", "picture", "button", "input", "label", "select", "option", "optgroup", "textarea", "form", "fieldset",
+  "legend", "progress", "meter", "output", "details", "summary", "dialog", "table", "caption", "colgroup", "col",
+  "thead", "tbody", "tfoot", "tr", "th", "td",
+  // inline SVG (icons, shapes, gradients)
+  "svg", "g", "path", "circle", "ellipse", "line", "polyline", "polygon", "rect", "text", "tspan", "defs", "use",
+  "symbol", "lineargradient", "radialgradient", "stop", "clippath", "mask", "pattern", "title", "desc",
+]);
+
+const GLOBAL_ATTRS = new Set(["class", "id", "title", "lang", "dir", "role", "style", "tabindex", "hidden"]);
+
+const ELEMENT_ATTRS = {
+  html: ["xmlns"],
+  meta: ["charset", "name", "content"],
+  a: ["href", "rel"],
+  img: ["src", "alt", "width", "height", "loading", "decoding"],
+  button: ["type", "name", "value", "disabled"],
+  input: ["type", "name", "value", "placeholder", "checked", "disabled", "readonly", "required", "min", "max", "step",
+    "minlength", "maxlength", "pattern", "size", "autocomplete"],
+  label: ["for"],
+  select: ["name", "disabled", "multiple", "required", "size"],
+  option: ["value", "selected", "disabled", "label"],
+  optgroup: ["label", "disabled"],
+  textarea: ["name", "placeholder", "rows", "cols", "disabled", "readonly", "required", "maxlength"],
+  form: ["novalidate"],
+  fieldset: ["disabled"],
+  progress: ["value", "max"],
+  meter: ["value", "min", "max", "low", "high", "optimum"],
+  output: ["for", "name"],
+  details: ["open"],
+  dialog: ["open"],
+  time: ["datetime"],
+  del: ["datetime"],
+  ins: ["datetime"],
+  ol: ["start", "reversed", "type"],
+  li: ["value"],
+  col: ["span"],
+  colgroup: ["span"],
+  th: ["colspan", "rowspan", "scope", "headers"],
+  td: ["colspan", "rowspan", "headers"],
+  use: ["href", "xlink:href", "x", "y", "width", "height"],
+};
+
+const SVG_ATTRS = new Set([
+  "xmlns", "xmlns:xlink", "viewbox", "preserveaspectratio", "width", "height", "x", "y", "x1", "y1", "x2", "y2", "cx",
+  "cy", "r", "rx", "ry", "d", "points", "transform", "fill", "fill-rule", "fill-opacity", "stroke", "stroke-width",
+  "stroke-linecap", "stroke-linejoin", "stroke-dasharray", "stroke-dashoffset", "stroke-opacity", "opacity",
+  "clip-path", "clip-rule", "mask", "offset", "stop-color", "stop-opacity", "gradientunits", "gradienttransform",
+  "patternunits", "font-size", "font-weight", "font-family", "text-anchor", "dominant-baseline", "dx", "dy",
+  "focusable", "aria-hidden",
+]);
+const SVG_ELEMENTS = new Set(["svg", "g", "path", "circle", "ellipse", "line", "polyline", "polygon", "rect", "text", "tspan",
+  "defs", "use", "symbol", "lineargradient", "radialgradient", "stop", "clippath", "mask", "pattern", "desc"]);
+
+const URL_ATTRS = new Set(["href", "xlink:href", "src"]);
+const META_NAMES = new Set(["viewport", "description", "color-scheme", "theme-color"]);
+
+// Fragment, relative path, mailto:/tel: — anything else (other schemes, //host) is external or executable. Browsers
+// read "\" as "/", so "/\host" is normalised first and the link resolved against a placeholder origin it must stay on.
+const LINK_BASE = "https://document.invalid/";
+function safeLink(url) {
+  const u = String(url).replace(/[\u0000- ]/g, "").replace(/\\/g, "/");
+  if (/^[a-z][a-z0-9+.-]*:/i.test(u)) return /^(mailto|tel):/i.test(u);
+  try {
+    return new URL(u, LINK_BASE).origin === new URL(LINK_BASE).origin;
+  } catch {
+    return false;
+  }
+}
+
+function safeDataUrl(url) {
+  return /^data:(image\/(png|jpe?g|gif|webp|avif|svg\+xml)|font\/[\w-]+|application\/font-[\w-]+)[;,]/i.test(String(url).trim());
+}
+
+// Functions that load a resource, and how their URL is written: url(x) / src(x) take one, image-set() bare strings.
+const CSS_LOADER = /(?<![\w-])(?:url|src|(?:-webkit-)?image-set)\s*\(/gi;
+const CSS_URL = /(?<![\w-])(?:url|src)\(\s*(?:"([^"]*)"|'([^']*)'|([^"')]*?))\s*\)/gi;
+const CSS_STRING = /"([^"]*)"|'([^']*)'/g;
+const CSS_SCRIPTY = /expression\s*\(|javascript:|-moz-binding|behavior\s*:/i;
+
+// Comments out and escapes decoded ("\75 rl(" is "url("), so nothing is hidden from the checks below.
+function plainCss(text) {
+  return String(text)
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\\([0-9a-f]{1,6})\s?|\\([^\n0-9a-f])/gi, (_, hex, ch) => {
+      if (!hex) return ch;
+      const code = parseInt(hex, 16);
+      return code && code <= 0x10ffff ? String.fromCodePoint(code) : "\ufffd";
+    });
+}
+
+// A declaration that loads anything but a data: payload or a #fragment, or uses a legacy script hook.
+function unsafeDecl(decl) {
+  const prop = plainCss(decl.prop);
+  const value = plainCss(decl.value);
+  if (CSS_SCRIPTY.test(`${prop}:${value}`)) return true;
+  const loaders = value.match(CSS_LOADER)?.length || 0;
+  if (!loaders) return false;
+  const urls = [...value.matchAll(CSS_URL)].map((m) => m[1] ?? m[2] ?? m[3]);
+  // image-set() loads its strings as well as url()s; a loader whose argument doesn't read as a URL is refused outright.
+  if (/image-set\s*\(/i.test(value)) urls.push(...[...value.matchAll(CSS_STRING)].map((m) => m[1] ?? m[2]));
+  else if (urls.length < loaders) return true;
+  return urls.some((u) => !safeDataUrl(u) && !u.startsWith("#"));
+}
+
+function cleanDecls(root, removed) {
+  root.walkDecls((decl) => {
+    if (!unsafeDecl(decl)) return;
+    removed.push({ rule: "sanitized", message: `Dropped "${decl.prop}: ${decl.value.slice(0, 80)}"` });
+    decl.remove();
+  });
+}
+
+// Drops @import / @namespace, declarations that reference non-data: URLs or legacy script hooks, and CSS that does not
+// parse at all (the document keeps its markup, just unstyled).
+export function sanitizeCss(css, removed = []) {
+  let root;
+  try {
+    root = postcss.parse(String(css || ""));
+  } catch {
+    removed.push({ rule: "sanitized", message: "Dropped a stylesheet that does not parse" });
+    return "";
+  }
+  root.walkAtRules((at) => {
+    if (/^(import|namespace)$/i.test(plainCss(at.name))) {
+      removed.push({ rule: "sanitized", message: `Dropped @${at.name} ${at.params}` });
+      at.remove();
+    }
+  });
+  cleanDecls(root, removed);
+  return root.toString().replace(/<\/style/gi, "<\\/style");
+}
+
+// A style attribute is a declaration list: rules, at-rules and values holding { } or ; would break out of it (or out of
+// the declaration) and are dropped; so is an attribute that doesn't parse. → the cleaned list, or "" for none left.
+export function sanitizeStyleAttribute(style, removed = []) {
+  let root;
+  try {
+    root = postcss.parse(String(style || ""));
+  } catch {
+    removed.push({ rule: "sanitized", message: `Dropped style="${String(style).slice(0, 80)}" that does not parse` });
+    return "";
+  }
+  root.each((node) => {
+    if (node.type === "decl" && !/[{};]/.test(node.value)) return;
+    if (node.type !== "comment") removed.push({ rule: "sanitized", message: `Dropped "${String(node).slice(0, 80)}" from a style attribute` });
+    node.remove();
+  });
+  cleanDecls(root, removed);
+  return root.nodes.map((decl) => `${decl.prop}: ${decl.value}${decl.important ? " !important" : ""}`).join("; ");
+}
+
+function allowedAttr(tag, name, value) {
+  const attr = name.toLowerCase();
+  if (attr.startsWith("on")) return false;
+  if (!(GLOBAL_ATTRS.has(attr) || attr.startsWith("aria-") || attr.startsWith("data-") ||
+    ELEMENT_ATTRS[tag]?.includes(attr) || (SVG_ELEMENTS.has(tag) && SVG_ATTRS.has(attr)))) return false;
+  if (tag === "meta" && attr === "name") return META_NAMES.has(String(value).toLowerCase());
+  if (tag === "img" && attr === "src") return safeDataUrl(value);
+  if (tag === "use" && URL_ATTRS.has(attr)) return String(value).trim().startsWith("#");
+  if (URL_ATTRS.has(attr)) return safeLink(value);
+  return true;
+}
+
+// htmlparser2 leaves entities in <textarea> text undecoded while the serializer escapes it, so every parse/serialize
+// round trip would double-escape it; decode it here so text nodes always hold plain text.
+export function parseHtml(html) {
+  const doc = parseDocument(String(html || ""), { decodeEntities: true });
+  for (const el of DomUtils.findAll((e) => e.name === "textarea", doc.children)) {
+    for (const c of el.children) {
+      if (c.type === "text") c.data = DomUtils.textContent(parseDocument(c.data.replace(/</g, "&lt;"), { decodeEntities: true }));
+    }
+  }
+  return doc;
+}
+
+export function sanitizeDocument(html) {
+  const removed = [];
+  const doc = parseHtml(html);
+
+  const walk = (nodes) => {
+    for (const node of [...nodes]) {
+      if (node.type === "comment" || node.type === "cdata") {
+        DomUtils.removeElement(node);
+        continue;
+      }
+      if (!DomUtils.isTag(node)) continue;
+      const tag = node.name.toLowerCase();
+      if (DROP.has(tag)) {
+        removed.push({ rule: "sanitized", message: `Dropped <${tag}>` });
+        DomUtils.removeElement(node);
+        continue;
+      }
+      if (!ELEMENTS.has(tag)) {
+        // Unknown element: keep its content, lose the wrapper.
+        removed.push({ rule: "sanitized", message: `Unwrapped <${tag}>` });
+        const kids = [...node.children];
+        for (const kid of kids) DomUtils.prepend(node, kid);
+        DomUtils.removeElement(node);
+        walk(kids);
+        continue;
+      }
+      for (const [name, value] of Object.entries(node.attribs)) {
+        if (allowedAttr(tag, name, value)) continue;
+        removed.push({ rule: "sanitized", message: `Dropped ${name.toLowerCase()}="${String(value).slice(0, 80)}" on <${tag}>` });
+        delete node.attribs[name];
+      }
+      if (tag === "meta" && !node.attribs.charset && !node.attribs.name) {
+        removed.push({ rule: "sanitized", message: "Dropped <meta> without charset or name" });
+        DomUtils.removeElement(node);
+        continue;
+      }
+
+      if (node.attribs.style != null) {
+        const body = sanitizeStyleAttribute(node.attribs.style, removed);
+        if (body) node.attribs.style = body;
+        else delete node.attribs.style;
+      }
+      if (tag === "style") {
+        const css = sanitizeCss(DomUtils.textContent(node), removed);
+        node.children.forEach((c, i) => { c.data = i ? "" : css; });
+        continue;
+      }
+      walk(node.children);
+    }
+  };
+  walk(doc.children);
+
+  const out = DomUtils.getOuterHTML(doc.children, { encodeEntities: "utf8" });
+  return { html: /^\s*<!doctype/i.test(out) ? out : `<!DOCTYPE html>\n${out}`, removed };
+}
@@ -0,0 +1,135 @@
+// /api/_lib/states.js
+// Interaction-state sets: screenshots of the same component labelled default, hover, focus, active, disabled or error.
+// generate-css sends them to the model together and asks for base rules matching the default shot plus one state rule
+// per other shot; minimizeStates() then drops every state declaration that repeats the default value and gives the base
+// rule a transition for what changes on hover / focus / active when the model left it out.
+
+import postcss from "postcss";
+import { MAX_IMAGE_BYTES, checkImage } from "./convert.js";
+
+// Request order, and the selector each state is written with.
+export const STATES = ["default", "hover", "focus", "active", "disabled", "error"];
+const STATE_SELECTORS = {
+  hover: ":hover",
+  focus: ":focus-visible",
+  active: ":active",
+  disabled: ':disabled (or [aria-disabled="true"] on non-form elements)',
+  error: '[aria-invalid="true"]',
+};
+
+// body.states → null (not sent), { ok: true, shots } (default first) or { ok: false, status, body }.
+export function cleanStates(raw) {
+  if (raw == null) return null;
+  const usage = `Send states: [{ state, image }, …] with 2–${STATES.length} screenshots of the same component, one of them "default"; states: ${STATES.join(", ")}.`;
+  if (!Array.isArray(raw) || raw.length < 2 || raw.length > STATES.length) {
+    return { ok: false, status: 400, body: { error: "bad_states", hint: usage } };
+  }
+  const shots = [];
+  for (const [i, s] of raw.entries()) {
+    const state = String(s?.state || "").toLowerCase();
+    if (!STATES.includes(state)) return { ok: false, status: 400, body: { error: "bad_states", index: i, hint: usage } };
+    const bad = checkImage(s.image);
+    if (bad) return { ok: false, status: bad.status, body: { ...bad.body, index: i } };
+    shots.push({ state, image: s.image });
+  }
+  if (new Set(shots.map((s) => s.state)).size !== shots.length || !shots.some((s) => s.state === "default")) {
+    return { ok: false, status: 400, body: { error: "bad_states", hint: "Label each screenshot with a different state, one of them \"default\"." } };
+  }
+  if (shots.reduce((n, s) => n + Buffer.byteLength(s.image, "utf8"), 0) > MAX_IMAGE_BYTES) {
+    return { ok: false, status: 413, body: { error: "image_too_large", hint: "All state screenshots together must stay under ~4MB. Crop or compress." } };
+  }
+  shots.sort((a, b) => STATES.indexOf(a.state) - STATES.indexOf(b.state));
+  return { ok: true, shots };
+}
+
+// Prompt lines describing the image order and where each state's deltas go; empty without a state set.
+export function stateLines(shots, scope) {
+  if (!shots || shots.length < 2) return [];
+  const others = shots.slice(1);
+  return [
+    "The images show the SAME component in different interaction states, in this order: " +
+      shots.map((s, i) => `image ${i + 1} = ${s.state}`).join(", ") + ".",
+    "Base rules reproduce the default screenshot. Each other state gets its own rule(s): " +
+      others.map((s) => `${s.state} → ${STATE_SELECTORS[s.state]}`).join("; ") +
+      `, on ${scope} itself or on the element that changes. State rules contain ONLY the declarations that differ from default.`,
+    "Where hover, focus or active change colours, shadows or transforms, add a short transition for exactly those properties to the base rule (about 150ms ease). No transitions for disabled or error.",
+    "Do not add state rules for states that have no screenshot.",
+  ];
+}
+
+const STATE_TOKEN = String.raw`:(?:hover|focus-visible|focus-within|focus|active|disabled)(?![\w-])|\[aria-(?:disabled|invalid)(?:\s*=\s*["']?true["']?)?\]`;
+const STATE_TOKENS = new RegExp(STATE_TOKEN, "gi");
+const NOT_STATE = new RegExp(String.raw`:not\(\s*(?:${STATE_TOKEN})\s*\)`, "gi");
+const TRANSITION_STATES = /:(?:hover|focus-visible|focus-within|focus|active)(?![\w-])/i;
+
+// Properties worth animating between states; layout properties (padding, size, …) snap instead.
+const ANIMATABLE = new Set([
+  "color", "background", "background-color", "border-color", "outline-color", "box-shadow", "opacity", "transform",
+  "text-decoration-color", "fill", "stroke", "filter",
+]);
+
+// ".comp:not(:disabled):hover" → ".comp"; null when the selector has no state in it.
+function baseSelector(selector) {
+  const s = selector.trim();
+  const bare = s.replace(NOT_STATE, "").replace(STATE_TOKENS, "").trim();
+  return bare === s ? null : bare;
+}
+
+function declKey(decl) {
+  return `${decl.value.trim()}${decl.important ? " !important" : ""}`;
+}
+
+// State clean-up on top-level rules: declarations in a state rule that equal the base selector's own value are dropped
+// (and rules left empty), and a base rule without any transition gets one for the animatable properties its
+// hover / focus / active rules change. Rules inside at-rules are left alone. → { css, dropped, transitions } (css
+// unchanged if it does not parse).
+export function minimizeStates(css) {
+  let root;
+  try {
+    root = postcss.parse(String(css || ""));
+  } catch {
+    return { css, dropped: 0, transitions: 0 };
+  }
+  const rules = root.nodes.filter((n) => n.type === "rule");
+
+  const baseRules = new Map();
+  const base = new Map();
+  for (const rule of rules) {
+    if (rule.selectors.some((sel) => baseSelector(sel) != null)) continue;
+    for (const sel of rule.selectors) {
+      baseRules.set(sel.trim(), rule);
+      for (const decl of rule.nodes.filter((n) => n.type === "decl")) base.set(`${sel.trim()}\n${decl.prop.toLowerCase()}`, declKey(decl));
+    }
+  }
+
+  let dropped = 0;
+  const animated = new Map(); // base rule → Set of properties its interactive states change
+  for (const rule of rules) {
+    const bases = rule.selectors.map(baseSelector);
+    if (bases.some((b) => b == null)) continue;
+    for (const decl of rule.nodes.filter((n) => n.type === "decl")) {
+      const prop = decl.prop.toLowerCase();
+      if (bases.every((b) => base.get(`${b}\n${prop}`) === declKey(decl))) {
+        decl.remove();
+        dropped += 1;
+        continue;
+      }
+      if (!ANIMATABLE.has(prop)) continue;
+      rule.selectors.forEach((sel, i) => {
+        const target = baseRules.get(bases[i]);
+        if (!target || !TRANSITION_STATES.test(sel)) return;
+        if (!animated.has(target)) animated.set(target, new Set());
+        animated.get(target).add(prop);
+      });
+    }
+    if (!rule.nodes.some((n) => n.type === "decl")) rule.remove();
+  }
+
+  let transitions = 0;
+  for (const [rule, props] of animated) {
+    if (rule.nodes.some((n) => n.type === "decl" && /^transition(-property)?$/i.test(n.prop))) continue;
+    rule.append({ prop: "transition", value: [...props].map((p) => `${p} 150ms ease`).join(", ") });
+    transitions += 1;
+  }
+  return { css: dropped || transitions ? root.toString().trim() : css, dropped, transitions };
+}
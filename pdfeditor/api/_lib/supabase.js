@@ -0,0 +1,14 @@
+// /api/_lib/supabase.js
+// Server-only Supabase client (service role key). Files under /api/_lib are not routes.
+
+import { createClient } from "@supabase/supabase-js";
+
+export const supabaseConfigured = Boolean(
+  process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const supabaseAdmin = supabaseConfigured
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false },
+    })
+  : null;
@@ -0,0 +1,367 @@
+// /api/_lib/tokens.js
+// Generated CSS → normalized design tokens (colours, font sizes/weights, radii, shadows, spacing) → export formats.
+// Token set: { color: { "blue-600": { value, count } }, fontSize, fontWeight, radius, shadow, spacing }.
+// Near-duplicates (e.g. #2563eb vs #2564ea, 15.5px vs 16px) merge into the most used value.
+
+import postcss from "postcss";
+
+export const TOKEN_FORMATS = {
+  css: { filename: "tokens.css", type: "text/css" },
+  tailwind: { filename: "tailwind.config.js", type: "text/javascript" },
+  "style-dictionary": { filename: "tokens.json", type: "application/json" },
+  scss: { filename: "_tokens.scss", type: "text/x-scss" },
+};
+
+const ROOT_PX = 16;
+const COLOR_MERGE_DISTANCE = 8;  // RGB euclidean
+const LENGTH_MERGE_PX = 1;
+
+const NAMED_COLORS = { white: [255, 255, 255, 1], black: [0, 0, 0, 1] };
+export const COLOR_RE = /#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\)|\b(?:white|black)\b/gi;
+
+export const SPACING_PROPS = /^(?:margin|padding)(?:-(?:top|right|bottom|left|inline|block)(?:-(?:start|end))?)?$|^(?:gap|row-gap|column-gap)$/;
+export const RADIUS_PROPS = /^border(?:-(?:top|bottom|start|end)-(?:left|right|start|end))?-radius$/;
+
+/* ---------------- value parsing ---------------- */
+
+function clamp255(n) {
+  return Math.max(0, Math.min(255, Math.round(n)));
+}
+
+function hslToRgb(h, s, l) {
+  s /= 100; l /= 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+// → [r, g, b, a] or null
+export function parseColor(str) {
+  const s = String(str).trim().toLowerCase();
+  if (NAMED_COLORS[s]) return NAMED_COLORS[s].slice();
+
+  let m = /^#([0-9a-f]{3,8})$/.exec(s);
+  if (m) {
+    let h = m[1];
+    if (h.length === 3 || h.length === 4) h = [...h].map((c) => c + c).join("");
+    if (h.length !== 6 && h.length !== 8) return null;
+    const n = (i) => parseInt(h.slice(i, i + 2), 16);
+    return [n(0), n(2), n(4), h.length === 8 ? n(6) / 255 : 1];
+  }
+
+  m = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(s);
+  if (!m) return null;
+  const parts = m[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alpha = parts[3] === undefined ? 1 : parts[3].endsWith("%") ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+  let rgb;
+  if (m[1].startsWith("rgb")) {
+    rgb = parts.slice(0, 3).map((p) => (p.endsWith("%") ? (parseFloat(p) * 255) / 100 : parseFloat(p)));
+  } else {
+    rgb = hslToRgb(parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2]));
+  }
+  if (rgb.some((v) => Number.isNaN(v)) || Number.isNaN(alpha)) return null;
+  return [...rgb.map(clamp255), Math.max(0, Math.min(1, alpha))];
+}
+
+export function colorToHex([r, g, b, a = 1]) {
+  const hex = [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("");
+  return a >= 1 ? `#${hex}` : `#${hex}${Math.round(a * 255).toString(16).padStart(2, "0")}`;
+}
+
+// px / rem / em (root-relative) → px number; anything else → null
+export function parseLength(str) {
+  const m = /^(-?\d*\.?\d+)(px|rem|em)?$/.exec(String(str).trim().toLowerCase());
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  if (!m[2]) return n === 0 ? 0 : null;
+  return m[2] === "px" ? n : n * ROOT_PX;
+}
+
+export function fmtPx(n) {
+  return `${Math.round(n * 100) / 100}px`;
+}
+
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700, lighter: 300, bolder: 700 };
+
+function parseWeight(str) {
+  const s = String(str).trim().toLowerCase();
+  if (WEIGHT_KEYWORDS[s]) return WEIGHT_KEYWORDS[s];
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 1 && n <= 1000 ? Math.round(n / 100) * 100 : null;
+}
+
+// Top-level split on whitespace/commas, leaving function arguments intact.
+export function splitTopLevel(value, sep = /\s/) {
+  const out = [];
+  let depth = 0, cur = "";
+  for (const ch of value) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && sep.test(ch)) {
+      if (cur.trim()) out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+/* ---------------- naming ---------------- */
+
+const HUES = [
+  [15, "red"], [40, "orange"], [50, "amber"], [62, "yellow"], [85, "lime"], [150, "green"], [172, "teal"],
+  [192, "cyan"], [205, "sky"], [230, "blue"], [248, "indigo"], [270, "violet"], [290, "purple"], [330, "pink"],
+  [350, "rose"], [361, "red"],
+];
+
+// Tailwind-flavoured names from the colour itself: "blue-600", "gray-100", "white", "black"; translucent → "black-a20".
+function colorName([r, g, b, a = 1]) {
+  const base = opaqueColorName(r, g, b);
+  return a < 1 ? `${base}-a${Math.round(a * 100)}` : base;
+}
+
+function opaqueColorName(r, g, b) {
+  const max = Math.max(r, g, b) / 255, min = Math.min(r, g, b) / 255;
+  const l = (max + min) / 2;
+  const d = max - min;
+  const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  if (l >= 0.98) return "white";
+  if (l <= 0.02) return "black";
+
+  let family = "gray";
+  if (s >= 0.15) {
+    let h;
+    const R = r / 255, G = g / 255, B = b / 255;
+    if (max === R) h = 60 * (((G - B) / d) % 6);
+    else if (max === G) h = 60 * ((B - R) / d + 2);
+    else h = 60 * ((R - G) / d + 4);
+    if (h < 0) h += 360;
+    family = HUES.find(([limit]) => h < limit)[1];
+  }
+  const steps = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+  const step = steps[Math.max(0, Math.min(steps.length - 1, Math.round((1 - l) * 10)))];
+  return `${family}-${step}`;
+}
+
+const SIZE_NAMES = ["xs", "sm", "base", "lg", "xl", "2xl", "3xl", "4xl", "5xl", "6xl", "7xl", "8xl", "9xl"];
+const WEIGHT_NAMES = { 100: "thin", 200: "extralight", 300: "light", 400: "normal", 500: "medium", 600: "semibold", 700: "bold", 800: "extrabold", 900: "black" };
+const RADIUS_NAMES = ["sm", "md", "lg", "xl", "2xl", "3xl"];
+const SHADOW_NAMES = ["sm", "md", "lg", "xl", "2xl"];
+
+function unique(name, used) {
+  let n = name, i = 2;
+  while (used.has(n)) n = `${name}-${i++}`;
+  used.add(n);
+  return n;
+}
+
+// Ascending px values → t-shirt names anchored so the value nearest 16px is "base".
+function fontSizeNames(values) {
+  const anchor = values.reduce((best, v, i) => (Math.abs(v - ROOT_PX) < Math.abs(values[best] - ROOT_PX) ? i : best), 0);
+  const offset = SIZE_NAMES.indexOf("base") - anchor;
+  const used = new Set();
+  return values.map((_, i) => unique(SIZE_NAMES[i + offset] || (i + offset < 0 ? "2xs" : `${i + offset - 1}xl`), used));
+}
+
+/* ---------------- clustering ---------------- */
+
+// Group numeric values within `tolerance`; each group takes its most frequent member.
+function clusterNumbers(counts, tolerance) {
+  const sorted = [...counts.entries()].sort((a, b) => a[0] - b[0]);
+  const groups = [];
+  for (const [v, c] of sorted) {
+    const g = groups[groups.length - 1];
+    if (g && v - g.min <= tolerance) {
+      g.count += c;
+      g.min = Math.min(g.min, v);
+      if (c > g.bestCount) { g.value = v; g.bestCount = c; }
+    } else {
+      groups.push({ value: v, min: v, count: c, bestCount: c });
+    }
+  }
+  return groups.map(({ value, count }) => ({ value, count }));
+}
+
+function clusterColors(counts) {
+  const items = [...counts.entries()]
+    .map(([hex, count]) => ({ rgba: parseColor(hex), count }))
+    .sort((a, b) => b.count - a.count);
+  const groups = [];
+  for (const it of items) {
+    const near = groups.find((g) =>
+      Math.abs(g.rgba[3] - it.rgba[3]) < 0.05 &&
+      Math.hypot(g.rgba[0] - it.rgba[0], g.rgba[1] - it.rgba[1], g.rgba[2] - it.rgba[2]) < COLOR_MERGE_DISTANCE);
+    if (near) near.count += it.count;
+    else groups.push({ ...it });
+  }
+  return groups;
+}
+
+function bump(map, key, n = 1) {
+  map.set(key, (map.get(key) || 0) + n);
+}
+
+/* ---------------- extraction ---------------- */
+
+export function extractTokens(css) {
+  const root = postcss.parse(String(css || ""));
+
+  // Custom properties first so var(--x) references resolve to their values.
+  const vars = new Map();
+  root.walkDecls(/^--/, (d) => { if (!vars.has(d.prop)) vars.set(d.prop, d.value.trim()); });
+  const resolve = (value, depth = 0) =>
+    depth > 5 ? value : value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g, (m, name, fallback) =>
+      vars.has(name) ? resolve(vars.get(name), depth + 1) : (fallback ?? m));
+
+  const colors = new Map(), sizes = new Map(), weights = new Map(), radii = new Map(), shadows = new Map(), spacing = new Map();
+  let fullRadius = 0;
+
+  root.walkDecls((d) => {
+    if (d.prop.startsWith("--")) return;
+    const prop = d.prop.toLowerCase();
+    const value = resolve(d.value.replace(/\s*!important\s*$/i, "")).trim();
+
+    for (const m of value.match(COLOR_RE) || []) {
+      const c = parseColor(m);
+      if (c && c[3] > 0) bump(colors, colorToHex(c));
+    }
+
+    if (prop === "font-size") {
+      const px = parseLength(value);
+      if (px) bump(sizes, px);
+    } else if (prop === "font") {
+      const size = splitTopLevel(value).map((p) => parseLength(p.split("/")[0])).find((n) => n);
+      if (size) bump(sizes, size);
+      const w = splitTopLevel(value).map(parseWeight).find(Boolean);
+      if (w) bump(weights, w);
+    } else if (prop === "font-weight") {
+      const w = parseWeight(value);
+      if (w) bump(weights, w);
+    } else if (RADIUS_PROPS.test(prop)) {
+      for (const part of splitTopLevel(value.replace("/", " "))) {
+        if (/^(?:50|100)%$/.test(part) || (parseLength(part) ?? 0) >= 999) fullRadius++;
+        else {
+          const px = parseLength(part);
+          if (px) bump(radii, px);
+        }
+      }
+    } else if (prop === "box-shadow" && !/^(?:none|initial|inherit|unset)$/i.test(value)) {
+      bump(shadows, value.replace(/\s+/g, " "));
+    } else if (SPACING_PROPS.test(prop)) {
+      for (const part of splitTopLevel(value)) {
+        const px = parseLength(part);
+        if (px && px > 0) bump(spacing, px);
+      }
+    }
+  });
+
+  const set = { color: {}, fontSize: {}, fontWeight: {}, radius: {}, shadow: {}, spacing: {} };
+
+  const usedColors = new Set();
+  for (const g of clusterColors(colors)) {
+    set.color[unique(colorName(g.rgba), usedColors)] = { value: colorToHex(g.rgba), count: g.count };
+  }
+
+  const sizeGroups = clusterNumbers(sizes, 0.5);
+  fontSizeNames(sizeGroups.map((g) => g.value)).forEach((name, i) => {
+    set.fontSize[name] = { value: fmtPx(sizeGroups[i].value), count: sizeGroups[i].count };
+  });
+
+  for (const [w, count] of [...weights.entries()].sort((a, b) => a[0] - b[0])) {
+    set.fontWeight[WEIGHT_NAMES[w] || String(w)] = { value: w, count };
+  }
+
+  clusterNumbers(radii, LENGTH_MERGE_PX).forEach((g, i) => {
+    set.radius[RADIUS_NAMES[i] || `${i + 1}`] = { value: fmtPx(g.value), count: g.count };
+  });
+  if (fullRadius) set.radius.full = { value: "9999px", count: fullRadius };
+
+  const blur = (v) => parseLength(splitTopLevel(splitTopLevel(v, /,/)[0]).filter((p) => parseLength(p) !== null)[2] || "0") || 0;
+  [...shadows.entries()].sort((a, b) => blur(a[0]) - blur(b[0]) || a[0].localeCompare(b[0])).forEach(([value, count], i) => {
+    set.shadow[SHADOW_NAMES[i] || `${i + 1}`] = { value, count };
+  });
+
+  clusterNumbers(spacing, LENGTH_MERGE_PX).forEach((g, i) => {
+    set.spacing[String(i + 1)] = { value: fmtPx(g.value), count: g.count };
+  });
+
+  return set;
+}
+
+/* ---------------- exports ---------------- */
+
+const PREFIX = { color: "color", fontSize: "font-size", fontWeight: "font-weight", radius: "radius", shadow: "shadow", spacing: "space" };
+
+function flat(set) {
+  const out = [];
+  for (const [group, tokens] of Object.entries(set)) {
+    for (const [name, { value }] of Object.entries(tokens)) out.push({ group, name: `${PREFIX[group]}-${name}`, key: name, value });
+  }
+  return out;
+}
+
+function toCssVars(set) {
+  const lines = flat(set).map((t) => `  --${t.name}: ${t.value};`);
+  return `:root {\n${lines.join("\n")}\n}\n`;
+}
+
+function toScss(set) {
+  return flat(set).map((t) => `$${t.name}: ${t.value};`).join("\n") + "\n";
+}
+
+function pick(tokens, map = (v) => v) {
+  return Object.fromEntries(Object.entries(tokens).map(([k, { value }]) => [k, map(value)]));
+}
+
+function toTailwind(set) {
+  const extend = {
+    colors: pick(set.color),
+    fontSize: pick(set.fontSize),
+    fontWeight: pick(set.fontWeight, String),
+    borderRadius: pick(set.radius),
+    boxShadow: pick(set.shadow),
+    spacing: pick(set.spacing),
+  };
+  for (const k of Object.keys(extend)) if (!Object.keys(extend[k]).length) delete extend[k];
+  const body = JSON.stringify({ theme: { extend } }, null, 2).replace(/"([A-Za-z_$][\w$]*)":/g, "$1:");
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${body};\n`;
+}
+
+function toStyleDictionary(set) {
+  const leaf = (tokens, type) => Object.fromEntries(Object.entries(tokens).map(([k, { value }]) => [k, { value: String(value), type }]));
+  const out = {
+    color: leaf(set.color, "color"),
+    font: { size: leaf(set.fontSize, "dimension"), weight: leaf(set.fontWeight, "fontWeight") },
+    radius: leaf(set.radius, "dimension"),
+    shadow: leaf(set.shadow, "shadow"),
+    spacing: leaf(set.spacing, "dimension"),
+  };
+  return JSON.stringify(out, null, 2) + "\n";
+}
+
+const EXPORTERS = { css: toCssVars, tailwind: toTailwind, "style-dictionary": toStyleDictionary, scss: toScss };
+
+export function exportTokens(set, format) {
+  const fn = EXPORTERS[format];
+  if (!fn) return null;
+  return { format, ...TOKEN_FORMATS[format], content: fn(set) };
+}
+
+// `tokens` request option: true | "all" | "css" | ["css", "scss", …] → list of known formats.
+export function requestedTokenFormats(option) {
+  if (!option) return [];
+  if (option === true || option === "all") return Object.keys(TOKEN_FORMATS);
+  return [].concat(option).map(String).filter((f) => TOKEN_FORMATS[f]);
+}
+
+// { set, exports: { css: "…", … } } for the requested formats, or null when none were asked for.
+export function buildTokens(css, option) {
+  const formats = requestedTokenFormats(option);
+  if (!formats.length) return null;
+  const set = extractTokens(css);
+  return { set, exports: Object.fromEntries(formats.map((f) => [f, exportTokens(set, f).content])) };
+}
@@ -0,0 +1,204 @@
+// /api/_lib/usage.js
+// Per-user generation metering + quotas.
+//   pro  → monthly quota keyed on profiles.plan (the Stripe price id stripe-webhook.js stores)
+//   free → FREE_DAILY_RUNS generate-css runs per UTC day, per user
+//   anon → ANON_DAILY_RUNS generate-css runs per UTC day, per hashed client IP
+// Table `usage_events`: id (uuid, default gen_random_uuid()), user_id (null for anon), ip_hash, endpoint, model, passes,
+//   prompt_tokens, completion_tokens, total_tokens, created_at.
+// Quotas: PLAN_MONTHLY_QUOTAS='{"price_123":500}' (JSON, price id → generations/month), DEFAULT_MONTHLY_QUOTA for the rest.
+// checkQuota() answers early (before the body is read); the quota itself is enforced by reserveUsage() right before the
+// model runs: the usage row is written first (model null) and settled with the cost afterwards, or released when the
+// run produced nothing billable — so concurrent requests count against each other instead of all passing one check.
+
+import { supabaseAdmin } from "./supabase.js";
+
+const FALLBACK_MONTHLY_QUOTA = 300;
+const FALLBACK_FREE_DAILY_RUNS = 3;
+const FALLBACK_ANON_DAILY_RUNS = 1;
+
+// What each tier may do per request (enforced by the generate handlers).
+export const TIER_LIMITS = {
+  pro: { generateIndex: true, maxRepairPasses: 1 },
+  free: { generateIndex: false, maxRepairPasses: 0 },
+  anon: { generateIndex: false, maxRepairPasses: 0 },
+};
+
+function envCount(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function planQuotas() {
+  try {
+    const parsed = JSON.parse(process.env.PLAN_MONTHLY_QUOTAS || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function monthlyQuotaFor(profile) {
+  const quotas = planQuotas();
+  const plan = profile?.plan || null;
+  if (plan && Number.isFinite(Number(quotas[plan]))) return Number(quotas[plan]);
+  return envCount("DEFAULT_MONTHLY_QUOTA", FALLBACK_MONTHLY_QUOTA);
+}
+
+export function dailyQuotaFor(tier) {
+  return tier === "anon"
+    ? envCount("ANON_DAILY_RUNS", FALLBACK_ANON_DAILY_RUNS)
+    : envCount("FREE_DAILY_RUNS", FALLBACK_FREE_DAILY_RUNS);
+}
+
+export function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+export function dayStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+
+// OpenAI usage blocks → running totals (both chat.completions shapes: fetch JSON and SDK).
+export function emptyUsage() {
+  return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  total.prompt_tokens += Number(usage.prompt_tokens) || 0;
+  total.completion_tokens += Number(usage.completion_tokens) || 0;
+  total.total_tokens += Number(usage.total_tokens) || 0;
+  return total;
+}
+
+function quotaWindow(ent, now = new Date()) {
+  if (ent.tier === "pro") {
+    return { period: "month", since: monthStart(now), limit: monthlyQuotaFor(ent.profile) };
+  }
+  return { period: "day", since: dayStart(now), limit: dailyQuotaFor(ent.tier) };
+}
+
+function scopedQuery(query, ent) {
+  return ent.user ? query.eq("user_id", ent.user.id) : query.is("user_id", null).eq("ip_hash", ent.ipHash);
+}
+
+export async function countGenerations(ent, since) {
+  const { count, error } = await scopedQuery(
+    supabaseAdmin.from("usage_events").select("id", { count: "exact", head: true }),
+    ent
+  ).gte("created_at", since.toISOString());
+  if (error) throw error;
+  return count || 0;
+}
+
+function quotaExceeded(ent, used, limit) {
+  if (ent.tier === "pro") {
+    return {
+      ok: false,
+      status: 429,
+      body: { error: "quota_exceeded", used, limit, hint: "Monthly generation quota reached. It resets on the 1st (UTC)." },
+    };
+  }
+  return {
+    ok: false,
+    status: 429,
+    body: {
+      error: "free_limit_reached",
+      tier: ent.tier,
+      used,
+      limit,
+      hint: ent.tier === "anon"
+        ? "Free runs for today are used up. Sign in for more, or go Pro."
+        : "Free runs for today are used up. Go Pro for more.",
+      upgrade: "/pricing.html#pro",
+    },
+  };
+}
+
+export async function checkQuota(ent) {
+  const { period, since, limit } = quotaWindow(ent);
+  const used = await countGenerations(ent, since);
+  if (used < limit) return { ok: true, tier: ent.tier, period, used, limit, remaining: limit - used };
+  return quotaExceeded(ent, used, limit);
+}
+
+// Writes `count` usage rows, then counts the window: over the limit, the reservation is taken back whole. Every row
+// is written before its request counts, so the last of any concurrent requests to count sees all the others (a burst
+// may refuse one more than strictly needed, never admit one too many).
+// → { ok: true, ids, used, limit, remaining } (used / remaining before this reservation) or the 429 failure.
+export async function reserveUsage(ent, endpoint, count = 1) {
+  const { since, limit } = quotaWindow(ent);
+  const createdAt = new Date().toISOString();
+  const row = {
+    user_id: ent.user?.id || null, ip_hash: ent.user ? null : ent.ipHash, endpoint, model: null, passes: 0, ...emptyUsage(), created_at: createdAt,
+  };
+  const { data: mine, error } = await supabaseAdmin
+    .from("usage_events")
+    .insert(Array.from({ length: count }, () => ({ ...row })))
+    .select("id");
+  if (error) throw error;
+  const ids = mine.map((r) => r.id);
+
+  const used = (await countGenerations(ent, since)) - count;
+  if (used + count <= limit) return { ok: true, ids, used, limit, remaining: limit - used };
+
+  await releaseUsage(ids);
+  const failed = quotaExceeded(ent, used, limit);
+  if (count > 1) {
+    const left = Math.max(0, limit - used);
+    Object.assign(failed.body, { remaining: left, hint: `This request needs ${count} generations; ${left} left this ${ent.tier === "pro" ? "month" : "day"}.` });
+  }
+  return failed;
+}
+
+// Fills a reserved row in with what the generation cost. Never lets metering break a successful generation — log and
+// move on.
+export async function settleUsage(id, { model, passes = 1, usage }) {
+  const u = usage || emptyUsage();
+  const { error } = await supabaseAdmin
+    .from("usage_events")
+    .update({ model, passes, prompt_tokens: u.prompt_tokens, completion_tokens: u.completion_tokens, total_tokens: u.total_tokens })
+    .eq("id", id);
+  if (error) console.error("usage_record_error", error);
+}
+
+// Gives reserved rows back (the run failed before anything billable, or was never started).
+export async function releaseUsage(ids) {
+  if (!ids?.length) return;
+  const { error } = await supabaseAdmin.from("usage_events").delete().in("id", ids);
+  if (error) console.error("usage_release_error", error);
+}
+
+export async function usageSummary(ent, now = new Date()) {
+  const { period, since, limit } = quotaWindow(ent, now);
+  const { data: rows, error } = await scopedQuery(
+    supabaseAdmin.from("usage_events").select("endpoint, passes, total_tokens"),
+    ent
+  ).gte("created_at", since.toISOString());
+  if (error) throw error;
+
+  const by_endpoint = {};
+  let tokens = 0;
+  for (const r of rows || []) {
+    const e = (by_endpoint[r.endpoint] ||= { generations: 0, passes: 0, tokens: 0 });
+    e.generations += 1;
+    e.passes += Number(r.passes) || 0;
+    e.tokens += Number(r.total_tokens) || 0;
+    tokens += Number(r.total_tokens) || 0;
+  }
+
+  const used = rows?.length || 0;
+  return {
+    tier: ent.tier,
+    period,
+    month: monthStart(now).toISOString().slice(0, 7),
+    plan: ent.profile?.plan || null,
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    tokens,
+    by_endpoint,
+    limits: TIER_LIMITS[ent.tier],
+  };
+}
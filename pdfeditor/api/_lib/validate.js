@@ -0,0 +1,243 @@
+// /api/_lib/validate.js
+// Parser-based checks for model output: postcss for the CSS, htmlparser2 for the markup. Unsafe content is removed
+// deterministically (<script>, on* handlers, external URLs, @import); everything the model has to fix itself is
+// reported as a violation so callers can send a targeted repair request (repairPrompt) and check again.
+//   checkComponent({ css, html, scope }) → { css, html, report }   every selector under scope, classes consistent
+//   checkDocument(doc, fallbackCss)      → { html, report }        full document with a <style>, classes consistent
+// report: { valid, violations: [{ rule, message, … }], fixed: [{ rule, message, … }] }
+
+import postcss from "postcss";
+import { DomUtils } from "htmlparser2";
+import { parseHtml } from "./sanitize.js";
+
+// Attributes that load or navigate to a URL.
+const URL_ATTRS = new Set(["src", "srcset", "href", "xlink:href", "action", "formaction", "poster", "data", "background", "cite"]);
+const EXTERNAL = /^\s*(?:[a-z][a-z0-9+.-]*:)?\/\//i;
+const UNSAFE_SCHEME = /^\s*(?:javascript|vbscript):/i;
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+function isExternal(url) {
+  return EXTERNAL.test(url) || UNSAFE_SCHEME.test(url);
+}
+
+function externalUrls(value) {
+  return [...String(value).matchAll(CSS_URL)].map((m) => m[2]).filter(isExternal);
+}
+
+function newReport() {
+  return { valid: true, violations: [], fixed: [] };
+}
+
+function finish(report) {
+  report.valid = report.violations.length === 0;
+  return report;
+}
+
+/* ---------------- CSS ---------------- */
+
+// Parse and clean a stylesheet: @import rules and declarations with external url()s are removed.
+// → { root, css } or { root: null, css } (css unchanged) after recording a css_parse_error.
+function cleanCss(css, report) {
+  let root;
+  try {
+    root = postcss.parse(String(css || ""));
+  } catch (err) {
+    report.violations.push({ rule: "css_parse_error", message: `CSS does not parse: ${err.reason || err.message}`, line: err.line ?? null });
+    return { root: null, css };
+  }
+  let changed = false;
+  root.walkAtRules("import", (at) => {
+    report.fixed.push({ rule: "css_import", message: `Removed @import ${at.params}` });
+    at.remove();
+    changed = true;
+  });
+  root.walkDecls((decl) => {
+    const urls = externalUrls(decl.value);
+    if (!urls.length) return;
+    report.fixed.push({ rule: "external_url", message: `Removed "${decl.prop}" declaration loading ${urls[0]}`, url: urls[0] });
+    decl.remove();
+    changed = true;
+  });
+  return { root, css: changed ? root.toString().trim() : css };
+}
+
+const inKeyframes = (rule) => rule.parent?.type === "atrule" && /keyframes$/i.test(rule.parent.name);
+
+// Class names a selector mentions (attribute values and strings are ignored).
+function selectorClasses(selector) {
+  const bare = selector.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, "").replace(/\[[^\]]*\]/g, "");
+  return (bare.match(/\.-?[_a-zA-Z][\w-]*/g) || []).map((c) => c.slice(1));
+}
+
+function cssClasses(root) {
+  const classes = new Set();
+  root.walkRules((rule) => {
+    if (inKeyframes(rule)) return;
+    for (const c of selectorClasses(rule.selector)) classes.add(c);
+  });
+  return classes;
+}
+
+/* ---------------- markup ---------------- */
+
+function serialize(doc) {
+  return DomUtils.getOuterHTML(doc.children, { encodeEntities: "utf8" });
+}
+
+// Remove <script>, on* attributes and external URLs in place. External links keep their styling as href="#";
+// anything else that would load a remote resource loses the attribute (a <link> is dropped altogether).
+function cleanMarkup(doc, report) {
+  let changed = false;
+  for (const el of DomUtils.findAll((e) => e.name === "script", doc.children)) {
+    report.fixed.push({ rule: "script", message: "Removed <script> element" });
+    DomUtils.removeElement(el);
+    changed = true;
+  }
+  for (const el of DomUtils.findAll(() => true, doc.children)) {
+    for (const [name, value] of Object.entries(el.attribs)) {
+      const attr = name.toLowerCase();
+      if (attr.startsWith("on")) {
+        report.fixed.push({ rule: "event_handler", message: `Removed ${attr} handler on <${el.name}>`, attribute: attr });
+        delete el.attribs[name];
+        changed = true;
+      } else if (URL_ATTRS.has(attr) && value.split(",").some((part) => isExternal(part.trim()))) {
+        report.fixed.push({ rule: "external_url", message: `Removed ${attr}="${value}" on <${el.name}>`, url: value });
+        changed = true;
+        if (el.name === "link") {
+          DomUtils.removeElement(el);
+          break;
+        }
+        if (el.name === "a" && attr === "href") el.attribs[name] = "#";
+        else delete el.attribs[name];
+      } else if (attr === "style" && externalUrls(value).length) {
+        report.fixed.push({ rule: "external_url", message: `Removed inline style loading ${externalUrls(value)[0]} on <${el.name}>` });
+        delete el.attribs[name];
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+function markupClasses(nodes) {
+  const classes = new Set();
+  for (const el of DomUtils.findAll((e) => e.attribs.class != null, nodes)) {
+    for (const c of el.attribs.class.split(/\s+/)) if (c) classes.add(c);
+  }
+  return classes;
+}
+
+// Every class used in the markup is styled and every class the CSS styles is used; `ignore` covers the scope classes,
+// which the wrapper supplies when the markup leaves them out.
+function checkClasses(htmlClasses, styled, report, ignore = new Set()) {
+  for (const c of htmlClasses) {
+    if (!styled.has(c) && !ignore.has(c)) {
+      report.violations.push({ rule: "undefined_class", message: `HTML uses class "${c}" but no CSS rule targets it`, class: c });
+    }
+  }
+  for (const c of styled) {
+    if (!htmlClasses.has(c) && !ignore.has(c)) {
+      report.violations.push({ rule: "unused_class", message: `CSS styles class "${c}" but the HTML never uses it`, class: c });
+    }
+  }
+}
+
+/* ---------------- entry points ---------------- */
+
+function underScope(selector, scope) {
+  const s = selector.trim();
+  return s.startsWith(scope) && !/^[\w-]/.test(s.slice(scope.length));
+}
+
+export function checkComponent({ css, html, scope = ".comp" }) {
+  const report = newReport();
+  const scopeText = String(scope).trim();
+  const cleaned = cleanCss(css, report);
+
+  const doc = parseHtml(html);
+  const markupChanged = cleanMarkup(doc, report);
+  const outHtml = markupChanged ? serialize(doc).trim() : html;
+
+  if (cleaned.root) {
+    cleaned.root.walkRules((rule) => {
+      if (inKeyframes(rule)) return;
+      for (const selector of rule.selectors) {
+        if (!underScope(selector, scopeText)) {
+          report.violations.push({ rule: "unscoped_selector", message: `Selector "${selector}" is not under ${scopeText}`, selector });
+        }
+      }
+    });
+    const ignore = new Set(selectorClasses(scopeText));
+    checkClasses(markupClasses(doc.children), cssClasses(cleaned.root), report, ignore);
+  }
+
+  return { css: cleaned.css, html: outHtml, report: finish(report) };
+}
+
+const DOCUMENT_SHELL = (body, css) =>
+`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>Generated UI</title>
+  ${css ? `<style>${css}</style>` : ""}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+// Fragments are wrapped in a document; a document without any <style> gets fallbackCss in <head>.
+export function checkDocument(content, fallbackCss = "") {
+  const report = newReport();
+  let source = String(content || "");
+  let doc = parseHtml(source);
+  const find = (name) => DomUtils.findOne((e) => e.name === name, doc.children);
+  let changed = false;
+
+  if (!find("html")) {
+    const hasStyle = Boolean(find("style"));
+    source = DOCUMENT_SHELL(source, hasStyle ? "" : fallbackCss);
+    doc = parseHtml(source);
+    report.fixed.push({ rule: "not_a_document", message: "Wrapped the fragment in a full HTML document" });
+  } else if (!find("style") && fallbackCss) {
+    const style = parseHtml(`<style>${fallbackCss}</style>`).children[0];
+    const head = find("head");
+    if (head) DomUtils.appendChild(head, style);
+    else DomUtils.prependChild(find("html"), style);
+    report.fixed.push({ rule: "missing_style", message: "Added the current CSS as a <style> element" });
+    changed = true;
+  }
+
+  const styled = new Set();
+  let parsed = true;
+  for (const style of DomUtils.findAll((e) => e.name === "style", doc.children)) {
+    const text = DomUtils.textContent(style);
+    const cleaned = cleanCss(text, report);
+    if (!cleaned.root) {
+      parsed = false;
+      continue;
+    }
+    for (const c of cssClasses(cleaned.root)) styled.add(c);
+    if (cleaned.css !== text) {
+      style.children.forEach((c, i) => { c.data = i ? "" : cleaned.css; });
+      changed = true;
+    }
+  }
+  if (cleanMarkup(doc, report)) changed = true;
+
+  if (parsed) {
+    const body = find("body");
+    checkClasses(markupClasses(body ? body.children : doc.children), styled, report);
+  }
+  return { html: changed ? serialize(doc) : source, report: finish(report) };
+}
+
+// Repair instructions listing the exact violations; the caller appends the output to fix.
+export function repairPrompt(report) {
+  return [
+    "Fix exactly these problems and change nothing else:",
+    ...report.violations.map((v) => `- ${v.message}`),
+  ].join("\n");
+}
@@ -0,0 +1,144 @@
+// /api/_lib/visual-score.js
+// Headless render + pixel diff used by generate-index refinement passes. No external service: Chromium runs
+// in-process (@sparticuz/chromium on Vercel, or a local Chrome/Chromium binary via CHROME_PATH).
+// score = mean per-pixel colour error in [0, 1] (0 = identical); heatmap = JPEG data URL, red where the render is off.
+// A breakpoint set is scored at every width: score is the mean, the heatmap is the worst width's (heatmapWidth).
+
+const MAX_SIDE = 1600;     // larger screenshots are scored downscaled
+const HEATMAP_SIDE = 512;  // heatmaps go back to the model; keep them cheap
+
+async function launchBrowser() {
+  const { default: puppeteer } = await import("puppeteer-core");
+  if (process.env.CHROME_PATH) {
+    return puppeteer.launch({ executablePath: process.env.CHROME_PATH, headless: true, args: ["--no-sandbox"] });
+  }
+  const { default: chromium } = await import("@sparticuz/chromium");
+  return puppeteer.launch({ args: chromium.args, executablePath: await chromium.executablePath(), headless: true });
+}
+
+// Runs in the page: decode both images, compare at the render's size, paint a heatmap.
+async function diffInPage(sourceUrl, renderUrl, heatSide) {
+  const load = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("image_decode_failed"));
+    img.src = src;
+  });
+  const [src, out] = await Promise.all([load(sourceUrl), load(renderUrl)]);
+  const w = out.naturalWidth, h = out.naturalHeight;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = w; canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const pixels = (img) => {
+    ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, w, h);
+    ctx.drawImage(img, 0, 0, w, h);
+    return ctx.getImageData(0, 0, w, h).data;
+  };
+  const a = pixels(src), b = pixels(out);
+
+  const heat = ctx.createImageData(w, h);
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    const dr = a[i] - b[i], dg = a[i + 1] - b[i + 1], db = a[i + 2] - b[i + 2];
+    const d = Math.sqrt(0.299 * dr * dr + 0.587 * dg * dg + 0.114 * db * db) / 255;
+    sum += d;
+    const gray = 255 - (255 - (0.299 * a[i] + 0.587 * a[i + 1] + 0.114 * a[i + 2])) * 0.35; // faded source
+    heat.data[i] = Math.round(gray + (255 - gray) * d);
+    heat.data[i + 1] = Math.round(gray * (1 - d));
+    heat.data[i + 2] = Math.round(gray * (1 - d));
+    heat.data[i + 3] = 255;
+  }
+  ctx.putImageData(heat, 0, 0);
+
+  const s = Math.min(1, heatSide / Math.max(w, h));
+  const small = document.createElement("canvas");
+  small.width = Math.max(1, Math.round(w * s)); small.height = Math.max(1, Math.round(h * s));
+  small.getContext("2d").drawImage(canvas, 0, 0, small.width, small.height);
+
+  return { score: sum / (w * h), heatmap: small.toDataURL("image/jpeg", 0.8) };
+}
+
+async function measureInPage(sourceUrl) {
+  const img = new Image();
+  img.src = sourceUrl;
+  await img.decode();
+  return { width: img.naturalWidth, height: img.naturalHeight };
+}
+
+// Returns a scorer bound to one source screenshot, or to a breakpoint set ([{ width, image }]), or null when no
+// browser is available (scoring is then skipped). `density` is the screenshot's device pixel ratio (2 for retina
+// captures); a breakpoint's tagged width sets it instead.
+export async function openScorer(source, { density = 1 } = {}) {
+  let browser;
+  try {
+    browser = await launchBrowser();
+  } catch (e) {
+    console.error("visual_score_unavailable", e?.message || e);
+    return null;
+  }
+
+  try {
+    const tool = await browser.newPage();
+    const shots = Array.isArray(source) ? source : [{ image: source, width: null }];
+    const targets = [];
+    for (const shot of shots) {
+      const src = await tool.evaluate(measureInPage, shot.image);
+      const fit = Math.min(1, MAX_SIDE / Math.max(src.width, src.height));
+      const dpr = shot.width
+        ? Math.max(0.25, Math.min((src.width * fit) / shot.width, 3))
+        : Math.max(1, Math.min(Number(density) || 1, 3));
+      targets.push({
+        image: shot.image,
+        width: shot.width,
+        viewport: {
+          width: shot.width || Math.max(1, Math.round((src.width * fit) / dpr)),
+          height: Math.max(1, Math.round((src.height * fit) / dpr)),
+          deviceScaleFactor: dpr,
+        },
+      });
+    }
+
+    async function screenshot(doc, viewport) {
+      const page = await browser.newPage();
+      try {
+        // Model-written markup: no JS, nothing but inline data: resources.
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on("request", (r) => (/^(data|about):/.test(r.url()) ? r.continue() : r.abort()));
+        await page.setViewport(viewport);
+        await page.setContent(doc, { waitUntil: "load", timeout: 10000 });
+        const b64 = await page.screenshot({ type: "png", encoding: "base64", clip: { x: 0, y: 0, width: viewport.width, height: viewport.height } });
+        return `data:image/png;base64,${b64}`;
+      } finally {
+        await page.close().catch(() => {});
+      }
+    }
+
+    return {
+      viewport: targets[0].viewport,
+      async score(doc) {
+        const results = [];
+        for (const t of targets) {
+          const render = await screenshot(doc, t.viewport);
+          results.push({ width: t.width, ...(await tool.evaluate(diffInPage, t.image, render, HEATMAP_SIDE)) });
+        }
+        if (results.length === 1) return { score: results[0].score, heatmap: results[0].heatmap };
+        const worst = results.reduce((a, b) => (b.score > a.score ? b : a));
+        return {
+          score: results.reduce((n, r) => n + r.score, 0) / results.length,
+          heatmap: worst.heatmap,
+          heatmapWidth: worst.width,
+          breakpoints: results.map((r) => ({ width: r.width, score: r.score })),
+        };
+      },
+      async close() {
+        await browser.close().catch(() => {});
+      },
+    };
+  } catch (e) {
+    console.error("visual_score_setup_failed", e?.message || e);
+    await browser.close().catch(() => {});
+    return null;
+  }
+}
@@ -0,0 +1,337 @@
+// /api/_lib/workspaces.js
+// Team workspaces: an owner invites members by email, saved components and brand kits live in the workspace's shared
+// library, and one Stripe subscription buys `seats` for everyone (create-checkout-session.js with a workspace_id).
+// A user belongs to one workspace at most. Seats go to the owner first, then to members in the order they joined,
+// skipping anyone already Pro on a subscription of their own;
+// syncSeats() writes that onto the members' profiles — Pro for seat holders, revoked for the rest — after every
+// subscription event (stripe-webhook.js) and every change of membership.
+// Table `workspaces`: id (uuid, default gen_random_uuid()), name, owner_id, seats (purchased quantity, 0 before
+//   checkout), pro, status, pro_until, plan, stripe_customer_id, stripe_subscription_id, stripe_event_at,
+//   stripe_event_id, created_at, updated_at.
+// Table `workspace_members`: id (uuid), workspace_id, user_id (null until the invite is accepted), email (lowercase),
+//   role (owner | member), status (invited | active), seat (boolean), invited_by, invited_at, joined_at; user_id is
+//   unique among active rows.
+// profiles.workspace_id: set while the profile's Pro comes from a seat of that workspace; only those are revoked.
+// generations.workspace_id, brand_kits.workspace_id: the library an item was saved into (null → its creator's own).
+
+import { supabaseAdmin } from "./supabase.js";
+import { isProActive } from "./auth.js";
+
+const COLUMNS = "id, name, owner_id, seats, pro, status, pro_until, plan, stripe_customer_id, created_at";
+const MEMBER_COLUMNS = "id, workspace_id, user_id, email, role, status, seat, invited_at, joined_at";
+export const MAX_MEMBERS = 100;   // active + invited, and the most seats a checkout sells
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => String(email ?? "").trim().toLowerCase();
+
+/* ---------------- library ---------------- */
+
+// → { userId, workspaceId }: where the user's saves go and what their lists show.
+export async function libraryFor(userId) {
+  const member = await membershipOf(userId);
+  return { userId, workspaceId: member?.workspace_id || null };
+}
+
+// Filters a generations / brand_kits query to a library: the workspace's items plus the user's own unshared ones.
+// Items saved into a workspace stay there when their creator leaves.
+export function inLibrary(query, lib) {
+  if (!lib.workspaceId) return query.eq("user_id", lib.userId).is("workspace_id", null);
+  return query.or(`and(user_id.eq.${lib.userId},workspace_id.is.null),workspace_id.eq.${lib.workspaceId}`);
+}
+
+/* ---------------- workspaces ---------------- */
+
+export async function membershipOf(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("workspace_members")
+    .select(MEMBER_COLUMNS)
+    .eq("user_id", userId)
+    .eq("status", "active")
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function getWorkspace(id) {
+  const { data, error } = await supabaseAdmin
+    .from("workspaces")
+    .select(`${COLUMNS}, stripe_subscription_id`)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Seat holders first (owner, then by join date), then the rest, then open invites.
+export async function listMembers(workspaceId) {
+  const { data, error } = await supabaseAdmin
+    .from("workspace_members")
+    .select(MEMBER_COLUMNS)
+    .eq("workspace_id", workspaceId);
+  if (error) throw error;
+  const rank = (m) => (m.status !== "active" ? 2 : m.role === "owner" ? 0 : 1);
+  return (data || []).sort((a, b) => rank(a) - rank(b) || String(a.joined_at || a.invited_at).localeCompare(String(b.joined_at || b.invited_at)));
+}
+
+// What GET /api/workspaces shows a member: the workspace without its Stripe ids, their role, and the member list.
+export async function workspaceView(workspace, member) {
+  const { stripe_customer_id, stripe_subscription_id, stripe_event_at, stripe_event_id, ...rest } = workspace;
+  const members = await listMembers(workspace.id);
+  return {
+    ...rest,
+    pro: isProActive(workspace),
+    billing: Boolean(stripe_customer_id),
+    role: member.role,
+    member_id: member.id,
+    seats_used: members.filter((m) => m.seat).length,
+    members,
+  };
+}
+
+// The caller's workspace for a change only its owner may make → { ok: true, workspace } or { ok: false, status, body }.
+export async function ownedWorkspace(userId, id = null) {
+  const member = await membershipOf(userId);
+  if (!member || (id && member.workspace_id !== id)) {
+    return { ok: false, status: 404, body: { error: "not_found", hint: id ? "You are not in this workspace." : "Create a workspace first." } };
+  }
+  if (member.role !== "owner") {
+    return { ok: false, status: 403, body: { error: "owner_only", hint: "Only the workspace owner can do this." } };
+  }
+  return { ok: true, workspace: await getWorkspace(member.workspace_id) };
+}
+
+// Request body → { ok: true, name } or the bad_workspace failure.
+export function cleanWorkspaceName(raw) {
+  const name = String(raw?.name ?? "").trim();
+  if (!name || name.length > 80) {
+    return { ok: false, status: 400, body: { error: "bad_workspace", field: "name", hint: "Name the workspace (max 80 characters)." } };
+  }
+  return { ok: true, name };
+}
+
+export async function createWorkspace(user, name) {
+  if (await membershipOf(user.id)) {
+    return { ok: false, status: 409, body: { error: "already_in_workspace", hint: "Leave your current workspace first." } };
+  }
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from("workspaces")
+    .insert({ name, owner_id: user.id, seats: 0, pro: false, created_at: now, updated_at: now })
+    .select(COLUMNS);
+  if (error) throw error;
+  const workspace = data[0];
+  const { error: memberError } = await supabaseAdmin.from("workspace_members").insert({
+    workspace_id: workspace.id, user_id: user.id, email: normalizeEmail(user.email), role: "owner", status: "active",
+    seat: false, invited_by: user.id, invited_at: now, joined_at: now,
+  });
+  if (memberError) throw memberError;
+  return { ok: true, workspace };
+}
+
+export async function renameWorkspace(id, name) {
+  const { data, error } = await supabaseAdmin
+    .from("workspaces")
+    .update({ name, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(COLUMNS);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Only without a live subscription (cancel it in the billing portal first). Library items go back to their creators.
+export async function deleteWorkspace(workspace) {
+  if (isProActive(workspace)) {
+    return {
+      ok: false,
+      status: 409,
+      body: { error: "subscription_active", hint: "Cancel the team subscription under Manage billing first." },
+    };
+  }
+  for (const table of ["generations", "brand_kits"]) {
+    const { error } = await supabaseAdmin.from(table).update({ workspace_id: null }).eq("workspace_id", workspace.id);
+    if (error) throw error;
+  }
+  const { error: membersError } = await supabaseAdmin.from("workspace_members").delete().eq("workspace_id", workspace.id);
+  if (membersError) throw membersError;
+  await syncSeats({ ...workspace, seats: 0 }, []);
+  const { error } = await supabaseAdmin.from("workspaces").delete().eq("id", workspace.id);
+  if (error) throw error;
+  return { ok: true };
+}
+
+/* ---------------- members ---------------- */
+
+// Supabase Auth sends the invite mail: an invitation (which creates the account) to a new address, a sign-in link to an
+// existing account. Both land on `redirectTo` (app.html#team, which lists the invite; it must be in the project's
+// allowed redirect URLs). A mail that can't be sent leaves the invite in place. → true when a mail went out.
+async function sendInviteEmail(address, workspace, redirectTo) {
+  const { error } = await supabaseAdmin.auth.admin.inviteUserByEmail(address, {
+    redirectTo,
+    data: { invited_to_workspace: workspace.id, workspace_name: workspace.name },
+  });
+  if (!error) return true;
+  if (error.code !== "email_exists" && error.status !== 422) {
+    console.error("invite_email_error", error);
+    return false;
+  }
+  const { error: linkError } = await supabaseAdmin.auth.signInWithOtp({
+    email: address,
+    options: { shouldCreateUser: false, emailRedirectTo: redirectTo },
+  });
+  if (linkError) console.error("invite_email_error", linkError);
+  return !linkError;
+}
+
+// → { ok: true, member } (member.emailed: whether the invite mail went out) or a failure.
+export async function inviteMember(workspace, email, invitedBy, { redirectTo } = {}) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_RE.test(address) || address.length > 254) {
+    return { ok: false, status: 400, body: { error: "bad_email", hint: "Invite an email address." } };
+  }
+  const members = await listMembers(workspace.id);
+  if (members.some((m) => m.email === address)) {
+    return { ok: false, status: 409, body: { error: "already_invited", hint: `${address} is already in this workspace or invited.` } };
+  }
+  if (members.length >= MAX_MEMBERS) {
+    return { ok: false, status: 409, body: { error: "too_many_members", limit: MAX_MEMBERS } };
+  }
+  const { data, error } = await supabaseAdmin
+    .from("workspace_members")
+    .insert({
+      workspace_id: workspace.id, user_id: null, email: address, role: "member", status: "invited", seat: false,
+      invited_by: invitedBy, invited_at: new Date().toISOString(),
+    })
+    .select(MEMBER_COLUMNS);
+  if (error) throw error;
+  return { ok: true, member: { ...data[0], emailed: await sendInviteEmail(address, workspace, redirectTo) } };
+}
+
+// Open invites for the signed-in user's address, with the workspace names.
+export async function pendingInvites(email) {
+  const address = normalizeEmail(email);
+  if (!address) return [];
+  const { data, error } = await supabaseAdmin
+    .from("workspace_members")
+    .select(`${MEMBER_COLUMNS}, workspaces(name)`)
+    .eq("email", address)
+    .eq("status", "invited");
+  if (error) throw error;
+  return (data || []).map(({ workspaces, ...m }) => ({ ...m, workspace_name: workspaces?.name || null }));
+}
+
+export async function acceptInvite(user, inviteId) {
+  const { data: invite, error } = await supabaseAdmin
+    .from("workspace_members")
+    .select(MEMBER_COLUMNS)
+    .eq("id", inviteId)
+    .eq("email", normalizeEmail(user.email))
+    .eq("status", "invited")
+    .maybeSingle();
+  if (error) throw error;
+  if (!invite) return { ok: false, status: 404, body: { error: "not_found", hint: "No open invite for your email address." } };
+  if (await membershipOf(user.id)) {
+    return { ok: false, status: 409, body: { error: "already_in_workspace", hint: "Leave your current workspace first." } };
+  }
+
+  const { data, error: updError } = await supabaseAdmin
+    .from("workspace_members")
+    .update({ user_id: user.id, status: "active", joined_at: new Date().toISOString() })
+    .eq("id", invite.id)
+    .eq("status", "invited")
+    .select(MEMBER_COLUMNS);
+  if (updError) throw updError;
+  if (!data?.length) return { ok: false, status: 404, body: { error: "not_found", hint: "No open invite for your email address." } };
+  await syncSeats(await getWorkspace(invite.workspace_id));
+  return { ok: true, member: data[0] };
+}
+
+// Owner removing anyone but themselves, a member leaving, or an invitee declining → { ok: true } or a failure.
+export async function removeMember(user, memberId) {
+  const { data: target, error } = await supabaseAdmin
+    .from("workspace_members")
+    .select(MEMBER_COLUMNS)
+    .eq("id", memberId)
+    .maybeSingle();
+  if (error) throw error;
+  const notFound = { ok: false, status: 404, body: { error: "not_found" } };
+  if (!target) return notFound;
+
+  const self = target.user_id === user.id || (target.status === "invited" && target.email === normalizeEmail(user.email));
+  if (!self) {
+    const owner = await ownedWorkspace(user.id, target.workspace_id);
+    if (!owner.ok) return owner.status === 404 ? notFound : owner;
+  }
+  if (target.role === "owner") {
+    return { ok: false, status: 409, body: { error: "owner_cannot_leave", hint: "Delete the workspace instead." } };
+  }
+
+  const { error: delError } = await supabaseAdmin.from("workspace_members").delete().eq("id", target.id);
+  if (delError) throw delError;
+  if (target.status === "active") await syncSeats(await getWorkspace(target.workspace_id));
+  return { ok: true };
+}
+
+/* ---------------- seats ---------------- */
+
+// Hands the workspace's seats to its active members who need one and brings their profiles in line: seat holders get
+// Pro with the workspace's status and period, profiles holding Pro through this workspace without a seat lose it. A
+// member who is Pro on a subscription of their own keeps it untouched and takes no seat. `members` defaults to the
+// current member list. → { seats, holders: [userId], granted: [userId] (newly), revoked: [userId] }.
+export async function syncSeats(workspace, members = null) {
+  const active = (members || (await listMembers(workspace.id))).filter((m) => m.status === "active" && m.user_id);
+
+  const [byMember, byGrant] = await Promise.all([
+    active.length ? supabaseAdmin.from("profiles").select("id, pro, pro_until, workspace_id").in("id", active.map((m) => m.user_id)) : { data: [] },
+    supabaseAdmin.from("profiles").select("id, pro, pro_until, workspace_id").eq("workspace_id", workspace.id),
+  ]);
+  if (byMember.error) throw byMember.error;
+  if (byGrant.error) throw byGrant.error;
+  const profiles = new Map([...byMember.data, ...(byGrant.data || [])].map((p) => [p.id, p]));
+  const selfPaying = (m) => {
+    const profile = profiles.get(m.user_id);
+    return Boolean(profile && profile.workspace_id !== workspace.id && isProActive(profile));
+  };
+
+  const holders = isProActive(workspace) ? active.filter((m) => !selfPaying(m)).slice(0, Math.max(0, workspace.seats || 0)) : [];
+  const holderIds = new Set(holders.map((m) => m.user_id));
+
+  const others = active.filter((m) => !holderIds.has(m.user_id));
+  const flags = await Promise.all([
+    holders.length && supabaseAdmin.from("workspace_members").update({ seat: true }).in("id", holders.map((m) => m.id)),
+    others.length && supabaseAdmin.from("workspace_members").update({ seat: false }).in("id", others.map((m) => m.id)),
+  ]);
+  for (const flag of flags) if (flag?.error) throw flag.error;
+
+  const now = new Date().toISOString();
+  const granted = [], revoked = [];
+  for (const userId of holderIds) {
+    const profile = profiles.get(userId);
+    const { error } = await supabaseAdmin.from("profiles").upsert(
+      {
+        id: userId, pro: true, status: workspace.status, pro_until: workspace.pro_until, plan: workspace.plan,
+        workspace_id: workspace.id, updated_at: now,
+      },
+      { onConflict: "id" }
+    );
+    if (error) throw error;
+    if (!profile?.pro || profile.workspace_id !== workspace.id) granted.push(userId);
+  }
+  for (const profile of profiles.values()) {
+    if (holderIds.has(profile.id) || profile.workspace_id !== workspace.id) continue;
+    const { error } = await supabaseAdmin
+      .from("profiles")
+      .update({ pro: false, status: isProActive(workspace) ? "no_seat" : workspace.status, workspace_id: null, updated_at: now })
+      .eq("id", profile.id)
+      .eq("workspace_id", workspace.id);
+    if (error) throw error;
+    revoked.push(profile.id);
+  }
+  return { seats: workspace.seats || 0, holders: [...holderIds], granted, revoked };
+}
+
+// After a user's own subscription lapses: a workspace seat they hold takes over again.
+export async function resyncMember(userId) {
+  const member = await membershipOf(userId);
+  if (!member) return null;
+  return syncSeats(await getWorkspace(member.workspace_id));
+}
@@ -0,0 +1,52 @@
+// /api/api-keys.js
+// The signed-in user's API keys (_lib/api-keys.js) for /api/v1/generate-css and /api/v1/generate-index.
+//   GET    /api/api-keys            → { items: [{ id, name, prefix, rate_limit, created_at, last_used_at }] }
+//   POST   /api/api-keys            { name, rate_limit? } → 201 the same fields + { key } — the only time the key is shown
+//   DELETE /api/api-keys?id=<uuid>  → { revoked: true }; requests with the key fail from then on
+// Managing keys needs a signed-in session; an API key cannot create or revoke keys.
+
+import { authenticate } from "./_lib/auth.js";
+import { cleanKeyRequest, createKey, listKeys, revokeKey } from "./_lib/api-keys.js";
+
+const METHODS = ["GET", "POST", "DELETE"];
+
+export default async function handler(req, res) {
+  try {
+    if (!METHODS.includes(req.method)) {
+      res.setHeader("Allow", METHODS.join(", "));
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "DELETE") {
+      const id = req.query?.id ? String(req.query.id) : null;
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "DELETE /api/api-keys?id=<id>" });
+      const revoked = await revokeKey(auth.user.id, id);
+      if (!revoked) return res.status(404).json({ error: "not_found" });
+      return res.status(200).json({ revoked: true });
+    }
+
+    if (req.method === "POST") {
+      let body = req.body;
+      if (!body) {
+        const chunks = [];
+        for await (const c of req) chunks.push(c);
+        const raw = Buffer.concat(chunks).toString("utf8");
+        try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+      }
+      const clean = cleanKeyRequest(body);
+      if (!clean.ok) return res.status(clean.status).json(clean.body);
+      const created = await createKey(auth.user.id, clean);
+      if (!created.ok) return res.status(created.status).json(created.body);
+      return res.status(201).json({ ...created.row, key: created.key });
+    }
+
+    return res.status(200).json({ items: await listKeys(auth.user.id) });
+  } catch (e) {
+    console.error("api_keys_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,209 @@
+// /api/batch.js
+// Batch Image→CSS (Pro). Many screenshots, each with its own scope class + component hint, run with bounded
+// concurrency; every item succeeds or fails on its own.
+//   POST   /api/batch  { items: [{ image, scope, component }], palette?, concurrency?, stream? } → new job
+//   POST   /api/batch  { job_id, items: [...] }              → add items to a job (large sets go in several requests)
+//   POST   /api/batch  { job_id, items: [{ id, image }] }    → retry items that did not finish
+//   GET    /api/batch                       → { jobs: [...] }
+//   GET    /api/batch?id=<uuid>             → { job, items } (items carry css + html + validation report)
+//   GET    /api/batch?id=<uuid>&format=zip  → ZIP: components/<name>.css|.html, styles.css, manifest.json
+//   DELETE /api/batch?id=<uuid>             → { deleted: true }
+// POST answers { job, items } as JSON, or with { stream: true } NDJSON: {type:"job"}, {type:"item", id, status, …} per
+// change, then {type:"done", job}. Closing the connection stops starting new items. Each finished item is one generation.
+
+import { requirePro } from "./_lib/auth.js";
+import { TIER_LIMITS, releaseUsage, reserveUsage, settleUsage } from "./_lib/usage.js";
+import { checkImage, convertComponent } from "./_lib/convert.js";
+import { checkProviders } from "./_lib/models.js";
+import { cleanPalette } from "./_lib/palette.js";
+import {
+  MAX_JOB_ITEMS, MAX_REQUEST_ITEMS, RUNNING_LEASE_MS, addItems, batchConcurrency, claimItem, createJob, deleteJob, getJob,
+  jobArchive, listJobs, refreshJob, runPool, updateItem,
+} from "./_lib/batch.js";
+
+const publicItem = ({ id, position, scope, component, status, error, attempts }) =>
+  ({ id, position, scope, component, status, error, attempts });
+
+export default async function handler(req, res) {
+  let streaming = false;
+  let unsettled = [];   // reserved generations not used yet, given back however the request ends
+  try {
+    if (!["GET", "POST", "DELETE"].includes(req.method)) {
+      res.setHeader("Allow", "GET, POST, DELETE");
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const auth = await requirePro(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+    const userId = auth.user.id;
+    const id = req.query?.id ? String(req.query.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "DELETE /api/batch?id=<id>" });
+      const deleted = await deleteJob(userId, id);
+      if (!deleted) return res.status(404).json({ error: "not_found" });
+      return res.status(200).json({ deleted: true });
+    }
+
+    if (req.method === "GET") {
+      if (!id) return res.status(200).json({ jobs: await listJobs(userId, { limit: req.query?.limit }) });
+      const found = await getJob(userId, id);
+      if (!found) return res.status(404).json({ error: "not_found" });
+      if (req.query?.format === "zip") {
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader("Content-Disposition", `attachment; filename="imagetocss-batch-${id.slice(0, 8)}.zip"`);
+        return res.status(200).send(jobArchive(found.job, found.items));
+      }
+      return res.status(200).json(found);
+    }
+
+    // --- POST: run items ---
+    let body = req.body;
+    if (!body) {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+    }
+    const { job_id = null, items: rawItems, concurrency, stream = false } = body || {};
+    const palette = cleanPalette(body?.palette);
+
+    if (!Array.isArray(rawItems) || !rawItems.length) {
+      return res.status(400).json({ error: "bad_items", hint: "Send { items: [{ image: dataURL, scope, component }] }." });
+    }
+    if (rawItems.length > MAX_REQUEST_ITEMS) {
+      return res.status(413).json({ error: "too_many_items", limit: MAX_REQUEST_ITEMS, hint: "Send large sets in several requests with the same job_id." });
+    }
+    const misconfigured = checkProviders("generate-css");
+    if (misconfigured) return res.status(misconfigured.status).json(misconfigured.body);
+
+    const existing = job_id ? await getJob(userId, String(job_id)) : null;
+    if (job_id && !existing) return res.status(404).json({ error: "not_found" });
+
+    // Split into retries of existing items and new items; a bad image fails only its own item.
+    const retries = [];
+    const fresh = [];
+    for (const raw of rawItems) {
+      const bad = checkImage(raw?.image);
+      if (raw?.id) {
+        const item = existing?.items.find((i) => i.id === raw.id);
+        if (!item) return res.status(400).json({ error: "unknown_item", id: raw.id });
+        if (item.status === "done") return res.status(409).json({ error: "item_done", id: raw.id, hint: "Only unfinished items can be retried." });
+        if (item.status === "running" && Date.parse(item.updated_at) > Date.now() - RUNNING_LEASE_MS) {
+          return res.status(409).json({ error: "item_running", id: raw.id, hint: "The item is still being converted; retry it if it fails." });
+        }
+        retries.push({ item, image: raw.image, bad });
+      } else {
+        fresh.push({
+          scope: typeof raw?.scope === "string" && raw.scope.trim() ? raw.scope.trim() : ".comp",
+          component: typeof raw?.component === "string" ? raw.component.trim().slice(0, 80) : "",
+          image: raw?.image,
+          bad,
+        });
+      }
+    }
+    const jobSize = (existing?.items.length || 0) + fresh.length;
+    if (jobSize > MAX_JOB_ITEMS) {
+      return res.status(413).json({ error: "too_many_items", limit: MAX_JOB_ITEMS, hint: `A job holds at most ${MAX_JOB_ITEMS} components.` });
+    }
+
+    // One generation is held per runnable item; each finished item settles one.
+    const runnable = [...retries, ...fresh].filter((w) => !w.bad).length;
+    if (runnable) {
+      const reserved = await reserveUsage(auth, "batch", runnable);
+      if (!reserved.ok) return res.status(reserved.status).json(reserved.body);
+      unsettled = [...reserved.ids];
+    }
+
+    // Take the retried items from the state they were read in; one already taken by a parallel retry refuses the
+    // whole request, putting back the ones this request took.
+    const claimed = [];
+    for (const w of retries) {
+      if (await claimItem(w.item, { status: w.bad ? "error" : "queued", error: w.bad ? w.bad.body.error : null })) {
+        claimed.push(w.item);
+        continue;
+      }
+      for (const item of claimed) await updateItem(item.id, { status: item.status, error: item.error });
+      await releaseUsage(unsettled.splice(0));
+      return res.status(409).json({ error: "item_busy", id: w.item.id, hint: "Another request is already retrying this item." });
+    }
+
+    const job = existing?.job || await createJob(userId);
+    const start = existing?.items.reduce((n, i) => Math.max(n, i.position + 1), 0) || 0;
+    const inserted = await addItems(userId, job.id, fresh.map((w, i) => ({
+      position: start + i,
+      scope: w.scope,
+      component: w.component,
+      status: w.bad ? "error" : "queued",
+      error: w.bad ? w.bad.body.error : null,
+    })));
+    const work = [
+      ...retries.map((w) => ({ ...w, item: { ...w.item, status: w.bad ? "error" : "queued", error: w.bad ? w.bad.body.error : null } })),
+      ...fresh.map((w, i) => ({ ...w, item: inserted[i] })),
+    ];
+
+    // Client went away → stop starting new items and abort the in-flight model calls.
+    const controller = new AbortController();
+    res.on("close", () => { if (!res.writableFinished) controller.abort(); });
+
+    let emit = () => {};
+    if (stream) {
+      streaming = true;
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader("X-Accel-Buffering", "no");
+      res.status(200);
+      res.flushHeaders?.();
+      emit = (event) => { if (!res.writableEnded) res.write(JSON.stringify(event) + "\n"); };
+      emit({ type: "job", job, items: work.map((w) => publicItem(w.item)) });
+    }
+
+    const results = new Map(work.map((w) => [w.item.id, publicItem(w.item)]));
+    const repairPasses = TIER_LIMITS.pro.maxRepairPasses;
+
+    await runPool(work.filter((w) => !w.bad), batchConcurrency(concurrency), async ({ item, image }) => {
+      const attempts = (item.attempts || 0) + 1;
+      let result;
+      try {
+        await updateItem(item.id, { status: "running", attempts });
+        emit({ type: "item", id: item.id, status: "running", attempts });
+        const out = await convertComponent({
+          image, scope: item.scope, component: item.component || "component", palette, repairPasses, signal: controller.signal,
+        });
+        if (out.ok) {
+          await settleUsage(unsettled.pop(), { model: out.model, passes: out.calls, usage: out.usage });
+          result = { status: "done", error: null, css: out.css, html: out.html, validation: out.validation };
+        } else {
+          result = { status: "error", error: out.body.error, detail: out.body.detail || out.body.raw || null };
+        }
+      } catch (err) {
+        const aborted = controller.signal.aborted;
+        if (!aborted) console.error("batch_item_error", err);
+        result = { status: "error", error: aborted ? "cancelled" : "item_failed", detail: String(err?.message || err) };
+      }
+      const { detail, ...row } = result;
+      try { await updateItem(item.id, row); } catch (err) { console.error("batch_item_save_error", err); }
+      results.set(item.id, { ...results.get(item.id), ...result, attempts });
+      emit({ type: "item", id: item.id, ...result, attempts });
+    }, controller.signal);
+    await releaseUsage(unsettled.splice(0));
+
+    const summary = await refreshJob(job.id);
+    if (stream) {
+      emit({ type: "done", job: summary });
+      return res.end();
+    }
+    return res.status(200).json({ job: summary, items: [...results.values()] });
+  } catch (e) {
+    console.error("batch_error", e);
+    await releaseUsage(unsettled.splice(0));
+    if (streaming) {
+      if (!res.writableEnded) {
+        res.write(JSON.stringify({ type: "error", error: "server_error", detail: String(e?.message || e) }) + "\n");
+        res.end();
+      }
+      return;
+    }
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
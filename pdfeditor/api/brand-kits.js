@@ -0,0 +1,65 @@
+// /api/brand-kits.js
+// The signed-in user's brand kits (_lib/brand-kits.js); pass a kit's id as kit_id to generate-css / generate-index.
+// In a team workspace these are the workspace's shared kits plus the user's own earlier ones; new kits are shared.
+//   GET    /api/brand-kits            → { items: [kit] }, each with `root` (the :root block defining its custom properties)
+//   GET    /api/brand-kits?id=<uuid>  → kit + { root }
+//   POST   /api/brand-kits            { name, colors?, font_family?, type_scale?, radius?, spacing? } → 201 kit + { root }
+//   PUT    /api/brand-kits?id=<uuid>  same body → kit + { root } (replaces every field)
+//   DELETE /api/brand-kits?id=<uuid>  → { deleted: true }
+
+import { authenticate } from "./_lib/auth.js";
+import { cleanKit, deleteKit, getKit, kitRootCss, listKits, saveKit } from "./_lib/brand-kits.js";
+import { libraryFor } from "./_lib/workspaces.js";
+
+const METHODS = ["GET", "POST", "PUT", "DELETE"];
+
+export default async function handler(req, res) {
+  try {
+    if (!METHODS.includes(req.method)) {
+      res.setHeader("Allow", METHODS.join(", "));
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+
+    const id = req.query?.id ? String(req.query.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+    const lib = await libraryFor(auth.user.id);
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "DELETE /api/brand-kits?id=<id>" });
+      const deleted = await deleteKit(lib, id);
+      if (!deleted) return res.status(404).json({ error: "not_found" });
+      return res.status(200).json({ deleted: true });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      if (req.method === "PUT" && !id) return res.status(400).json({ error: "missing_id", hint: "PUT /api/brand-kits?id=<id>" });
+      let body = req.body;
+      if (!body) {
+        const chunks = [];
+        for await (const c of req) chunks.push(c);
+        const raw = Buffer.concat(chunks).toString("utf8");
+        try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+      }
+      const clean = cleanKit(body);
+      if (!clean.ok) return res.status(clean.status).json(clean.body);
+      const saved = await saveKit(lib, clean.kit, req.method === "PUT" ? id : null);
+      if (!saved) return res.status(404).json({ error: "not_found" });
+      return res.status(req.method === "POST" ? 201 : 200).json({ ...saved, root: kitRootCss(saved) });
+    }
+
+    if (id) {
+      const kit = await getKit(lib, id);
+      if (!kit) return res.status(404).json({ error: "not_found" });
+      return res.status(200).json({ ...kit, root: kitRootCss(kit) });
+    }
+
+    const items = await listKits(lib);
+    return res.status(200).json({ items: items.map((kit) => ({ ...kit, root: kitRootCss(kit) })) });
+  } catch (e) {
+    console.error("brand_kits_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
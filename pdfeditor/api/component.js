@@ -0,0 +1,45 @@
+// /api/component.js
+// { css, html } → a drop-in framework component. POST { css, html, scope, component, target } → { target, name, tag,
+// files: [{ filename, type, content }] }. Deterministic translation, no model call; generate-css's `target` option uses
+// the same builder. Targets: react-css-modules, react-styled, vue, svelte, web-component.
+
+import { COMPONENT_TARGETS, buildComponent } from "./_lib/components.js";
+
+const MAX_SOURCE_BYTES = 512 * 1024;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    let body = req.body;
+    if (!body) {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+    }
+
+    const { css = "", html = "", scope = ".comp", component = "component", target } = body || {};
+    if (typeof css !== "string" || typeof html !== "string" || !html.trim()) {
+      return res.status(400).json({ error: "bad_source", hint: "Send { css: string, html: string, target }." });
+    }
+    if (Buffer.byteLength(css + html, "utf8") > MAX_SOURCE_BYTES) {
+      return res.status(413).json({ error: "source_too_large", hint: "Keep CSS + HTML under 512KB." });
+    }
+    if (!COMPONENT_TARGETS[target]) {
+      return res.status(400).json({ error: "bad_target", targets: Object.keys(COMPONENT_TARGETS) });
+    }
+
+    try {
+      return res.status(200).json(buildComponent({ css, html, scope, component }, target));
+    } catch (e) {
+      return res.status(422).json({ error: "css_parse_error", detail: String(e?.reason || e?.message || e) });
+    }
+  } catch (e) {
+    console.error("component_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
@@ -1,5 +1,11 @@
 // pages/api/create-checkout-session.js
+// Signed in (Authorization: Bearer …) → a personal Pro subscription for that user; the user id and email come from the
+// session only, never from the body, since stripe-webhook.js trusts the id this writes. { workspace_id, seats? } from the
+// workspace owner → the team subscription: STRIPE_TEAM_PRICE_ID (else STRIPE_PRICE_ID) per seat, `seats` defaulting
+// to the workspace's members and invites, adjustable on the checkout page. stripe-webhook.js hands the seats out.
 import Stripe from "stripe";
+import { authenticate, isProActive } from "./_lib/auth.js";
+import { MAX_MEMBERS, listMembers, ownedWorkspace } from "./_lib/workspaces.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "", {
   apiVersion: "2024-06-20",
@@ -12,7 +18,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { email, userId } = req.body || {};
+    const { workspace_id: workspaceId } = req.body || {};
 
     // ✅ Env checks (most common reason for FUNCTION_INVOCATION_FAILED)
     const secret = process.env.STRIPE_SECRET_KEY;
@@ -28,10 +34,15 @@ export default async function handler(req, res) {
       req.headers.origin ||
       (process.env.NEXT_PUBLIC_SITE_URL ?? "http://localhost:3000");
 
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+    if (workspaceId) return await teamCheckout(req, res, origin, auth);
+
+    const userId = auth.user.id;
     const session = await stripe.checkout.sessions.create({
       mode: "subscription",
-      customer_email: email || undefined,
-      client_reference_id: userId || undefined,
+      customer_email: auth.user.email || undefined,
+      client_reference_id: userId,
       line_items: [{ price: priceId, quantity: 1 }],
       success_url: `${origin}/app.html?checkout=success`,
       cancel_url: `${origin}/pricing.html?canceled=1`,
@@ -39,11 +50,12 @@ export default async function handler(req, res) {
       billing_address_collection: "auto",
       subscription_data: {
         metadata: {
-          supabase_user_id: userId || "",
+          supabase_user_id: userId,
           app: "image-to-css",
         },
       },
-      metadata: { started_from: "pricing" },
+      // stripe-webhook.js resolves the user from client_reference_id, then this id.
+      metadata: { started_from: "pricing", supabase_user_id: userId },
     });
 
     return res.status(200).json({ url: session.url });
@@ -56,3 +68,40 @@ export default async function handler(req, res) {
     });
   }
 }
+
+async function teamCheckout(req, res, origin, auth) {
+  const owned = await ownedWorkspace(auth.user.id, String(req.body.workspace_id));
+  if (!owned.ok) return res.status(owned.status).json(owned.body);
+  const { workspace } = owned;
+  if (isProActive(workspace)) {
+    return res.status(409).json({ error: "already_subscribed", hint: "Change the number of seats under Manage billing." });
+  }
+
+  const seats = req.body.seats ?? (await listMembers(workspace.id)).length;
+  if (!Number.isInteger(seats) || seats < 1 || seats > MAX_MEMBERS) {
+    return res.status(400).json({ error: "bad_seats", hint: `Seats are 1–${MAX_MEMBERS}.` });
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    mode: "subscription",
+    ...(workspace.stripe_customer_id
+      ? { customer: workspace.stripe_customer_id }
+      : { customer_email: auth.user.email || undefined }),
+    line_items: [{
+      price: process.env.STRIPE_TEAM_PRICE_ID || process.env.STRIPE_PRICE_ID,
+      quantity: seats,
+      adjustable_quantity: { enabled: true, minimum: 1, maximum: MAX_MEMBERS },
+    }],
+    success_url: `${origin}/app.html?checkout=team#team`,
+    cancel_url: `${origin}/app.html#team`,
+    allow_promotion_codes: true,
+    billing_address_collection: "auto",
+    // stripe-webhook.js matches team subscriptions by this id, never by the owner's user id or email.
+    subscription_data: {
+      metadata: { workspace_id: workspace.id, app: "image-to-css" },
+    },
+    metadata: { started_from: "team", workspace_id: workspace.id },
+  });
+
+  return res.status(200).json({ url: session.url, seats });
+}
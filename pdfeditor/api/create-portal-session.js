@@ -1,5 +1,10 @@
 // pages/api/create-portal-session.js
+// Signed in (Authorization: Bearer …) → the billing portal of the caller's own Stripe customer (profiles
+// .stripe_customer_id, written by stripe-webhook.js); nothing in the body picks the customer. { workspace_id } from the
+// workspace owner → the portal of the workspace's Stripe customer, where seats are added or removed.
 import Stripe from "stripe";
+import { authenticate } from "./_lib/auth.js";
+import { ownedWorkspace } from "./_lib/workspaces.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "", {
   apiVersion: "2024-06-20",
@@ -12,7 +17,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { email, customerId } = req.body || {};
+    const { workspace_id: workspaceId } = req.body || {};
 
     const secret = process.env.STRIPE_SECRET_KEY;
     if (!secret) {
@@ -20,29 +25,33 @@ export default async function handler(req, res) {
         .status(500)
         .json({ error: "Server misconfigured: STRIPE_SECRET_KEY not set." });
     }
-    if (!email && !customerId) {
-      return res.status(400).json({ error: "email or customerId is required." });
-    }
+    const origin =
+      req.headers.origin ||
+      (process.env.NEXT_PUBLIC_SITE_URL ?? "http://localhost:3000");
 
-    let custId = customerId || null;
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
 
-    // If no customerId was passed, try to find one by email
-    if (!custId && email) {
-      const list = await stripe.customers.list({ email, limit: 1 });
-      custId = list?.data?.[0]?.id || null;
+    if (workspaceId) {
+      const owned = await ownedWorkspace(auth.user.id, String(workspaceId));
+      if (!owned.ok) return res.status(owned.status).json(owned.body);
+      if (!owned.workspace.stripe_customer_id) {
+        return res.status(404).json({ error: "No team subscription yet. Buy seats first." });
+      }
+      const portal = await stripe.billingPortal.sessions.create({
+        customer: owned.workspace.stripe_customer_id,
+        return_url: `${origin}/app.html#team`,
+      });
+      return res.status(200).json({ url: portal.url });
     }
 
+    const custId = auth.profile?.stripe_customer_id || null;
     if (!custId) {
       return res.status(404).json({
-        error:
-          "No Stripe customer found for this email. Start a checkout first to create one.",
+        error: "No subscription on this account yet. Start a checkout first to create one.",
       });
     }
 
-    const origin =
-      req.headers.origin ||
-      (process.env.NEXT_PUBLIC_SITE_URL ?? "http://localhost:3000");
-
     const portal = await stripe.billingPortal.sessions.create({
       customer: custId,
       return_url: `${origin}/pricing.html`,
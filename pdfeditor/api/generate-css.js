@@ -1,7 +1,32 @@
 // /api/generate-css.js
-// ESM + Vercel Node runtime (default). GPT-5 ONLY. No fallbacks. No temperature (model requires default).
+// ESM + Vercel Node runtime (default). Model calls go through _lib/models.js (gpt-5 unless MODEL_GENERATE_CSS / MODELS say otherwise).
+// Pro: Supabase access token (Authorization: Bearer …) + monthly quota. Free/anonymous: small daily quota, no repair pass.
+// Scripts call it as /api/v1/generate-css with an API key instead of a session (_lib/api-keys.js).
+// Every response carries `validation` (_lib/validate.js): what was stripped and which violations, if any, remain.
+// { breakpoints: [{ width, image }, …] } instead of `image` → one mobile-first stylesheet with @media overrides that hold
+// only what changes per width (_lib/responsive.js). { states: [{ state, image }, …] } (default, hover, focus, active,
+// disabled, error) → base rules for the default shot and state rules holding only the deltas (_lib/states.js).
+// { kit_id } (signed in) → CSS written against the brand kit's custom properties instead of the palette hint; leftover
+// literals are snapped to the nearest token and `brand_kit` lists the ones that could not be (_lib/brand-kits.js).
+// `accessibility` is the audit of the result (_lib/a11y.js): contrast, labels, alt text, heading order, focus styles;
+// { accessibility: "fix" } also applies its fixes to the returned code, "off" skips it.
+// The model output is cached by image hash + options (_lib/cache.js): X-Cache: HIT | MISS, and a hit is not metered.
+// { cache: "bypass" } forces a fresh run, { cache: "similar" } also reuses a near-duplicate of one of your screenshots.
 
-const MODEL = "gpt-5";
+import { resolveEntitlement } from "./_lib/auth.js";
+import { TIER_LIMITS, checkQuota, releaseUsage, reserveUsage, settleUsage } from "./_lib/usage.js";
+import { checkImage, convertComponent } from "./_lib/convert.js";
+import { checkProviders, modelFor } from "./_lib/models.js";
+import { saveGeneration } from "./_lib/history.js";
+import { libraryFor } from "./_lib/workspaces.js";
+import { cleanPalette } from "./_lib/palette.js";
+import { buildTokens } from "./_lib/tokens.js";
+import { breakpointLines, cleanBreakpoints, minimizeOverrides } from "./_lib/responsive.js";
+import { cleanStates, minimizeStates, stateLines } from "./_lib/states.js";
+import { COMPONENT_TARGETS, buildComponent } from "./_lib/components.js";
+import { kitLines, kitRootCss, resolveKit, snapToKit } from "./_lib/brand-kits.js";
+import { accessibilityMode, auditAccessibility } from "./_lib/a11y.js";
+import { cacheKey, cacheMode, readCache, setCacheHeaders, writeCache } from "./_lib/cache.js";
 
 export default async function handler(req, res) {
   try {
@@ -11,7 +36,8 @@ export default async function handler(req, res) {
         ok: true,
         env_present: Boolean(process.env.OPENAI_API_KEY),
         node: process.version,
-        model: MODEL,
+        model: modelFor("generate-css", "convert").model,
+        provider: modelFor("generate-css", "convert").provider,
       });
     }
 
@@ -20,6 +46,13 @@ export default async function handler(req, res) {
       return res.status(405).json({ error: "method_not_allowed" });
     }
 
+    // --- Auth + tier quota (server-side; the app.html gate is UX only) ---
+    const ent = await resolveEntitlement(req);
+    if (!ent.ok) return res.status(ent.status).json(ent.body);
+    const quota = await checkQuota(ent);
+    if (!quota.ok) return res.status(quota.status).json(quota.body);
+    const limits = TIER_LIMITS[ent.tier];
+
     // --- Read JSON body (works on Vercel Node serverless) ---
     let body = req.body;
     if (!body) {
@@ -29,106 +62,138 @@ export default async function handler(req, res) {
       try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
     }
 
-    const { image, scope = ".comp", component = "component", double_checks = 1 } = body || {};
+    const { image, scope = ".comp", component = "component", double_checks = 1, thumbnail = null, tokens = null, target = null } = body || {};
+    const palette = cleanPalette(body?.palette);
 
     // --- Validations ---
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: "missing_api_key", hint: "Set OPENAI_API_KEY in Vercel → Project → Settings → Environment Variables." });
-    }
-    if (!image || typeof image !== "string" || !/^data:image\/(png|jpe?g|webp);base64,/.test(image)) {
-      return res.status(400).json({ error: "bad_image", hint: "Send { image: dataURL } (png/jpg/webp). Use a cropped component screenshot." });
+    const misconfigured = checkProviders("generate-css");
+    if (misconfigured) return res.status(misconfigured.status).json(misconfigured.body);
+    const breakpoints = cleanBreakpoints(body?.breakpoints);
+    if (breakpoints && !breakpoints.ok) return res.status(breakpoints.status).json(breakpoints.body);
+    const states = cleanStates(body?.states);
+    if (states && !states.ok) return res.status(states.status).json(states.body);
+    if (breakpoints && states) {
+      return res.status(400).json({ error: "bad_states", hint: "Send breakpoints or states, not both." });
     }
-    if (Buffer.byteLength(image, "utf8") > 4.2 * 1024 * 1024) {
-      return res.status(413).json({ error: "image_too_large", hint: "Keep image dataURL under ~4MB. Crop or compress." });
+    const shots = breakpoints?.shots || states?.shots || null;
+    const bad = shots ? null : checkImage(image);
+    if (bad) return res.status(bad.status).json(bad.body);
+    if (target && !COMPONENT_TARGETS[target]) {
+      return res.status(400).json({ error: "bad_target", targets: Object.keys(COMPONENT_TARGETS) });
     }
+    const brand = await resolveKit(ent.user, body?.kit_id);
+    if (brand && !brand.ok) return res.status(brand.status).json(brand.body);
+    const kit = brand?.kit || null;
+    const caching = cacheMode(body?.cache);
+    if (!caching.ok) return res.status(caching.status).json(caching.body);
 
-    // --- Prompt ---
-    const system =
-      "You convert UI component screenshots into compact, production-ready HTML + CSS.\n" +
-      "Rules:\n" +
-      '- Return STRICT JSON only: {"css":"...","html":"..."} (no prose, no code fences).\n' +
-      "- Scope ALL selectors under the provided scope (e.g. .comp button {...}).\n" +
-      "- Approximate fonts, sizes, colors, borders, radii, shadows from the image.\n" +
-      "- Include :hover and :focus-visible only if visually implied.\n" +
-      "- Minimal semantic HTML for just the component. No external assets; use plain text like →.";
-
-    const userText =
-      `Scope class: ${scope}\n` +
-      `Component hint: ${component}\n` +
-      "Infer styles from the image and output JSON ONLY with keys: css, html.";
-
-    // --- OpenAI call (GPT-5 ONLY; no temperature field) ---
-    const oai = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        messages: [
-          { role: "system", content: system },
-          {
-            role: "user",
-            content: [
-              { type: "text", text: userText },
-              { type: "image_url", image_url: { url: image } }, // correct multimodal shape
-            ],
-          },
-        ],
-      }),
-    });
-
-    const primaryJson = await oai.json().catch(() => null);
-    if (!oai.ok || !primaryJson) {
-      // Surface exact failure (401/403/404 if no GPT-5 access; 400 for bad params)
-      return res.status(oai.status || 500).json({
-        error: "openai_error",
-        status: oai.status || 500,
-        detail: primaryJson || (await oai.text().catch(() => "")),
-      });
+    const request = {
+      images: shots ? shots.map((s) => s.image) : [image],
+      notes: [...(states ? stateLines(shots, scope) : breakpointLines(shots)), ...kitLines(kit)],
+      scope, component, palette: kit ? [] : palette, repairPasses: Math.min(Number(double_checks) || 0, limits.maxRepairPasses),
+    };
+    const { images, ...params } = request;
+    const key = cacheKey("generate-css", images, shots ? shots.map((s) => s.width ?? s.state) : [null], params);
+    const owner = ent.user?.id || ent.ipHash;
+    const cached = await readCache(key, { mode: caching.mode, owner });
+    setCacheHeaders(res, cached);
+    let out = cached?.payload;
+    if (!out) {
+      // A cache hit costs nothing; a model run holds its generation from here until it is settled or released.
+      const reserved = await reserveUsage(ent, "generate-css");
+      if (!reserved.ok) return res.status(reserved.status).json(reserved.body);
+      try {
+        out = await convertComponent(request);
+      } catch (err) {
+        await releaseUsage(reserved.ids);
+        throw err;
+      }
+      if (!out.ok) {
+        await releaseUsage(reserved.ids);
+        return res.status(out.status).json(out.body);
+      }
+      await settleUsage(reserved.ids[0], { model: out.model, passes: out.calls, usage: out.usage });
+      await writeCache(key, out, { mode: caching.mode, owner });
+    }
+    const { validation, model } = out;
+    let { css, html } = out;
+    if (breakpoints) {
+      const minimized = minimizeOverrides(css);
+      css = minimized.css;
+      if (minimized.dropped) {
+        validation.fixed.push({
+          rule: "redundant_override", message: `Dropped ${minimized.dropped} @media declaration(s) repeating a narrower breakpoint`,
+        });
+      }
+    }
+    if (states) {
+      const minimized = minimizeStates(css);
+      css = minimized.css;
+      if (minimized.dropped) {
+        validation.fixed.push({
+          rule: "redundant_state", message: `Dropped ${minimized.dropped} state declaration(s) repeating the default value`,
+        });
+      }
+      if (minimized.transitions) {
+        validation.fixed.push({
+          rule: "transition_added", message: `Added a transition to ${minimized.transitions} rule(s) with hover/focus/active changes`,
+        });
+      }
+    }
+    let kitReport = null;
+    if (kit) {
+      const snapped = snapToKit(css, kit);
+      css = snapped.css;
+      if (snapped.snapped) {
+        validation.fixed.push({ rule: "kit_snapped", message: `Replaced ${snapped.snapped} literal value(s) with the nearest brand-kit token` });
+      }
+      kitReport = { id: kit.id, name: kit.name, root: kitRootCss(kit), snapped: snapped.snapped, unmapped: snapped.unmapped };
+    }
+    const a11yMode = accessibilityMode(body?.accessibility);
+    let a11yReport = null;
+    if (a11yMode) {
+      try {
+        const audit = auditAccessibility({ css, html, scope, baseCss: kit ? kitRootCss(kit) : "", fix: a11yMode === "fix" });
+        ({ css, html, report: a11yReport } = audit);
+      } catch (err) { console.error("a11y_error", err); }
     }
 
-    let content = primaryJson?.choices?.[0]?.message?.content ?? "";
-    // Some models may wrap JSON in fences; strip cautiously
-    content = String(content).trim().replace(/^```(?:json)?\s*/i, "").replace(/```$/i, "").trim();
-
-    let parsed;
-    try { parsed = JSON.parse(content); } catch { /* fall through to repair */ }
 
-    // --- Optional repair pass (still GPT-5, no temperature) ---
-    if (!parsed && Number(double_checks) > 0) {
-      const fixResp = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages: [
-            { role: "system", content: "Return ONLY valid JSON. If input is not valid JSON, repair it. No commentary." },
-            { role: "user", content: content },
-          ],
-        }),
-      });
-      const fixJson = await fixResp.json().catch(() => null);
-      let fix = fixJson?.choices?.[0]?.message?.content ?? "";
-      fix = String(fix).trim().replace(/^```(?:json)?\s*/i, "").replace(/```$/i, "").trim();
-      try { parsed = JSON.parse(fix); } catch { /* ignore */ }
-      if (!parsed) {
-        return res.status(502).json({ error: "json_repair_failed", raw: (fix || content).slice(0, 500) });
+    // --- History (signed-in users only; their team's library when in one; a failed save never fails the generation) ---
+    let historyId = null;
+    if (ent.user) {
+      try {
+        historyId = await saveGeneration(await libraryFor(ent.user.id), { thumbnail, scope, component, css, html, model });
+      } catch (err) {
+        console.error("history_save_error", err);
       }
     }
 
-    if (!parsed || typeof parsed.css !== "string" || typeof parsed.html !== "string") {
-      return res.status(502).json({ error: "bad_model_output", raw: content.slice(0, 500) });
+    // --- Optional design-token exports (tokens: true | "css" | ["tailwind", "scss"] …) ---
+    let tokenExports = null;
+    try { tokenExports = buildTokens(kit ? kitRootCss(kit) + css : css, tokens); } catch (err) { console.error("tokens_error", err); }
+
+    // --- Optional framework component (target: "react-css-modules" | "react-styled" | "vue" | "svelte" | "web-component") ---
+    let componentOut = null;
+    if (target) {
+      try { componentOut = buildComponent({ css, html, scope, component }, target); } catch (err) { console.error("component_error", err); }
     }
 
     return res.status(200).json({
-      css: parsed.css.trim(),
-      html: parsed.html.trim(),
-      model: MODEL,
+      css,
+      html,
+      validation,
+      ...(breakpoints ? { breakpoints: shots.map((s) => s.width) } : {}),
+      ...(states ? { states: shots.map((s) => s.state) } : {}),
+      ...(kitReport ? { brand_kit: kitReport } : {}),
+      ...(a11yReport ? { accessibility: a11yReport } : {}),
+      model,
+      ...(tokenExports ? { tokens: tokenExports } : {}),
+      ...(componentOut ? { component: componentOut } : {}),
+      ...(cached ? { cache: { match: cached.match, distance: cached.distance } } : {}),
+      history_id: historyId,
+      tier: ent.tier,
+      remaining: Math.max(0, quota.remaining - (cached ? 0 : 1)),
     });
   } catch (e) {
     console.error("server_error", e);
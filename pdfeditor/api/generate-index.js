@@ -1,58 +1,326 @@
 // /api/generate-index.js
 // Vision → a single self-contained HTML document (index.html)
-// Neutral prompts (no prescriptive layout). 5-pass: CSS draft → refinements → final full HTML.
-// Returns: text/html (save directly as index.html)
+// Neutral prompts (no prescriptive layout). 5-pass: CSS draft → refinements → final full HTML. Each pass (draft, markup,
+// refine, final, repair) goes through _lib/models.js, so its model can be set on its own (MODEL_GENERATE_INDEX_REFINE, MODELS).
+// The final document is checked by _lib/validate.js (parsed, unsafe content stripped, classes consistent with the CSS);
+// remaining violations get up to { repair: 0–2 } (default 1) targeted repair passes, and the report is returned as
+// `validation` (X-Validation holds the counts for text/html responses). Whatever is returned has been through the
+// allowlist sanitizer (_lib/sanitize.js). text/html goes out as a download (Content-Disposition: attachment) under a
+// strict CSP with `sandbox` that no page may frame. To preview, fetch { format: "json" } and load `html` into a sandboxed
+// iframe's srcdoc, as app.html does — the endpoint needs a Bearer token, which an iframe navigation can't send.
+// When a headless browser is available each pass is rendered and diffed against the screenshot; refinements get the
+// score + a heatmap, the best CSS wins, and refinement stops early once the score stops improving.
+// { breakpoints: [{ width, image }, …] } instead of `image` → one mobile-first document: every pass sees all screenshots,
+// scoring renders at each width (mean error, heatmap of the worst width) and the final @media blocks keep only what
+// changes per width (_lib/responsive.js).
+// Returns: text/html (save directly as index.html), per-pass scores in X-Visual-Scores; { format: "json" } → { html, scores }.
+// { stream: true } → NDJSON: {type:"start"}, one {type:"pass", stage, css|html, score?} per step, then {type:"done", html}
+// or {type:"error"}. Closing the connection cancels the run.
+// { tokens: true | format | [formats] } adds design-token exports of the final <style> to the JSON / done payload.
+// { kit_id } → every pass writes against the brand kit's custom properties (_lib/brand-kits.js) instead of the palette
+// hint; the final <style> gets the kit's :root block, leftover literals are snapped to the nearest token and the JSON /
+// done payload's `brand_kit` lists the values that could not be mapped.
+// The final document is audited for accessibility (_lib/a11y.js) before sanitizing: `accessibility` in the JSON / done
+// payload, counts in X-Accessibility. { accessibility: "fix" } applies the audit's fixes, "off" skips it.
+// Finished runs are cached by image hash + options (_lib/cache.js): X-Cache: HIT | MISS; a hit skips every pass (a stream
+// sends start and done only) and is not metered. { cache: "bypass" } forces a fresh run, { cache: "similar" } also
+// reuses a near-duplicate of one of your screenshots.
+// Requires a Supabase access token (Authorization: Bearer …) for an active Pro profile; auth errors are JSON. Scripts
+// call it as /api/v1/generate-index with an API key of a Pro account instead (_lib/api-keys.js).
 
-import OpenAI from "openai";
+import { requirePro } from "./_lib/auth.js";
+import { checkQuota, emptyUsage, releaseUsage, reserveUsage, settleUsage } from "./_lib/usage.js";
+import { checkProviders, complete, isModelError, modelLabel } from "./_lib/models.js";
+import { openScorer } from "./_lib/visual-score.js";
+import { cleanPalette } from "./_lib/palette.js";
+import { buildTokens } from "./_lib/tokens.js";
+import { checkDocument, repairPrompt } from "./_lib/validate.js";
+import { DOCUMENT_CSP, sanitizeDocument } from "./_lib/sanitize.js";
+import { breakpointLines, cleanBreakpoints, minimizeOverrides } from "./_lib/responsive.js";
+import { kitLines, kitRootCss, resolveKit, snapToKit } from "./_lib/brand-kits.js";
+import { accessibilityMode, auditAccessibility } from "./_lib/a11y.js";
+import { cacheKey, cacheMode, readCache, setCacheHeaders, writeCache } from "./_lib/cache.js";
 
-const MODEL = "gpt-4o-mini";
+const MIN_IMPROVEMENT = 0.002; // a refinement must cut the mean pixel error by at least this much to count
 
 export default async function handler(req, res) {
+  let streaming = false;
   try {
     if (req.method !== "POST") {
       res.setHeader("Allow", "POST");
       return res.status(405).send("Method not allowed");
     }
 
+    const auth = await requirePro(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+    const quota = await checkQuota(auth);
+    if (!quota.ok) return res.status(quota.status).json(quota.body);
+
     // raw body (Vercel Node)
-    let body = "";
-    for await (const chunk of req) body += chunk;
-    const { image, palette = [], passes = 5 } = JSON.parse(body || "{}");
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    let body;
+    try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+    const {
+      image: rawImage, breakpoints: rawBreakpoints, palette: rawPalette = [], passes = 5, score = true, early_stop = true,
+      density = 1, format = "html", stream = false, tokens = null, repair = 1, kit_id: kitId = null,
+      accessibility = "report", cache = null,
+    } = body || {};
 
+    const breakpoints = cleanBreakpoints(rawBreakpoints);
+    if (breakpoints && !breakpoints.ok) return res.status(breakpoints.status).json(breakpoints.body);
+    const image = breakpoints ? breakpoints.shots[0].image : rawImage;
     if (!image || typeof image !== "string" || !image.startsWith("data:image")) {
       return res.status(400).send("Send { image: dataUrl, palette?: string[], passes?: number }");
     }
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).send("OPENAI_API_KEY not configured");
-    }
+    // Every pass sees every screenshot; a single image is a one-shot set without a tagged width.
+    const shots = breakpoints ? breakpoints.shots : [{ image, width: null }];
 
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const misconfigured = checkProviders("generate-index");
+    if (misconfigured) return res.status(misconfigured.status).json(misconfigured.body);
+    const brand = await resolveKit(auth.user, kitId);
+    if (brand && !brand.ok) return res.status(brand.status).json(brand.body);
+    const kit = brand?.kit || null;
+    const palette = kit ? [] : cleanPalette(rawPalette);
+    const caching = cacheMode(cache);
+    if (!caching.ok) return res.status(caching.status).json(caching.body);
 
-    // ----- PASS 1: draft CSS -----
-    const draftCss = await passDraftCss(client, { image, palette });
-    let css = draftCss;
+    // Client went away (e.g. Cancel in app.html) → abort the in-flight model call and stop between passes.
+    const controller = new AbortController();
+    res.on("close", () => { if (!res.writableFinished) controller.abort(); });
 
-    // ----- PASSES 2..N-1: refine CSS -----
+    const model = modelLabel("generate-index");
+    const usage = emptyUsage();
     const total = Math.max(1, Math.min(Number(passes) || 1, 8));
-    for (let i = 2; i <= Math.max(1, total - 1); i++) {
-      css = await passRefineCss(client, { image, palette, css, passNum: i, total });
+    const repairPasses = Math.max(0, Math.min(Number(repair) || 0, 2));
+    const a11yMode = accessibilityMode(accessibility);
+
+    // The pipeline's post-processing (kit snapping, accessibility) is part of the cached result, so the key covers it too.
+    const key = cacheKey("generate-index", shots.map((s) => s.image), shots.map((s) => s.width), {
+      palette, total, repairPasses, score: Boolean(score), earlyStop: Boolean(early_stop), density: Number(density) || 1,
+      kit: kit ? [kitRootCss(kit), ...kitLines(kit)] : null, a11yMode,
+    });
+    const cached = await readCache(key, { mode: caching.mode, owner: auth.user.id });
+    setCacheHeaders(res, cached);
+    // Held before the stream starts, so a refusal is still a plain 429.
+    const reserved = cached ? null : await reserveUsage(auth, "generate-index");
+    if (reserved && !reserved.ok) return res.status(reserved.status).json(reserved.body);
+
+    let emit = () => {};
+    if (stream) {
+      streaming = true;
+      res.setHeader("Cache-Control", "no-store");
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader("X-Accel-Buffering", "no");
+      res.status(200);
+      res.flushHeaders?.();
+      emit = (event) => { if (!res.writableEnded) res.write(JSON.stringify(event) + "\n"); };
+      emit({ type: "start", total, model });
     }
 
-    // ----- FINAL: return a complete HTML document (with <style> containing CSS) -----
-    let htmlDoc = await passFinalIndexHtml(client, { image, palette, css, passNum: total, total });
-    htmlDoc = ensureFullDocument(htmlDoc, css); // neutral guard: make sure it’s a full document
+    let result = cached?.payload;
+    if (!result) {
+      const scorer = score ? await openScorer(breakpoints ? shots : image, { density }) : null;
+      const progress = { passesRun: 0, calls: 0 };
+      try {
+        result = await runPipeline({
+          shots, palette, kit, total, repairPasses, scorer, earlyStop: early_stop, usage, signal: controller.signal, onPass: emit, progress,
+          a11yMode,
+        });
+      } finally {
+        await scorer?.close();
+        // Tokens are spent even when the run is cancelled part-way, so meter whatever ran.
+        if (progress.calls) {
+          await settleUsage(reserved.ids[0], { model, passes: progress.calls, usage });
+        } else {
+          await releaseUsage(reserved.ids);
+        }
+      }
+      result = { ...result, scoring: Boolean(scorer), passesRun: progress.passesRun };
+      await writeCache(key, result, { mode: caching.mode, owner: auth.user.id });
+    }
+
+    const { htmlDoc, scores, validation, brandKit, a11yReport, scoring, passesRun } = result;
+    let tokenExports = null;
+    try { tokenExports = buildTokens(documentStyles(htmlDoc), tokens); } catch (err) { console.error("tokens_error", err); }
+    const extra = {
+      validation, ...(breakpoints ? { breakpoints: shots.map((s) => s.width) } : {}), ...(tokenExports ? { tokens: tokenExports } : {}),
+      ...(brandKit ? { brand_kit: brandKit } : {}), ...(a11yReport ? { accessibility: a11yReport } : {}),
+      ...(cached ? { cache: { match: cached.match, distance: cached.distance } } : {}),
+    };
+    if (stream) {
+      emit({ type: "done", html: htmlDoc, scores, scoring, passes: passesRun, model, ...extra });
+      return res.end();
+    }
 
     res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-Visual-Scores", JSON.stringify(scores));
+    res.setHeader("X-Validation", JSON.stringify({
+      valid: validation.valid, violations: validation.violations.length, fixed: validation.fixed.length, repairs: validation.repairs,
+    }));
+    if (a11yReport) res.setHeader("X-Accessibility", JSON.stringify({ passed: a11yReport.passed, ...a11yReport.counts, fixed: a11yReport.fixed }));
+    if (format === "json") {
+      return res.status(200).json({ html: htmlDoc, scores, scoring, passes: passesRun, model, ...extra });
+    }
     res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Referrer-Policy", "no-referrer");
+    res.setHeader("Content-Security-Policy", `${DOCUMENT_CSP}; frame-ancestors 'none'`);
+    res.setHeader("Content-Disposition", 'attachment; filename="index.html"');
     return res.status(200).send(htmlDoc);
   } catch (err) {
+    if (err?.name === "AbortError") {
+      if (!res.writableEnded) res.end();
+      return;
+    }
     console.error(err);
+    // Provider failures carry the shared { error: "model_error", provider, model, status, detail } body.
+    const body = isModelError(err) ? err.body : { error: "generation_failed", detail: String(err?.message || err) };
+    if (streaming) {
+      if (!res.writableEnded) {
+        res.write(JSON.stringify({ type: "error", ...body }) + "\n");
+        res.end();
+      }
+      return;
+    }
+    if (isModelError(err)) return res.status(502).json(body);
     return res.status(500).send("Failed to generate index.html");
   }
 }
 
+/* ---------------- pipeline ---------------- */
+
+// Draft → (markup, scored) → refinements → final document → repairs. onPass receives one event per finished step;
+// progress.passesRun numbers the passes shown to the client; progress.calls counts every completed model call (the
+// markup pass included) for usage, even if the run is aborted.
+async function runPipeline({ shots, palette, kit, total, repairPasses, scorer, earlyStop, usage, signal, onPass, progress, a11yMode = null }) {
+  const scores = [];
+  const step = (event) => {
+    if (signal.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+    onPass({ type: "pass", total, ...event });
+  };
+  // Kit CSS only references the tokens, so renders need the :root block that defines them.
+  const withKit = (css) => (kit ? kitRootCss(kit) + css : css);
+  // A render that fails (or times out) costs that pass its score, not the run the user is already paying for.
+  const tryScore = async (html) => {
+    try {
+      return await scorer.score(html);
+    } catch (err) {
+      if (signal.aborted) throw err;
+      console.error("visual_score_failed", err);
+      return null;
+    }
+  };
+
+  // ----- PASS 1: draft CSS -----
+  const draftCss = await passDraftCss({ shots, palette, kit, usage, signal });
+  let css = draftCss;
+  progress.passesRun = 1;
+  progress.calls += 1;
+  step({ pass: 1, stage: "draft", css });
+
+  // Scoring needs markup to render the CSS against; it is reused by the final pass.
+  let markup = null;
+  let best = null; // { css, score, heatmap }
+  if (scorer) {
+    markup = await passMarkupHtml({ shots, css, usage, signal });
+    progress.calls += 1;
+    const s = await tryScore(checkDocument(markup, withKit(css)).html);
+    if (s) {
+      best = { css, ...s };
+      scores.push({ pass: 1, stage: "draft", score: round(best.score) });
+    }
+    step({ pass: 1, stage: "markup", html: markup, score: s ? round(s.score) : undefined });
+  }
+
+  // ----- PASSES 2..N-1: refine CSS -----
+  for (let i = 2; i <= Math.max(1, total - 1); i++) {
+    const feedback = best ? { score: best.score, heatmap: best.heatmap, width: best.heatmapWidth } : null;
+    css = await passRefineCss({ shots, palette, kit, css: best ? best.css : css, passNum: i, total, feedback, usage, signal });
+    progress.passesRun = i;
+    progress.calls += 1;
+    // Unscored (no scorer, or the render failed): the pass stands as is, unless a scored best is already kept.
+    const s = scorer ? await tryScore(checkDocument(markup, withKit(css)).html) : null;
+    if (!s) {
+      step({ pass: i, stage: "refine", css });
+      continue;
+    }
+
+    const improved = !best || s.score < best.score - MIN_IMPROVEMENT;
+    scores.push({ pass: i, stage: "refine", score: round(s.score), improved });
+    if (improved) best = { css, ...s };
+    step({ pass: i, stage: "refine", css, score: round(s.score), improved });
+    if (!improved && earlyStop) break;
+  }
+  if (best) css = best.css;
+
+  // ----- FINAL: return a complete HTML document (with <style> containing CSS) -----
+  const finalDoc = await passFinalIndexHtml({ shots, palette, kit, css, markup, passNum: total, total, usage, signal });
+  const first = checkDocument(finalDoc, withKit(css)); // parsed: wrapped if it is a fragment, unsafe content stripped
+  let checked = first;
+  progress.passesRun += 1;
+  progress.calls += 1;
+
+  // ----- REPAIR: targeted fixes while violations remain (a repair that makes things worse is dropped) -----
+  let repairs = 0;
+  while (!checked.report.valid && repairs < repairPasses) {
+    const fixed = checkDocument(await passRepairDocument({ html: checked.html, report: checked.report, usage, signal }), withKit(css));
+    repairs += 1;
+    progress.passesRun += 1;
+    progress.calls += 1;
+    step({ pass: progress.passesRun, stage: "repair", violations: fixed.report.violations.length });
+    if (fixed.report.violations.length <= checked.report.violations.length) checked = fixed;
+  }
+
+  const fixed = [...first.report.fixed, ...(checked === first ? [] : checked.report.fixed)];
+  let finalHtml = checked.html;
+  if (shots.length > 1) {
+    const minimized = minimizeDocumentStyles(finalHtml);
+    finalHtml = minimized.html;
+    if (minimized.dropped) {
+      fixed.push({ rule: "redundant_override", message: `Dropped ${minimized.dropped} @media declaration(s) repeating a narrower breakpoint` });
+    }
+  }
+  let brandKit = null;
+  if (kit) {
+    const snapped = snapDocumentStyles(finalHtml, kit);
+    finalHtml = snapped.html;
+    if (snapped.snapped) {
+      fixed.push({ rule: "kit_snapped", message: `Replaced ${snapped.snapped} literal value(s) with the nearest brand-kit token` });
+    }
+    brandKit = { id: kit.id, name: kit.name, snapped: snapped.snapped, unmapped: snapped.unmapped };
+  }
+  let a11yReport = null;
+  if (a11yMode) {
+    try {
+      const audit = auditAccessibility({ html: finalHtml, document: true, fix: a11yMode === "fix" });
+      finalHtml = audit.html;
+      a11yReport = audit.report;
+    } catch (err) { console.error("a11y_error", err); }
+  }
+
+  // Allowlist pass last, so the scored document is exactly the one returned.
+  const safe = sanitizeDocument(finalHtml);
+  const htmlDoc = safe.html;
+  fixed.push(...safe.removed);
+  const validation = { ...checked.report, fixed, repairs };
+  let finalScore;
+  const final = scorer ? await tryScore(htmlDoc) : null;
+  if (final) {
+    finalScore = round(final.score);
+    scores.push({ pass: progress.passesRun, stage: "final", score: finalScore });
+  }
+  step({ pass: progress.passesRun, stage: "final", score: finalScore, violations: validation.violations.length });
+
+  return { htmlDoc, scores, validation, brandKit, a11yReport };
+}
+
 /* ---------------- helpers ---------------- */
 
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
 function stripFences(s = "") {
   return String(s)
     .replace(/^```(?:html)?\s*/i, "")
@@ -60,80 +328,104 @@ function stripFences(s = "") {
     .trim();
 }
 
-function ensureFullDocument(content = "", fallbackCss = "") {
-  let html = stripFences(content);
-
-  const hasHtmlRoot = /<\s*html[\s>]/i.test(html);
-  const hasHead = /<\s*head[\s>]/i.test(html);
-  const hasBody = /<\s*body[\s>]/i.test(html);
-  const hasStyle = /<\s*style[\s>]/i.test(html);
-
-  // If the model returns just a fragment, wrap it.
-  if (!hasHtmlRoot) {
-    const safeCss = hasStyle ? "" : `<style>${fallbackCss}</style>`;
-    html =
-`<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="utf-8"/>
-  <meta name="viewport" content="width=device-width, initial-scale=1"/>
-  <title>Generated UI</title>
-  ${safeCss}
-</head>
-<body>
-${html}
-</body>
-</html>`;
-  } else if (!hasStyle && fallbackCss) {
-    // If there is a <head> but no <style>, inject one with our refined CSS.
-    if (hasHead) {
-      html = html.replace(/<\s*head[\s>]/i, match => `${match}\n<style>${fallbackCss}</style>`);
-    } else if (hasBody) {
-      html = html.replace(/<\s*body[\s>]/i, match =>
-        `</head>\n<body>\n<style>${fallbackCss}</style>\n`)
-      // (Above branch should almost never happen, but keeps things robust.)
-    }
-  }
+// Concatenated contents of every <style> block in a document.
+function documentStyles(doc = "") {
+  return [...String(doc).matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)].map((m) => m[1]).join("\n");
+}
 
-  return html;
+// minimizeOverrides over every <style> block of a breakpoint-set document → { html, dropped }.
+function minimizeDocumentStyles(doc) {
+  let dropped = 0;
+  const html = doc.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (_, open, css, close) => {
+    const minimized = minimizeOverrides(css);
+    dropped += minimized.dropped;
+    return `${open}${minimized.css}${close}`;
+  });
+  return { html, dropped };
+}
+
+// snapToKit over every <style> block, with the kit's :root block leading the first one → { html, snapped, unmapped }.
+function snapDocumentStyles(doc, kit) {
+  let snapped = 0, first = true;
+  const unmapped = new Map();
+  const html = doc.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (_, open, css, close) => {
+    const out = snapToKit(css, kit);
+    snapped += out.snapped;
+    for (const u of out.unmapped) {
+      const key = `${u.prop}\n${u.value}`;
+      if (unmapped.has(key)) unmapped.get(key).count += u.count;
+      else unmapped.set(key, { ...u });
+    }
+    const root = first ? kitRootCss(kit) : "";
+    first = false;
+    return `${open}${root}${out.css}${close}`;
+  });
+  return { html, snapped, unmapped: [...unmapped.values()].sort((a, b) => b.count - a.count) };
 }
 
 /* ---------------- model passes ---------------- */
 
-async function passDraftCss(client, { image, palette }) {
+async function passDraftCss({ shots, palette, kit, usage, signal }) {
   const system =
     "You are a front-end CSS engine. Output VALID, vanilla CSS only. No HTML. No Markdown.";
   const user =
     [
       "Study the screenshot and draft a CSS stylesheet that reproduces what you see.",
-      palette?.length
-        ? `If appropriate, expose tokens under :root using these hex values when they visually match: ${palette.join(", ")}.`
-        : "If appropriate, expose tokens under :root.",
+      ...(kit
+        ? kitLines(kit)
+        : [palette?.length
+          ? `If appropriate, expose tokens under :root using these hex values when they visually match: ${palette.join(", ")}.`
+          : "If appropriate, expose tokens under :root."]),
       "Be faithful to typography, color, spacing, and alignment you can observe.",
+      ...breakpointLines(shots),
       "No HTML, no explanations—CSS only."
     ].join("\n");
 
-  const r = await client.chat.completions.create({
-    model: MODEL,
-    temperature: 0.15,
-    max_tokens: 1400,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: [
-        { type: "text", text: user },
-        { type: "image_url", image_url: { url: image } }
-      ]}
-    ]
+  const reply = await complete({
+    endpoint: "generate-index", pass: "draft", system, text: user, images: shots.map((s) => s.image),
+    temperature: 0.15, maxTokens: 1400, usage, signal, context: { pass: 1 },
   });
-  return stripFences(r?.choices?.[0]?.message?.content || "");
+  return stripFences(reply);
 }
 
-async function passRefineCss(client, { image, palette, css, passNum, total }) {
+// Body markup for the draft CSS — only needed so passes can be rendered and scored.
+async function passMarkupHtml({ shots, css, usage, signal }) {
+  const system =
+    "Return ONLY the HTML markup that goes inside <body> (no <html>, <head>, <style>, scripts, Markdown, or explanations).";
+  const user =
+    [
+      "Write the body markup for the screenshot so that the CSS below styles it.",
+      "Use the class names and element selectors the CSS already defines; use only visible text you can read.",
+      ...(shots.length > 1 ? ["The images are the same UI at different widths; the markup must work at all of them."] : []),
+      "",
+      "CSS:",
+      "```css",
+      css,
+      "```"
+    ].join("\n");
+
+  const reply = await complete({
+    endpoint: "generate-index", pass: "markup", system, text: user, images: shots.map((s) => s.image),
+    temperature: 0.12, maxTokens: 1600, usage, signal, context: { css },
+  });
+  return stripFences(reply);
+}
+
+async function passRefineCss({ shots, palette, kit, css, passNum, total, feedback, usage, signal }) {
   const system =
     "Return CSS only (no HTML, no Markdown). Correct and refine to better match the screenshot. Preserve class names when possible.";
   const user =
     [
       `Refinement pass ${passNum} of ${total}. Compare the screenshot with the CURRENT CSS and reduce visual error.`,
+      feedback
+        ? `Measured visual error of the CURRENT CSS: ${feedback.score.toFixed(4)} (mean per-pixel difference, 0 = identical). ` +
+          (feedback.width
+            ? `The last image is a diff heatmap of the worst breakpoint (${feedback.width}px): `
+            : "The second image is a diff heatmap over the screenshot: ") +
+          "the redder a region, the further the render is from it. Fix the red areas first."
+        : "",
+      ...breakpointLines(shots),
+      ...kitLines(kit),
       "Adjust sizes, weights, spacing, colors, borders, and alignment as needed. Keep CSS valid and framework-free.",
       "Do not output HTML or prose—CSS only.",
       "",
@@ -143,22 +435,16 @@ async function passRefineCss(client, { image, palette, css, passNum, total }) {
       "```"
     ].join("\n");
 
-  const r = await client.chat.completions.create({
-    model: MODEL,
-    temperature: 0.12,
-    max_tokens: 1500,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: [
-        { type: "text", text: user },
-        { type: "image_url", image_url: { url: image } }
-      ]}
-    ]
+  const images = shots.map((s) => s.image);
+  if (feedback?.heatmap) images.push(feedback.heatmap);
+  const reply = await complete({
+    endpoint: "generate-index", pass: "refine", system, text: user, images,
+    temperature: 0.12, maxTokens: 1500, usage, signal, context: { css, pass: passNum, total },
   });
-  return stripFences(r?.choices?.[0]?.message?.content || css);
+  return stripFences(reply || css);
 }
 
-async function passFinalIndexHtml(client, { image, palette, css, passNum, total }) {
+async function passFinalIndexHtml({ shots, palette, kit, css, markup, passNum, total, usage, signal }) {
   const system =
     'Return ONLY a complete, self-contained HTML document suitable to save as "index.html". ' +
     'It MUST include a <style> tag in <head> containing your final CSS and the <body> markup. ' +
@@ -171,25 +457,43 @@ async function passFinalIndexHtml(client, { image, palette, css, passNum, total
       "Keep class names consistent between the CSS you embed and the HTML you output.",
       "Use only visible text you can read from the screenshot; keep the structure minimal and faithful.",
       palette?.length ? `Palette hint (optional): ${palette.join(", ")}` : "",
+      ...kitLines(kit),
+      ...breakpointLines(shots),
       "",
       "CURRENT CSS:",
       "```css",
       css,
-      "```"
+      "```",
+      ...(markup
+        ? ["", "CURRENT BODY MARKUP (the CSS above was scored against it; keep its structure unless it is wrong):", "```html", markup, "```"]
+        : [])
     ].join("\n");
 
-  const r = await client.chat.completions.create({
-    model: MODEL,
-    temperature: 0.12,
-    max_tokens: 2400,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: [
-        { type: "text", text: user },
-        { type: "image_url", image_url: { url: image } }
-      ]}
-    ]
+  const reply = await complete({
+    endpoint: "generate-index", pass: "final", system, text: user, images: shots.map((s) => s.image),
+    temperature: 0.12, maxTokens: 2400, usage, signal, context: { css, pass: passNum, total },
   });
+  return stripFences(reply);
+}
 
-  return stripFences(r?.choices?.[0]?.message?.content || "");
+// Targeted fix-up of the final document: the validator's exact violations, no screenshot needed.
+async function passRepairDocument({ html, report, usage, signal }) {
+  const system =
+    'Return ONLY the corrected, complete HTML document (with its <style> in <head>). ' +
+    'No Markdown fences, no explanations, no scripts, no external assets.';
+  const user =
+    [
+      repairPrompt(report),
+      "",
+      "DOCUMENT:",
+      "```html",
+      html,
+      "```"
+    ].join("\n");
+
+  const reply = await complete({
+    endpoint: "generate-index", pass: "repair", system, text: user,
+    temperature: 0, maxTokens: 2400, usage, signal, context: { html },
+  });
+  return stripFences(reply || html);
 }
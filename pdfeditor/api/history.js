@@ -0,0 +1,48 @@
+// /api/history.js
+// Saved Image→CSS results in the signed-in user's library — their team workspace's shared one when they are in a
+// team (_lib/workspaces.js); `workspace_id` marks shared entries and `user_id` who saved them.
+//   GET    /api/history            → { items: [{ id, user_id, workspace_id, thumbnail, scope, component, model, created_at }] }
+//   GET    /api/history?id=<uuid>  → full entry (css + html)
+//   DELETE /api/history?id=<uuid>  → { deleted: true }
+
+import { authenticate } from "./_lib/auth.js";
+import { deleteGeneration, getGeneration, listGenerations } from "./_lib/history.js";
+import { libraryFor } from "./_lib/workspaces.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "DELETE") {
+      res.setHeader("Allow", "GET, DELETE");
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+
+    const id = req.query?.id ? String(req.query.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+    const lib = await libraryFor(auth.user.id);
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "DELETE /api/history?id=<id>" });
+      const deleted = await deleteGeneration(lib, id);
+      if (!deleted) return res.status(404).json({ error: "not_found" });
+      return res.status(200).json({ deleted: true });
+    }
+
+    if (id) {
+      const item = await getGeneration(lib, id);
+      if (!item) return res.status(404).json({ error: "not_found" });
+      return res.status(200).json(item);
+    }
+
+    const items = await listGenerations(lib, {
+      limit: req.query?.limit,
+      before: req.query?.before || null,
+    });
+    return res.status(200).json({ items });
+  } catch (e) {
+    console.error("history_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
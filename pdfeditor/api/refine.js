@@ -0,0 +1,121 @@
+// /api/refine.js
+// One conversational edit of a generated component: { image, css, html, instruction, scope?, component?, kit_id? } →
+// { css, html, diff, validation, model, … }. The model (refine.revise, _lib/models.js) sees the screenshot, the current
+// code and the instruction ("make the button text bolder, padding tighter") and returns the complete revised code,
+// which goes through the same checks and repairs as generate-css (_lib/convert.js). `diff` is the declaration-level
+// CSS diff from the code that was sent (_lib/css-diff.js). Revisions are not stored: the client keeps the stack, so
+// undo / redo never costs a call. Metered and quota-checked like generate-css; a kit_id applies the brand kit again, and
+// the revision gets the same `accessibility` audit ({ accessibility: "fix" | "off" }, _lib/a11y.js).
+
+import { resolveEntitlement } from "./_lib/auth.js";
+import { TIER_LIMITS, checkQuota, releaseUsage, reserveUsage, settleUsage } from "./_lib/usage.js";
+import { checkImage, refineComponent } from "./_lib/convert.js";
+import { checkProviders } from "./_lib/models.js";
+import { diffCss } from "./_lib/css-diff.js";
+import { kitLines, kitRootCss, resolveKit, snapToKit } from "./_lib/brand-kits.js";
+import { accessibilityMode, auditAccessibility } from "./_lib/a11y.js";
+
+const MAX_CODE_CHARS = 60_000;      // css + html
+const MAX_INSTRUCTION_CHARS = 1000;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const ent = await resolveEntitlement(req);
+    if (!ent.ok) return res.status(ent.status).json(ent.body);
+    const quota = await checkQuota(ent);
+    if (!quota.ok) return res.status(quota.status).json(quota.body);
+    const limits = TIER_LIMITS[ent.tier];
+
+    let body = req.body;
+    if (!body) {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+    }
+
+    const { image, css, html, scope = ".comp", component = "component" } = body || {};
+    const instruction = String(body?.instruction ?? "").trim();
+
+    // --- Validations ---
+    const misconfigured = checkProviders("refine");
+    if (misconfigured) return res.status(misconfigured.status).json(misconfigured.body);
+    const bad = checkImage(image);
+    if (bad) return res.status(bad.status).json(bad.body);
+    if (typeof css !== "string" || typeof html !== "string" || !css.trim()) {
+      return res.status(400).json({ error: "missing_code", hint: "Send the current { css, html } to refine." });
+    }
+    if (css.length + html.length > MAX_CODE_CHARS) {
+      return res.status(413).json({ error: "code_too_large", hint: `Keep css + html under ${MAX_CODE_CHARS} characters.` });
+    }
+    if (!instruction || instruction.length > MAX_INSTRUCTION_CHARS) {
+      return res.status(400).json({
+        error: "missing_instruction", hint: `Say what to change, e.g. "tighter padding, bolder text" (max ${MAX_INSTRUCTION_CHARS} characters).`,
+      });
+    }
+    const brand = await resolveKit(ent.user, body?.kit_id);
+    if (brand && !brand.ok) return res.status(brand.status).json(brand.body);
+    const kit = brand?.kit || null;
+
+    const reserved = await reserveUsage(ent, "refine");
+    if (!reserved.ok) return res.status(reserved.status).json(reserved.body);
+    let out;
+    try {
+      out = await refineComponent({
+        image, css, html, instruction, notes: kitLines(kit), scope, component,
+        repairPasses: limits.maxRepairPasses,
+      });
+    } catch (err) {
+      await releaseUsage(reserved.ids);
+      throw err;
+    }
+    if (!out.ok) {
+      await releaseUsage(reserved.ids);
+      return res.status(out.status).json(out.body);
+    }
+    const { validation, model, usage, calls } = out;
+    await settleUsage(reserved.ids[0], { model, passes: calls, usage });
+    let revisedCss = out.css;
+    let revisedHtml = out.html;
+
+    let kitReport = null;
+    if (kit) {
+      const snapped = snapToKit(revisedCss, kit);
+      revisedCss = snapped.css;
+      if (snapped.snapped) {
+        validation.fixed.push({ rule: "kit_snapped", message: `Replaced ${snapped.snapped} literal value(s) with the nearest brand-kit token` });
+      }
+      kitReport = { id: kit.id, name: kit.name, root: kitRootCss(kit), snapped: snapped.snapped, unmapped: snapped.unmapped };
+    }
+    const a11yMode = accessibilityMode(body?.accessibility);
+    let a11yReport = null;
+    if (a11yMode) {
+      try {
+        const audit = auditAccessibility({
+          css: revisedCss, html: revisedHtml, scope, baseCss: kit ? kitRootCss(kit) : "", fix: a11yMode === "fix",
+        });
+        ({ css: revisedCss, html: revisedHtml, report: a11yReport } = audit);
+      } catch (err) { console.error("a11y_error", err); }
+    }
+
+    return res.status(200).json({
+      css: revisedCss,
+      html: revisedHtml,
+      diff: diffCss(css, revisedCss),
+      validation,
+      ...(kitReport ? { brand_kit: kitReport } : {}),
+      ...(a11yReport ? { accessibility: a11yReport } : {}),
+      model,
+      tier: ent.tier,
+      remaining: Math.max(0, quota.remaining - 1),
+    });
+  } catch (e) {
+    console.error("server_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
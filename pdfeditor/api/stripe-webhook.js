@@ -1,5 +1,12 @@
+// Stripe → profiles (pro, status, pro_until, plan, Stripe ids). Every event is logged in billing_events
+// (_lib/billing.js): a retried or duplicate delivery is acknowledged without doing anything, an event older than the
+// last one applied to the profile changes nothing, and an event that matches no user is kept as "unmatched".
+// Team subscriptions (metadata.workspace_id) update the workspace instead — seats = the item's quantity — and then
+// every member's profile through syncSeats() (_lib/workspaces.js): Pro for seat holders, revoked for the rest.
 import Stripe from 'stripe';
-import { createClient } from '@supabase/supabase-js';
+import { supabaseConfigured } from './_lib/supabase.js';
+import { applyProfile, applyWorkspace, claimEvent, finishEvent, resolveUser, resolveWorkspace } from './_lib/billing.js';
+import { getWorkspace, resyncMember, syncSeats } from './_lib/workspaces.js';
 
 // Let Stripe verify signatures (raw body needed)
 export const config = {
@@ -16,39 +23,10 @@ function readRawBody(req) {
   });
 }
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
-
-const supabaseAdmin = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY, // server-only!
-  { auth: { persistSession: false } }
-);
-
-async function setProfileByUserId(userId, patch) {
-  const { error } = await supabaseAdmin
-    .from('profiles')
-    .upsert(
-      { id: userId, updated_at: new Date().toISOString(), ...patch },
-      { onConflict: 'id' }
-    );
-  if (error) throw error;
-}
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '', { apiVersion: '2024-06-20' });
 
-async function setProfileByEmail(email, patch) {
-  const { data: rows, error: selError } = await supabaseAdmin
-    .from('profiles')
-    .select('id')
-    .ilike('email', email);
-
-  if (selError) throw selError;
-  if (rows && rows.length) {
-    const { error } = await supabaseAdmin
-      .from('profiles')
-      .update({ updated_at: new Date().toISOString(), ...patch })
-      .eq('id', rows[0].id);
-    if (error) throw error;
-  }
-}
+// Expandable fields arrive as an id or as the object.
+const idOf = (v) => (typeof v === 'string' ? v : v?.id || null);
 
 function computeProStatus(sub) {
   const status = sub.status; // 'active','trialing','canceled','past_due','incomplete'
@@ -59,8 +37,94 @@ function computeProStatus(sub) {
   return { pro, status, pro_until };
 }
 
+function subscriptionPatch(sub) {
+  return {
+    ...computeProStatus(sub),
+    stripe_customer_id: idOf(sub.customer),
+    stripe_subscription_id: sub.id,
+    plan: sub.items?.data?.[0]?.price?.id || null,
+  };
+}
+
+function workspacePatch(sub) {
+  const { stripe_customer_id, stripe_subscription_id, plan, ...status } = subscriptionPatch(sub);
+  return { ...status, seats: sub.items?.data?.[0]?.quantity || 0, plan, stripe_customer_id, stripe_subscription_id };
+}
+
+// Email is the last resort, so the customer is only fetched when nothing else matched.
+async function resolveSubscriber(sub) {
+  const who = await resolveUser({ metadata: sub.metadata, customerId: idOf(sub.customer) });
+  if (who.userId) return who;
+  const cust = typeof sub.customer === 'string'
+    ? await stripe.customers.retrieve(sub.customer)
+    : sub.customer;
+  return resolveUser({ email: cust?.deleted ? null : cust?.email || null });
+}
+
+// A team subscription → { workspaceId, via, customerId, subscriptionId, patch }, else null.
+async function describeWorkspace(sub, metadata = sub.metadata) {
+  const team = await resolveWorkspace({ metadata, subscriptionId: sub.id });
+  if (!team.workspaceId) return null;
+  return { ...team, customerId: idOf(sub.customer), subscriptionId: sub.id, patch: workspacePatch(sub) };
+}
+
+// What an event means for a profile: { userId, via, customerId, subscriptionId, patch } — or for a workspace, the same
+// with workspaceId — or null for event types (and invoices without a subscription) that touch neither.
+async function describe(event) {
+  const obj = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const subId = idOf(obj.subscription);
+      const sub = subId ? await stripe.subscriptions.retrieve(subId) : null;
+      const team = sub && await describeWorkspace(sub, { ...obj.metadata, ...sub.metadata });
+      if (team) return team;
+      const email = obj.customer_details?.email || obj.customer_email || null;
+      const customerId = idOf(obj.customer) || idOf(sub?.customer);
+      const patch = sub
+        ? subscriptionPatch(sub)
+        : { pro: true, status: 'active', stripe_customer_id: customerId };
+      if (email) patch.email = email;
+      const who = await resolveUser({
+        clientReferenceId: obj.client_reference_id,
+        metadata: { ...obj.metadata, ...sub?.metadata },
+        customerId,
+        email,
+      });
+      return { ...who, customerId, subscriptionId: sub?.id || null, patch };
+    }
+
+    // Any sub status change
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted': {
+      const sub = obj;
+      const team = await describeWorkspace(sub);
+      if (team) return team;
+      const who = await resolveSubscriber(sub);
+      return { ...who, customerId: idOf(sub.customer), subscriptionId: sub.id, patch: subscriptionPatch(sub) };
+    }
+
+    // The subscription's own status (past_due, unpaid…) decides what a failed payment means.
+    case 'invoice.payment_failed': {
+      const subId = idOf(obj.subscription);
+      if (!subId) return null;
+      const sub = await stripe.subscriptions.retrieve(subId);
+      const team = await describeWorkspace(sub);
+      if (team) return team;
+      const who = await resolveSubscriber(sub);
+      return { ...who, customerId: idOf(sub.customer), subscriptionId: sub.id, patch: subscriptionPatch(sub) };
+    }
+
+    default:
+      return null;
+  }
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
+  if (!supabaseConfigured) {
+    return res.status(500).json({ error: 'missing_supabase_config', hint: 'Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.' });
+  }
 
   let event;
   try {
@@ -72,90 +136,52 @@ export default async function handler(req, res) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  let claimed = false;
   try {
-    switch (event.type) {
-      // When checkout completes
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const subId = session.subscription;
-        const sub = subId ? await stripe.subscriptions.retrieve(subId) : null;
-
-        const userId = session.metadata?.userId || sub?.metadata?.userId || null;
-        const email = session.customer_details?.email || session.customer_email || null;
-
-        const patch = {
-          email: email || null,
-          stripe_customer_id: session.customer || sub?.customer || null,
-          stripe_subscription_id: sub?.id || null,
-        };
-
-        if (sub) {
-          const { pro, status, pro_until } = computeProStatus(sub);
-          Object.assign(patch, {
-            pro, status, pro_until,
-            plan: sub.items?.data?.[0]?.price?.id || null
-          });
-        } else {
-          Object.assign(patch, { pro: true, status: 'active' });
-        }
-
-        if (userId) await setProfileByUserId(userId, patch);
-        else if (email) await setProfileByEmail(email, patch);
-        break;
-      }
-
-      // Any sub status change
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-      case 'customer.subscription.deleted': {
-        const sub = event.data.object;
-        const userId = sub.metadata?.userId || null;
-        const { pro, status, pro_until } = computeProStatus(sub);
-        const patch = {
-          pro, status, pro_until,
-          stripe_customer_id: sub.customer,
-          stripe_subscription_id: sub.id,
-          plan: sub.items?.data?.[0]?.price?.id || null,
-        };
-
-        if (userId) {
-          await setProfileByUserId(userId, patch);
-        } else {
-          const cust = typeof sub.customer === 'string'
-            ? await stripe.customers.retrieve(sub.customer)
-            : sub.customer;
-          const email = cust?.email || null;
-          if (email) await setProfileByEmail(email, patch);
-        }
-        break;
-      }
-
-      // Optional: payment failed
-      case 'invoice.payment_failed': {
-        const inv = event.data.object;
-        if (!inv.subscription) break;
-        const sub = await stripe.subscriptions.retrieve(inv.subscription);
-        const { pro, status, pro_until } = computeProStatus(sub);
-        const patch = {
-          pro, status, pro_until,
-          stripe_customer_id: sub.customer,
-          stripe_subscription_id: sub.id,
-          plan: sub.items?.data?.[0]?.price?.id || null,
-        };
-
-        const userId = sub.metadata?.userId || null;
-        if (userId) await setProfileByUserId(userId, patch);
-        break;
-      }
-
-      default:
-        // Ignore the rest
-        break;
+    const claim = await claimEvent(event);
+    if (!claim.claimed) return res.status(200).json({ received: true, duplicate: true, outcome: claim.outcome });
+    claimed = true;
+
+    const change = await describe(event);
+    if (!change) {
+      await finishEvent(event.id, { outcome: 'ignored' });
+      return res.status(200).json({ received: true, outcome: 'ignored' });
+    }
+
+    const audit = {
+      userId: change.userId || null, workspaceId: change.workspaceId || null, customerId: change.customerId, subscriptionId: change.subscriptionId,
+    };
+    const workspace = change.workspaceId ? await getWorkspace(change.workspaceId) : null;
+    if (!change.userId && !workspace) {
+      console.warn('⚠️ Webhook event matches no user', event.id, event.type);
+      await finishEvent(event.id, { outcome: 'unmatched', ...audit, detail: { status: change.patch.status || null } });
+      return res.status(200).json({ received: true, outcome: 'unmatched' });
     }
 
-    return res.status(200).json({ received: true });
+    const { pro, status, pro_until, plan } = change.patch;
+    if (workspace) {
+      const applied = await applyWorkspace(workspace.id, change.patch, event);
+      const seats = applied ? await syncSeats({ ...workspace, ...change.patch }) : null;
+      const outcome = applied ? 'applied' : 'stale';
+      const detail = { via: change.via, pro, status, pro_until, plan, seats: change.patch.seats };
+      if (seats) Object.assign(detail, { holders: seats.holders.length, granted: seats.granted, revoked: seats.revoked });
+      await finishEvent(event.id, { outcome, ...audit, detail });
+      return res.status(200).json({ received: true, outcome });
+    }
+
+    // Pro from the user's own subscription; when it lapses, a workspace seat they hold takes over again.
+    const applied = await applyProfile(change.userId, pro ? { ...change.patch, workspace_id: null } : change.patch, event);
+    if (applied && !pro) await resyncMember(change.userId);
+    const outcome = applied ? 'applied' : 'stale';
+    await finishEvent(event.id, { outcome, ...audit, detail: { via: change.via, pro, status, pro_until, plan } });
+    return res.status(200).json({ received: true, outcome });
   } catch (err) {
     console.error('⚠️ Webhook handler error:', err);
+    // Marked failed so Stripe's retry is processed instead of being taken for a duplicate.
+    if (claimed) {
+      await finishEvent(event.id, { outcome: 'failed', detail: { error: String(err?.message || err).slice(0, 500) } })
+        .catch((e) => console.error('⚠️ Webhook audit error:', e));
+    }
     return res.status(500).json({ error: 'Webhook handler error' });
   }
 }
@@ -0,0 +1,48 @@
+// /api/tokens.js
+// CSS → design tokens in one export format. POST { css, format: "css" | "tailwind" | "style-dictionary" | "scss" }
+// → { format, filename, type, content, tokens }. No model call; the same extraction backs the `tokens` option
+// on generate-css / generate-index.
+
+import { TOKEN_FORMATS, exportTokens, extractTokens } from "./_lib/tokens.js";
+
+const MAX_CSS_BYTES = 512 * 1024;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    let body = req.body;
+    if (!body) {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+    }
+
+    const { css, format = "css" } = body || {};
+    if (typeof css !== "string" || !css.trim()) {
+      return res.status(400).json({ error: "bad_css", hint: "Send { css: string, format }." });
+    }
+    if (Buffer.byteLength(css, "utf8") > MAX_CSS_BYTES) {
+      return res.status(413).json({ error: "css_too_large", hint: "Keep CSS under 512KB." });
+    }
+    if (!TOKEN_FORMATS[format]) {
+      return res.status(400).json({ error: "bad_format", formats: Object.keys(TOKEN_FORMATS) });
+    }
+
+    let tokens;
+    try {
+      tokens = extractTokens(css);
+    } catch (e) {
+      return res.status(422).json({ error: "css_parse_error", detail: String(e?.reason || e?.message || e) });
+    }
+
+    return res.status(200).json({ ...exportTokens(tokens, format), tokens });
+  } catch (e) {
+    console.error("tokens_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,24 @@
+// /api/usage.js
+// Current period's generation usage + remaining quota for the caller (Pro: month, free/anonymous: day).
+
+import { resolveEntitlement } from "./_lib/auth.js";
+import { usageSummary } from "./_lib/usage.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const ent = await resolveEntitlement(req);
+    if (!ent.ok) return res.status(ent.status).json(ent.body);
+
+    const summary = await usageSummary(ent);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(summary);
+  } catch (e) {
+    console.error("usage_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
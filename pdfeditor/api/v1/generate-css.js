@@ -0,0 +1,8 @@
+// /api/v1/generate-css.js
+// generate-css for scripts and CI: same request and response as /api/generate-css, authenticated with an API key
+// (Authorization: Bearer itc_…) and rate-limited per key (X-RateLimit-Limit / -Remaining, 429 + Retry-After).
+
+import generateCss from "../generate-css.js";
+import { withApiKey } from "../_lib/api-keys.js";
+
+export default withApiKey("generate-css", generateCss);
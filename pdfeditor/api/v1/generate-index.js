@@ -0,0 +1,8 @@
+// /api/v1/generate-index.js
+// generate-index for scripts and CI: same request and response as /api/generate-index (send { format: "json" } for
+// { html, scores, validation }), authenticated with an API key whose owner is Pro and rate-limited per key.
+
+import generateIndex from "../generate-index.js";
+import { withApiKey } from "../_lib/api-keys.js";
+
+export default withApiKey("generate-index", generateIndex);
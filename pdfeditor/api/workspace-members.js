@@ -0,0 +1,59 @@
+// /api/workspace-members.js
+// Membership of the signed-in user's team workspace (_lib/workspaces.js). Invites are matched to the email address
+// the invitee signs in with; GET /api/workspaces lists the members and your open invites.
+//   POST   /api/workspace-members            { email } → 201 invite (owner), mailed to the address with a link to
+//                                             app.html#team; `emailed: false` when the mail could not be sent
+//   PUT    /api/workspace-members?id=<uuid>  → accept an invite to your address → member (a seat brings Pro)
+//   DELETE /api/workspace-members?id=<uuid>  → { removed: true }: the owner removes a member or cancels an invite,
+//                                             a member leaves, an invitee declines. Leaving gives the seat up.
+
+import { authenticate } from "./_lib/auth.js";
+import { acceptInvite, inviteMember, ownedWorkspace, removeMember } from "./_lib/workspaces.js";
+
+const METHODS = ["POST", "PUT", "DELETE"];
+
+export default async function handler(req, res) {
+  try {
+    if (!METHODS.includes(req.method)) {
+      res.setHeader("Allow", METHODS.join(", "));
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+
+    const id = req.query?.id ? String(req.query.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "DELETE /api/workspace-members?id=<id>" });
+      const removed = await removeMember(auth.user, id);
+      if (!removed.ok) return res.status(removed.status).json(removed.body);
+      return res.status(200).json({ removed: true });
+    }
+
+    if (req.method === "PUT") {
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "PUT /api/workspace-members?id=<invite id>" });
+      const accepted = await acceptInvite(auth.user, id);
+      if (!accepted.ok) return res.status(accepted.status).json(accepted.body);
+      return res.status(200).json(accepted.member);
+    }
+
+    let body = req.body;
+    if (!body) {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+    }
+    const owned = await ownedWorkspace(auth.user.id);
+    if (!owned.ok) return res.status(owned.status).json(owned.body);
+    const origin = req.headers.origin || (process.env.NEXT_PUBLIC_SITE_URL ?? "http://localhost:3000");
+    const invited = await inviteMember(owned.workspace, body?.email, auth.user.id, { redirectTo: `${origin}/app.html#team` });
+    if (!invited.ok) return res.status(invited.status).json(invited.body);
+    return res.status(201).json(invited.member);
+  } catch (e) {
+    console.error("workspace_members_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
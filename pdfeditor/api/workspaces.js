@@ -0,0 +1,71 @@
+// /api/workspaces.js
+// The signed-in user's team workspace (_lib/workspaces.js): shared history and brand kits, one subscription for every
+// seat (create-checkout-session.js / create-portal-session.js with { workspace_id }).
+//   GET    /api/workspaces            → { workspace: { id, name, seats, seats_used, pro, role, billing, members } | null,
+//                                         invites: [open invites for your email, with workspace_name] }
+//   POST   /api/workspaces            { name } → 201 workspace (you are its owner; one workspace per user)
+//   PUT    /api/workspaces?id=<uuid>  { name } → workspace (owner)
+//   DELETE /api/workspaces?id=<uuid>  → { deleted: true } (owner, once the subscription is cancelled)
+// Members are invited, accepted and removed through /api/workspace-members.
+
+import { authenticate } from "./_lib/auth.js";
+import {
+  cleanWorkspaceName, createWorkspace, deleteWorkspace, getWorkspace, membershipOf, ownedWorkspace, pendingInvites,
+  renameWorkspace, workspaceView,
+} from "./_lib/workspaces.js";
+
+const METHODS = ["GET", "POST", "PUT", "DELETE"];
+
+export default async function handler(req, res) {
+  try {
+    if (!METHODS.includes(req.method)) {
+      res.setHeader("Allow", METHODS.join(", "));
+      return res.status(405).json({ error: "method_not_allowed" });
+    }
+
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json(auth.body);
+
+    const id = req.query?.id ? String(req.query.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "missing_id", hint: "DELETE /api/workspaces?id=<id>" });
+      const owned = await ownedWorkspace(auth.user.id, id);
+      if (!owned.ok) return res.status(owned.status).json(owned.body);
+      const deleted = await deleteWorkspace(owned.workspace);
+      if (!deleted.ok) return res.status(deleted.status).json(deleted.body);
+      return res.status(200).json({ deleted: true });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      if (req.method === "PUT" && !id) return res.status(400).json({ error: "missing_id", hint: "PUT /api/workspaces?id=<id>" });
+      let body = req.body;
+      if (!body) {
+        const chunks = [];
+        for await (const c of req) chunks.push(c);
+        const raw = Buffer.concat(chunks).toString("utf8");
+        try { body = raw ? JSON.parse(raw) : {}; } catch { body = {}; }
+      }
+      const clean = cleanWorkspaceName(body);
+      if (!clean.ok) return res.status(clean.status).json(clean.body);
+
+      if (req.method === "POST") {
+        const created = await createWorkspace(auth.user, clean.name);
+        if (!created.ok) return res.status(created.status).json(created.body);
+        return res.status(201).json(await workspaceView(created.workspace, { role: "owner" }));
+      }
+      const owned = await ownedWorkspace(auth.user.id, id);
+      if (!owned.ok) return res.status(owned.status).json(owned.body);
+      const renamed = await renameWorkspace(id, clean.name);
+      return res.status(200).json(await workspaceView({ ...owned.workspace, ...renamed }, { role: "owner" }));
+    }
+
+    const [member, invites] = await Promise.all([membershipOf(auth.user.id), pendingInvites(auth.user.email)]);
+    const workspace = member ? await getWorkspace(member.workspace_id) : null;
+    return res.status(200).json({ workspace: workspace ? await workspaceView(workspace, member) : null, invites });
+  } catch (e) {
+    console.error("workspaces_error", e);
+    return res.status(500).json({ error: "server_error", detail: String(e?.message || e) });
+  }
+}
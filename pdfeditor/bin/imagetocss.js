@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// bin/imagetocss.js
+// Command-line client for the /api/v1 endpoints, for scripts and CI:
+//   imagetocss convert ./shots --scope .comp --out ./dist
+// Converts every .png / .jpg / .webp in the given folders (not recursive) and files: <name>.css + <name>.html per image
+// (component markup from /api/v1/generate-css), or with --page one full <name>.html from /api/v1/generate-index (Pro).
+// Needs an API key (--key or IMAGETOCSS_API_KEY) and the app's URL (--api-url or IMAGETOCSS_API_URL).
+// Progress goes to stderr; --json prints a report on stdout. Rate-limited requests wait for Retry-After and try again.
+// Exit codes: 0 all converted · 1 some images failed · 2 usage error · 3 key rejected / Pro required ·
+//             4 quota or rate limit exhausted · 5 API unreachable or misconfigured.
+
+import { readFile, readdir, mkdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+const EXIT = { ok: 0, failed: 1, usage: 2, auth: 3, quota: 4, network: 5 };
+const MIME = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp" };
+const MAX_RATE_RETRIES = 3;
+const REQUEST_TIMEOUT_MS = 300_000;
+
+const USAGE = `Usage: imagetocss convert <folder|image>... [options]
+
+Options:
+  --scope <selector>   root class for the generated CSS; {name} is replaced by the image name (default .comp)
+  --out <dir>          output folder (default ./dist)
+  --page               full index.html documents via generate-index (Pro) instead of components
+  --kit <id>           write against a brand kit (GET /api/brand-kits lists ids)
+  --palette <colors>   comma-separated hex colours to prefer (ignored with --kit)
+  --fix-a11y           apply the accessibility audit's fixes (contrast, labels, alt text, focus styles)
+  --no-cache           regenerate even when the server has a cached result for an image
+  --concurrency <n>    images converted at a time (default 2)
+  --json               print a JSON report on stdout
+  --api-url <url>      app URL, e.g. https://your-app.vercel.app (default $IMAGETOCSS_API_URL)
+  --key <key>          API key (default $IMAGETOCSS_API_KEY)
+  -h, --help           show this help
+`;
+
+// A failure that ends the whole run rather than one image.
+class Fatal extends Error {
+  constructor(code, message, detail = null) {
+    super(message);
+    this.code = code;
+    this.detail = detail;
+  }
+}
+
+const slug = (file) => path.basename(file, path.extname(file)).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "image";
+
+// One output name per input, in input order: a.png and a.jpg (or two folders' a.png) get a and a-2, not one file.
+function outputNames(files) {
+  const used = new Set();
+  return new Map(files.map((file) => {
+    const base = slug(file);
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+    return [file, name];
+  }));
+}
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Folders are expanded to their images; a path given twice, or a file inside a folder also given, is converted once.
+async function collectImages(inputs) {
+  const files = [];
+  const seen = new Set();
+  const add = (file) => {
+    const resolved = path.resolve(file);
+    if (seen.has(resolved)) return;
+    seen.add(resolved);
+    files.push(file);
+  };
+  for (const input of inputs) {
+    const info = await stat(input).catch(() => null);
+    if (!info) throw new Fatal(EXIT.usage, `${input}: no such file or folder`);
+    if (info.isDirectory()) {
+      const names = (await readdir(input)).filter((n) => MIME[path.extname(n).toLowerCase()]).sort();
+      for (const n of names) add(path.join(input, n));
+    } else if (MIME[path.extname(input).toLowerCase()]) {
+      add(input);
+    } else {
+      throw new Fatal(EXIT.usage, `${input}: not a .png, .jpg or .webp image`);
+    }
+  }
+  return files;
+}
+
+// POST with the key; 429 rate_limited waits out Retry-After. → parsed JSON, or throws Fatal / an Error with .status.
+async function post(opts, endpoint, body) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(`${opts.apiUrl}/api/v1/${endpoint}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${opts.key}` },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (e) {
+      if (e?.name === "TimeoutError") throw Object.assign(new Error("request timed out"), { status: 504 });
+      throw new Fatal(EXIT.network, `Could not reach ${opts.apiUrl}: ${e?.cause?.message || e?.message || e}`);
+    }
+    const json = await res.json().catch(() => null);
+    if (res.ok && json) return json;
+
+    const error = json?.error || `http_${res.status}`;
+    if (res.status === 429 && error === "rate_limited" && attempt < MAX_RATE_RETRIES) {
+      const wait = Number(res.headers.get("retry-after")) || json?.retry_after || 60;
+      process.stderr.write(`  rate limited, retrying in ${wait}s\n`);
+      await sleep(wait * 1000);
+      continue;
+    }
+    if (res.status === 401 || res.status === 402 || res.status === 403) throw new Fatal(EXIT.auth, json?.hint || error, json);
+    if (res.status === 429) throw new Fatal(EXIT.quota, json?.hint || error, json);
+    if (res.status === 404 && !json) throw new Fatal(EXIT.network, `${opts.apiUrl} has no /api/v1/${endpoint} — check --api-url`);
+    if (res.status === 500 && /^missing_/.test(error)) throw new Fatal(EXIT.network, json?.hint || error, json);
+    throw Object.assign(new Error(json?.hint || error), { status: res.status, error, body: json });
+  }
+}
+
+async function convertOne(opts, file, name) {
+  const image = `data:${MIME[path.extname(file).toLowerCase()]};base64,${(await readFile(file)).toString("base64")}`;
+  const scope = opts.scope.replaceAll("{name}", name);
+  const shared = {
+    image, accessibility: opts.fixA11y ? "fix" : "report", ...(opts.noCache ? { cache: "bypass" } : {}),
+    ...(opts.kit ? { kit_id: opts.kit } : {}), ...(opts.palette ? { palette: opts.palette } : {}),
+  };
+
+  if (opts.page) {
+    const out = await post(opts, "generate-index", { ...shared, format: "json" });
+    const htmlFile = path.join(opts.out, `${name}.html`);
+    await writeFile(htmlFile, out.html);
+    return { name, files: [htmlFile], scores: out.scores, validation: out.validation, accessibility: out.accessibility, brand_kit: out.brand_kit };
+  }
+
+  const out = await post(opts, "generate-css", { ...shared, scope, component: name });
+  const cssFile = path.join(opts.out, `${name}.css`);
+  const htmlFile = path.join(opts.out, `${name}.html`);
+  await writeFile(cssFile, `${out.brand_kit?.root ? `${out.brand_kit.root}\n` : ""}${out.css}\n`);
+  await writeFile(htmlFile, `${out.html}\n`);
+  return {
+    name, scope, files: [cssFile, htmlFile], validation: out.validation, accessibility: out.accessibility, brand_kit: out.brand_kit,
+    remaining: out.remaining,
+  };
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      scope: { type: "string", default: ".comp" },
+      out: { type: "string", default: "./dist" },
+      page: { type: "boolean", default: false },
+      kit: { type: "string" },
+      palette: { type: "string" },
+      "fix-a11y": { type: "boolean", default: false },
+      "no-cache": { type: "boolean", default: false },
+      concurrency: { type: "string", default: "2" },
+      json: { type: "boolean", default: false },
+      "api-url": { type: "string" },
+      key: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  const [command, ...inputs] = positionals;
+  if (values.help) return { help: true };
+  if (command !== "convert") throw new Fatal(EXIT.usage, command ? `Unknown command "${command}".` : "Missing command.");
+  if (!inputs.length) throw new Fatal(EXIT.usage, "Give at least one folder or image.");
+
+  const apiUrl = String(values["api-url"] || process.env.IMAGETOCSS_API_URL || "").replace(/\/+$/, "");
+  const key = values.key || process.env.IMAGETOCSS_API_KEY || "";
+  if (!/^https?:\/\//.test(apiUrl)) throw new Fatal(EXIT.usage, "Set --api-url or IMAGETOCSS_API_URL to the app's URL.");
+  if (!key) throw new Fatal(EXIT.usage, "Set --key or IMAGETOCSS_API_KEY (create one under API keys in the app).");
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 8) throw new Fatal(EXIT.usage, "--concurrency is 1–8.");
+  if (!/^[.#]?-?[_a-zA-Z{][\w{}-]*$/.test(values.scope)) throw new Fatal(EXIT.usage, `--scope "${values.scope}" is not a class or id selector.`);
+
+  return {
+    inputs, apiUrl, key, concurrency,
+    scope: values.scope.startsWith(".") || values.scope.startsWith("#") ? values.scope : `.${values.scope}`,
+    out: values.out,
+    page: values.page,
+    kit: values.kit || null,
+    palette: values.palette ? values.palette.split(",").map((c) => c.trim()).filter(Boolean) : null,
+    fixA11y: values["fix-a11y"],
+    noCache: values["no-cache"],
+    json: values.json,
+  };
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseOptions(argv);
+  } catch (e) {
+    process.stderr.write(`imagetocss: ${e.message}\n\n${USAGE}`);
+    return e instanceof Fatal ? e.code : EXIT.usage;
+  }
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return EXIT.ok;
+  }
+
+  const report = { ok: false, endpoint: opts.page ? "generate-index" : "generate-css", out: path.resolve(opts.out), results: [] };
+  const finish = (code, fatal = null) => {
+    report.ok = code === EXIT.ok;
+    report.exit_code = code;
+    if (fatal) report.error = { message: fatal.message, ...(fatal.detail ? { response: fatal.detail } : {}) };
+    if (opts.json) process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    return code;
+  };
+
+  let files;
+  try {
+    files = await collectImages(opts.inputs);
+    if (!files.length) throw new Fatal(EXIT.usage, "No .png, .jpg or .webp images found.");
+    await mkdir(opts.out, { recursive: true });
+  } catch (e) {
+    process.stderr.write(`imagetocss: ${e.message}\n`);
+    return finish(e instanceof Fatal ? e.code : EXIT.usage, e);
+  }
+
+  // Workers pull from a shared queue; a fatal error stops new work and the rest are reported as skipped.
+  const names = outputNames(files);
+  let next = 0, fatal = null;
+  const worker = async () => {
+    while (!fatal && next < files.length) {
+      const file = files[next++];
+      try {
+        const result = await convertOne(opts, file, names.get(file));
+        report.results.push({ input: file, ok: true, ...result });
+        process.stderr.write(`✓ ${file} → ${result.files.join(", ")}\n`);
+      } catch (e) {
+        if (e instanceof Fatal) fatal ||= e;
+        report.results.push({ input: file, ok: false, status: e.status || null, error: e.error || e.message, hint: e.body?.hint || null });
+        process.stderr.write(`✗ ${file}: ${e.message}\n`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(opts.concurrency, files.length) }, worker));
+
+  const done = new Set(report.results.map((r) => r.input));
+  for (const file of files) if (!done.has(file)) report.results.push({ input: file, ok: false, skipped: true });
+  report.results.sort((a, b) => files.indexOf(a.input) - files.indexOf(b.input));
+  report.converted = report.results.filter((r) => r.ok).length;
+  report.failed = report.results.length - report.converted;
+
+  process.stderr.write(`${report.converted}/${files.length} converted${fatal ? ` — stopped: ${fatal.message}` : ""}\n`);
+  if (fatal) return finish(fatal.code, fatal);
+  return finish(report.failed ? EXIT.failed : EXIT.ok);
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,30 @@
+// Accessibility fixes: a name is only added when the element itself gives one to go on.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { auditAccessibility } from "../api/_lib/a11y.js";
+
+const audit = (html) => auditAccessibility({ css: "", html, fix: true });
+
+test("an empty button or bare image stays an unfixed error", () => {
+  const { html, report } = audit('<button></button><a href="/next"></a><img src="chart.png">');
+  assert.equal(html, '<button></button><a href="/next"></a><img src="chart.png">');
+  assert.equal(report.passed, false);
+  assert.equal(report.counts.error, 3);
+  assert.equal(report.fixed, 0);
+});
+
+test("names taken from the element's own attributes count as fixes", () => {
+  const { html, report } = audit('<button class="icon-search"></button><input type="email" name="email"><input type="image" src="go.png" id="go-button">');
+  assert.match(html, /<button class="icon-search" aria-label="Search">/);
+  assert.match(html, /<input type="email" name="email" aria-label="Email">/);
+  assert.match(html, /alt="Go button"/);
+  assert.equal(report.passed, true);
+  assert.equal(report.fixed, 3);
+});
+
+test("without fix nothing is changed", () => {
+  const { html, report } = auditAccessibility({ css: "", html: '<input name="email">' });
+  assert.equal(html, '<input name="email">');
+  assert.equal(report.passed, false);
+});
@@ -0,0 +1,50 @@
+// The per-key rate limit under parallel requests, against the in-memory Supabase.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+
+let db, takeRateLimit;
+
+before(async () => {
+  db = await startFakeSupabase();
+  Object.assign(process.env, { SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test" });
+  ({ takeRateLimit } = await import("../api/_lib/api-keys.js"));
+});
+after(() => db.close());
+beforeEach(() => {
+  db.tables.api_requests = [];
+  db.tables.api_keys = [{ id: "key-1", user_id: "user-1" }];
+});
+
+test("parallel requests count against each other", async () => {
+  const key = { id: "key-1", rate_limit: 3 };
+  const now = Date.now();
+  const results = await Promise.all(Array.from({ length: 8 }, () => takeRateLimit(key, "generate-css", now)));
+  const admitted = results.filter((r) => r.ok);
+  assert.ok(admitted.length <= 3, `${admitted.length} admitted over a limit of 3`);
+  for (const refused of results.filter((r) => !r.ok)) {
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.error, "rate_limited");
+    assert.ok(refused.retryAfter >= 1 && refused.retryAfter <= 60);
+  }
+  assert.equal(db.tables.api_requests.length, admitted.length, "refused requests took their rows back");
+
+  const later = [];
+  for (let i = admitted.length; i < 4; i++) later.push(await takeRateLimit(key, "generate-css", now));
+  assert.deepEqual(later.map((r) => r.ok), [...Array(3 - admitted.length).fill(true), false]);
+});
+
+test("rows older than the window are pruned and no longer count", async () => {
+  const key = { id: "key-1", rate_limit: 2 };
+  const old = new Date(Date.now() - 5 * 60_000).toISOString();
+  db.tables.api_requests.push(
+    { id: "a", key_id: "key-1", endpoint: "generate-css", created_at: old },
+    { id: "b", key_id: "key-1", endpoint: "generate-css", created_at: old },
+    { id: "c", key_id: "key-2", endpoint: "generate-css", created_at: old },
+  );
+  const result = await takeRateLimit(key, "generate-css");
+  assert.equal(result.ok, true);
+  assert.equal(result.remaining, 1);
+  assert.deepEqual(db.tables.api_requests.map((r) => r.key_id).sort(), ["key-1", "key-2"]);
+});
@@ -0,0 +1,63 @@
+// Retrying batch items: an item another request is converting or retrying is refused instead of run twice.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+// 1×1 transparent PNG
+const IMAGE = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+const JOB = "00000000-0000-4000-8000-000000000001";
+
+let db, batch;
+
+before(async () => {
+  db = await startFakeSupabase();
+  Object.assign(process.env, { SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", MODEL_PROVIDER: "mock", CACHE_BACKEND: "off" });
+  ({ default: batch } = await import("../api/batch.js"));
+});
+after(() => db.close());
+
+const item = (id, status, updatedAt = new Date().toISOString()) => ({
+  id, job_id: JOB, user_id: "user-1", position: Number(id.slice(-1)), scope: ".card", component: "card", status,
+  error: status === "error" ? "item_failed" : null, attempts: 1, updated_at: updatedAt,
+});
+
+beforeEach(() => {
+  db.tables.usage_events = [];
+  db.tables.profiles = [{ id: "user-1", email: "user-1@example.com", pro: true }];
+  db.tables.batch_jobs = [{ id: JOB, user_id: "user-1", status: "running", total: 3, done: 0, failed: 1 }];
+  db.tables.batch_items = [
+    item("item-1", "error"),
+    item("item-2", "running"),
+    item("item-3", "running", new Date(Date.now() - 60 * 60_000).toISOString()),
+  ];
+});
+
+const retry = async (...ids) => {
+  const res = mockRes();
+  await batch(mockReq({
+    headers: { authorization: "Bearer user-1" },
+    body: { job_id: JOB, items: ids.map((id) => ({ id, image: IMAGE })) },
+  }), res);
+  return res;
+};
+
+test("a running item can't be retried until its lease runs out", async () => {
+  const running = await retry("item-2");
+  assert.equal(running.statusCode, 409);
+  assert.equal(running.body.error, "item_running");
+  assert.equal(db.tables.usage_events.length, 0);
+
+  const stale = await retry("item-3");
+  assert.equal(stale.statusCode, 200);
+  assert.equal(db.tables.batch_items.find((i) => i.id === "item-3").status, "done");
+});
+
+test("parallel retries of one item run it once", async () => {
+  const responses = await Promise.all([retry("item-1"), retry("item-1")]);
+  assert.deepEqual(responses.map((r) => r.statusCode).sort(), [200, 409]);
+  assert.equal(responses.find((r) => r.statusCode === 409).body.error, "item_busy");
+  assert.equal(db.tables.batch_items.find((i) => i.id === "item-1").attempts, 2);
+  assert.equal(db.tables.usage_events.length, 1, "the refused retry gave its generation back");
+});
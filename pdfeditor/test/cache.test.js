@@ -0,0 +1,98 @@
+// The generation cache through generate-css (mock provider, in-memory Supabase): HIT / MISS per backend, hits not
+// metered, bypass, near-duplicates, and the perceptual hash refusing images it shouldn't decode.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import os from "node:os";
+import zlib from "node:zlib";
+import path from "node:path";
+import { mkdtemp, rm } from "node:fs/promises";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+import { encodePng, pngDataUrl } from "./helpers/png.js";
+
+const gradient = (x, y) => (x * 4 + y * 2) % 256;
+const IMAGE = pngDataUrl(encodePng(64, 48, gradient));
+
+let db, generateCss, perceptualHash, cacheDir;
+
+before(async () => {
+  db = await startFakeSupabase();
+  cacheDir = await mkdtemp(path.join(os.tmpdir(), "imagetocss-cache-test-"));
+  Object.assign(process.env, {
+    SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", MODEL_PROVIDER: "mock", FREE_DAILY_RUNS: "50", CACHE_DIR: cacheDir,
+  });
+  ({ default: generateCss } = await import("../api/generate-css.js"));
+  ({ perceptualHash } = await import("../api/_lib/phash.js"));
+});
+after(async () => {
+  await db.close();
+  await rm(cacheDir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  db.tables.usage_events = [];
+  db.tables.generation_cache = [];
+  db.tables.profiles = [{ id: "user-1", email: "user-1@example.com", pro: false }];
+});
+
+async function convert(body, user = "user-1") {
+  const res = mockRes();
+  await generateCss(mockReq({ body: { scope: ".card", ...body }, headers: { Authorization: `Bearer ${user}` } }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res;
+}
+
+for (const name of ["memory", "file", "supabase"]) {
+  test(`${name} backend: a repeat is a HIT and isn't metered; bypass runs again`, async () => {
+    process.env.CACHE_BACKEND = name;
+    const scope = `.card-${name}`; // the memory backend outlives the test
+    const first = await convert({ image: IMAGE, scope });
+    assert.equal(first.headers["x-cache"], "MISS");
+    const second = await convert({ image: IMAGE, scope });
+    assert.equal(second.headers["x-cache"], "HIT");
+    assert.equal(second.body.css, first.body.css);
+    assert.equal(db.tables.usage_events.length, 1, "the hit used a generation");
+
+    const bypass = await convert({ image: IMAGE, scope, cache: "bypass" });
+    assert.equal(bypass.headers["x-cache"], "MISS");
+    assert.equal(db.tables.usage_events.length, 2);
+    if (name === "supabase") assert.equal(db.tables.generation_cache.length, 1);
+  });
+}
+
+test("off: nothing is cached", async () => {
+  process.env.CACHE_BACKEND = "off";
+  await convert({ image: IMAGE, scope: ".card-off" });
+  assert.equal((await convert({ image: IMAGE, scope: ".card-off" })).headers["x-cache"], "MISS");
+  assert.equal(db.tables.usage_events.length, 2);
+});
+
+test("similar: a near-duplicate of the same owner's screenshot is a HIT", async () => {
+  process.env.CACHE_BACKEND = "supabase";
+  await convert({ image: IMAGE, cache: "similar" });
+  // Each request stores its own image exactly, so every check gets a different one-pixel edit.
+  const touched = (n) => pngDataUrl(encodePng(64, 48, (x, y) => (x === n && y === n ? 255 : gradient(x, y))));
+
+  const other = await convert({ image: touched(3), cache: "similar" }, "user-2");
+  assert.equal(other.headers["x-cache"], "MISS", "another owner's entry matched");
+  const plain = await convert({ image: touched(5) });
+  assert.equal(plain.headers["x-cache"], "MISS", "a plain lookup matched a near-duplicate");
+  const similar = await convert({ image: touched(7), cache: "similar" });
+  assert.equal(similar.headers["x-cache"], "HIT");
+  assert.match(similar.headers["x-cache-match"], /^similar; distance=\d+$/);
+});
+
+test("perceptualHash hashes a PNG and refuses, without throwing, what it shouldn't decode", () => {
+  const hash = perceptualHash(IMAGE);
+  assert.equal(hash.width, 64);
+  assert.match(hash.hash, /^[0-9a-f]{64}$/);
+
+  const refused = {
+    "not base64 PNG": "data:image/png;base64,bm90IGEgcG5n",
+    jpeg: "data:image/jpeg;base64,/9j/4AAQ",
+    truncated: pngDataUrl(encodePng(64, 48, gradient).subarray(0, 40)),
+    "too many pixels": pngDataUrl(encodePng(4, 4, gradient, { header: { width: 40_000, height: 40_000 } })),
+    "inflates past its size": pngDataUrl(encodePng(4, 4, gradient, { data: zlib.deflateSync(Buffer.alloc(20_000_000)) })),
+  };
+  for (const [what, url] of Object.entries(refused)) assert.equal(perceptualHash(url), null, what);
+});
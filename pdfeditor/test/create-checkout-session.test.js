@@ -0,0 +1,31 @@
+// The personal checkout writes the user id stripe-webhook.js trusts, so it must come from the session, not the body.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+let db, handler;
+
+before(async () => {
+  db = await startFakeSupabase();
+  Object.assign(process.env, {
+    SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", STRIPE_SECRET_KEY: "sk_test_unused", STRIPE_PRICE_ID: "price_pro",
+  });
+  ({ default: handler } = await import("../api/create-checkout-session.js"));
+});
+after(() => db.close());
+
+test("a body userId without a session is refused", async () => {
+  const res = mockRes();
+  await handler(mockReq({ body: { userId: "victim", email: "victim@example.com" } }), res);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, "unauthorized");
+});
+
+test("an invalid session is refused", async () => {
+  const res = mockRes();
+  await handler(mockReq({ body: { userId: "victim" }, headers: { Authorization: "Bearer invalid" } }), res);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, "invalid_token");
+});
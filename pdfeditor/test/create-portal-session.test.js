@@ -0,0 +1,27 @@
+// The billing portal can cancel or change a subscription, so the customer comes from the caller's own profile.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+let db, handler;
+
+before(async () => {
+  db = await startFakeSupabase({ profiles: [{ id: "user-1", email: "owner@example.com", pro: false, stripe_customer_id: null }] });
+  Object.assign(process.env, { SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", STRIPE_SECRET_KEY: "sk_test_unused" });
+  ({ default: handler } = await import("../api/create-portal-session.js"));
+});
+after(() => db.close());
+
+test("an email or customer id without a session is refused", async () => {
+  const res = mockRes();
+  await handler(mockReq({ body: { email: "owner@example.com", customerId: "cus_victim" } }), res);
+  assert.equal(res.statusCode, 401);
+});
+
+test("a signed-in user without a Stripe customer gets 404, whatever the body names", async () => {
+  const res = mockRes();
+  await handler(mockReq({ body: { customerId: "cus_victim" }, headers: { Authorization: "Bearer user-1" } }), res);
+  assert.equal(res.statusCode, 404);
+});
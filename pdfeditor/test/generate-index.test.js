@@ -0,0 +1,24 @@
+// generate-index request handling that runs before any model call, with the mock provider.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+let db, handler;
+
+before(async () => {
+  db = await startFakeSupabase({ profiles: [{ id: "user-1", email: "user-1@example.com", pro: true }], usage_events: [] });
+  Object.assign(process.env, { SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", MODEL_PROVIDER: "mock", CACHE_BACKEND: "off" });
+  ({ default: handler } = await import("../api/generate-index.js"));
+});
+after(() => db.close());
+
+test("a malformed body is a 400, not a server error, and uses no generation", async () => {
+  for (const body of ['{"image": "data:image/png', "null"]) {
+    const res = mockRes();
+    await handler(mockReq({ body, headers: { Authorization: "Bearer user-1" } }), res);
+    assert.equal(res.statusCode, 400, body);
+  }
+  assert.equal(db.tables.usage_events.length, 0);
+});
@@ -0,0 +1,193 @@
+// In-memory stand-in for the parts of Supabase the API touches: PostgREST tables (filters including or / and, insert /
+// upsert / update / delete, exact counts, primary-key conflicts), GET /auth/v1/user, where the bearer token is the
+// user id, and the invite / sign-in-link mail endpoints, which record into `mail` (`users` lists the registered
+// addresses; an invite to one of them fails like GoTrue's email_exists).
+// Start it and set SUPABASE_URL before importing anything under api/, since _lib/supabase.js reads the env on import:
+//   const db = await startFakeSupabase({ profiles: [{ id: "u1" }] });
+//   process.env.SUPABASE_URL = db.url; process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+//   const { default: handler } = await import("../api/stripe-webhook.js");
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PRIMARY_KEYS = { billing_events: ["id"], generation_cache: ["variant", "image_hash"] };
+const RESERVED = new Set(["select", "order", "limit", "offset", "on_conflict", "columns"]);
+
+function compare(a, b) {
+  if (a == null || b == null) return NaN;
+  if (!Number.isNaN(Number(a)) && !Number.isNaN(Number(b))) return Number(a) - Number(b);
+  const da = Date.parse(a), db = Date.parse(b);
+  if (!Number.isNaN(da) && !Number.isNaN(db)) return da - db;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function filterOf(column, spec) {
+  const dot = spec.indexOf(".");
+  const op = spec.slice(0, dot), arg = spec.slice(dot + 1);
+  switch (op) {
+    case "eq": return (r) => r[column] != null && String(r[column]) === arg;
+    case "neq": return (r) => r[column] != null && String(r[column]) !== arg;
+    case "gt": return (r) => compare(r[column], arg) > 0;
+    case "gte": return (r) => compare(r[column], arg) >= 0;
+    case "lt": return (r) => compare(r[column], arg) < 0;
+    case "lte": return (r) => compare(r[column], arg) <= 0;
+    case "is": return (r) => (arg === "null" ? r[column] == null : String(r[column]) === arg);
+    case "in": {
+      const values = arg.slice(1, -1).split(",").map((v) => v.replace(/^"|"$/g, ""));
+      return (r) => r[column] != null && values.includes(String(r[column]));
+    }
+    case "ilike": {
+      const re = new RegExp(`^${arg.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*|%/g, ".*")}$`, "i");
+      return (r) => r[column] != null && re.test(String(r[column]));
+    }
+    case "not": {
+      const inner = filterOf(column, arg);
+      return (r) => !inner(r);
+    }
+    default: throw new Error(`fake-supabase: unsupported filter ${column}=${spec}`);
+  }
+}
+
+// Splits "a.eq.1,and(b.is.null,c.eq.2)" at the commas outside parentheses.
+function splitTerms(list) {
+  const terms = [];
+  let depth = 0, start = 0;
+  for (let i = 0; i < list.length; i++) {
+    if (list[i] === "(") depth++;
+    else if (list[i] === ")") depth--;
+    else if (list[i] === "," && !depth) { terms.push(list.slice(start, i)); start = i + 1; }
+  }
+  return [...terms, list.slice(start)];
+}
+
+// or=(…) / and=(…) query params (list without the outer parentheses) and the and(…) / or(…) terms nested in them.
+function logicalFilter(op, list) {
+  const parts = splitTerms(list).map((term) => {
+    const nested = /^(and|or)\((.*)\)$/.exec(term);
+    if (nested) return logicalFilter(nested[1], nested[2]);
+    const dot = term.indexOf(".");
+    return filterOf(term.slice(0, dot), term.slice(dot + 1));
+  });
+  return op === "or" ? (r) => parts.some((f) => f(r)) : (r) => parts.every((f) => f(r));
+}
+
+export async function startFakeSupabase(seed = {}) {
+  const tables = {};
+  for (const [name, rows] of Object.entries(seed)) tables[name] = rows.map((r) => ({ ...r }));
+  const table = (name) => (tables[name] ||= []);
+  const rpc = {};
+  const mail = [];
+  const users = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const url = new URL(req.url, "http://fake");
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+    try {
+      if (url.pathname === "/auth/v1/user") {
+        const token = String(req.headers.authorization || "").replace(/^Bearer /, "");
+        if (!token || token === "invalid") return send(401, { msg: "invalid JWT" });
+        return send(200, { id: token, email: `${token}@example.com`, aud: "authenticated" });
+      }
+      if (url.pathname === "/auth/v1/invite" || url.pathname === "/auth/v1/otp") {
+        const { email, data, create_user: createUser } = JSON.parse(raw || "{}");
+        const kind = url.pathname.endsWith("invite") ? "invite" : "signin";
+        if (kind === "invite" && users.has(email)) {
+          return send(422, { code: "email_exists", msg: "A user with this email address has already been registered" });
+        }
+        if (kind === "signin" && createUser === false && !users.has(email)) return send(422, { code: "otp_disabled", msg: "Signups not allowed for otp" });
+        users.add(email);
+        mail.push({ kind, email, data: data || null, redirectTo: url.searchParams.get("redirect_to") });
+        return send(200, kind === "invite" ? { id: crypto.randomUUID(), email } : {});
+      }
+      if (url.pathname.startsWith("/rest/v1/rpc/")) {
+        const fn = rpc[url.pathname.slice(13)];
+        if (!fn) return send(404, { code: "PGRST202", message: "function not found" });
+        return send(200, await fn(JSON.parse(raw || "{}"), tables));
+      }
+      if (!url.pathname.startsWith("/rest/v1/")) return send(404, { message: "not found" });
+
+      const rows = table(url.pathname.slice(9));
+      const name = url.pathname.slice(9);
+      const prefer = String(req.headers.prefer || "");
+      const filters = [...url.searchParams]
+        .filter(([k]) => !RESERVED.has(k))
+        .map(([k, v]) => (k === "or" || k === "and" ? logicalFilter(k, v.slice(1, -1)) : filterOf(k, v)));
+      const matches = (r) => filters.every((f) => f(r));
+      const reply = (status, out) => {
+        const headers = prefer.includes("count=") ? { "content-range": `0-${Math.max(0, out.length - 1)}/${out.length}` } : {};
+        if (String(req.headers.accept).includes("vnd.pgrst.object")) {
+          if (out.length !== 1) return send(406, { code: "PGRST116", message: "JSON object requested, multiple (or no) rows returned", details: `Results contain ${out.length} rows` });
+          return send(status, out[0], headers);
+        }
+        if (req.method === "HEAD") return send(status, undefined, headers);
+        return send(status, prefer.includes("return=minimal") ? undefined : out, headers);
+      };
+
+      if (req.method === "GET" || req.method === "HEAD") {
+        let out = rows.filter(matches);
+        const order = url.searchParams.get("order");
+        if (order) {
+          const keys = order.split(",").map((part) => part.split("."));
+          out = [...out].sort((a, b) => {
+            for (const [column, dir] of keys) {
+              const c = compare(a[column], b[column]) || 0;
+              if (c) return dir === "desc" ? -c : c;
+            }
+            return 0;
+          });
+        }
+        const limit = url.searchParams.get("limit");
+        if (limit) out = out.slice(0, Number(limit));
+        return reply(200, out);
+      }
+      if (req.method === "POST") {
+        const key = url.searchParams.get("on_conflict")?.split(",") || PRIMARY_KEYS[name] || ["id"];
+        const merge = prefer.includes("merge-duplicates");
+        const out = [];
+        for (const input of [].concat(JSON.parse(raw || "[]"))) {
+          const row = { ...input };
+          if (key.length === 1 && key[0] === "id") row.id ??= crypto.randomUUID();
+          row.created_at ??= new Date().toISOString();
+          const existing = rows.find((r) => key.every((k) => r[k] != null && String(r[k]) === String(row[k])));
+          if (existing && !merge) return send(409, { code: "23505", message: `duplicate key value violates unique constraint "${name}_pkey"` });
+          if (existing) {
+            delete row.created_at;
+            out.push(Object.assign(existing, row));
+          } else {
+            rows.push(row);
+            out.push(row);
+          }
+        }
+        return reply(201, out);
+      }
+      if (req.method === "PATCH") {
+        const patch = JSON.parse(raw || "{}");
+        return reply(200, rows.filter(matches).map((r) => Object.assign(r, patch)));
+      }
+      if (req.method === "DELETE") {
+        const gone = rows.filter(matches);
+        tables[name] = rows.filter((r) => !matches(r));
+        return reply(200, gone);
+      }
+      return send(405, { message: "method not allowed" });
+    } catch (err) {
+      return send(400, { code: "FAKE", message: String(err.message || err) });
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tables,
+    table,
+    rpc,
+    mail,
+    users,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,35 @@
+// Minimal Vercel-style req / res doubles for calling a handler directly.
+
+import { Readable } from "node:stream";
+
+// body: an object (parsed, as Vercel hands JSON bodies over) or a string / Buffer (raw stream only, as with
+// bodyParser: false).
+export function mockReq({ method = "POST", headers = {}, body = undefined, query = {} } = {}) {
+  const raw = body == null ? "" : typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  const req = Readable.from(raw ? [Buffer.from(raw)] : []);
+  return Object.assign(req, {
+    method,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    query,
+    body: body != null && typeof body === "object" && !Buffer.isBuffer(body) ? body : undefined,
+    socket: { remoteAddress: "127.0.0.1" },
+  });
+}
+
+export function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    writableEnded: false,
+    status(code) { res.statusCode = code; return res; },
+    setHeader(name, value) { res.headers[name.toLowerCase()] = value; return res; },
+    getHeader(name) { return res.headers[name.toLowerCase()]; },
+    json(value) { res.body = value; res.writableEnded = true; return res; },
+    send(value) { res.body = value; res.writableEnded = true; return res; },
+    write(chunk) { res.body = (res.body || "") + chunk; return true; },
+    end(chunk) { if (chunk) res.write(chunk); res.writableEnded = true; return res; },
+    on() { return res; },
+  };
+  return res;
+}
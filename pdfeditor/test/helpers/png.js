@@ -0,0 +1,31 @@
+// Grayscale 8-bit PNGs built in memory, for the cache's perceptual hash. header / data override what the IHDR claims
+// and the deflated scanlines, to build images that lie about their size.
+
+import zlib from "node:zlib";
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE(zlib.crc32(body), body.length + 4);
+  return out;
+}
+
+// pixel(x, y) → gray level 0..255.
+export function encodePng(width, height, pixel, { header = {}, data = null } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(header.width ?? width, 0);
+  ihdr.writeUInt32BE(header.height ?? height, 4);
+  ihdr.set([8, 0, 0, 0, 0], 8); // depth 8, grayscale, deflate, no filter method, not interlaced
+  const rows = [];
+  for (let y = 0; y < height; y++) rows.push(Buffer.from([0, ...Array.from({ length: width }, (_, x) => pixel(x, y))]));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", data ?? zlib.deflateSync(Buffer.concat(rows))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export const pngDataUrl = (buf) => `data:image/png;base64,${buf.toString("base64")}`;
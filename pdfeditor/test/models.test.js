@@ -0,0 +1,25 @@
+// The mock provider's fixtures: context values are filled in without breaking the reply's format.
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+
+let complete;
+
+before(async () => {
+  process.env.MODEL_PROVIDER = "mock";
+  ({ complete } = await import("../api/_lib/models.js"));
+});
+
+const call = (endpoint, pass, context) => complete({ endpoint, pass, system: "", text: "", context });
+
+test("context pasted into a JSON fixture is escaped", async () => {
+  const scope = '.card[data-x="a\\b"]';
+  const reply = JSON.parse(await call("generate-css", "convert", { scope, scopeClass: "card", component: 'Say "hi"\n' }));
+  assert.ok(reply.css.startsWith(`${scope} {`));
+  assert.equal(reply.html, '<button class="card" type="button">Say "hi"\n</button>');
+});
+
+test("context pasted into a text fixture is left as it is", async () => {
+  const css = '.a::before { content: "\\201C"; }';
+  assert.equal(await call("generate-index", "refine", { css }), css);
+});
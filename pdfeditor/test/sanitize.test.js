@@ -0,0 +1,70 @@
+// Hostile model output (test/fixtures/hostile/*.html) through the generate-index sanitizer: every fixture tries to run
+// script or reach evil.example, and marks the content that has to survive with KEEP.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { sanitizeCss, sanitizeDocument, sanitizeStyleAttribute } from "../api/_lib/sanitize.js";
+
+const FIXTURES = new URL("./fixtures/hostile/", import.meta.url);
+const fixture = (name) => readFileSync(new URL(name, FIXTURES), "utf8");
+
+const FORBIDDEN = [
+  [/evil\.example/i, "reference to an external host"],
+  [/<script/i, "<script>"],
+  [/\son[a-z]+\s*=/i, "event handler attribute"],
+  [/javascript:/i, "javascript: URL"],
+  [/data:text\/html/i, "data:text/html URL"],
+  [/<(iframe|object|embed|base|link|template|foreignobject|animate)\b/i, "dropped element"],
+  [/http-equiv/i, "meta refresh"],
+];
+
+for (const name of readdirSync(FIXTURES).filter((f) => f.endsWith(".html"))) {
+  test(`hostile fixture ${name}`, () => {
+    const { html, removed } = sanitizeDocument(fixture(name));
+    for (const [pattern, what] of FORBIDDEN) assert.doesNotMatch(html, pattern, `${what} survived`);
+    assert.match(html, /KEEP/, "content was lost");
+    assert.ok(removed.length > 0, "nothing reported as removed");
+    assert.ok(removed.every((r) => r.rule === "sanitized"));
+  });
+}
+
+test("keeps what the allowlist permits", () => {
+  const { html, removed } = sanitizeDocument(`<!DOCTYPE html><html><head><meta charset="utf-8"><style>.a{color:#111;background:url(data:image/png;base64,AAAA)}</style></head>
+<body><a href="#top">a</a><a href="pages/about.html">b</a><a href="/docs?q=1">c</a><a href="mailto:hi@example.com">d</a>
+<img src="data:image/png;base64,AAAA" alt="logo"><svg viewBox="0 0 1 1"><use href="#icon"/></svg>
+<p style="color: #222; margin: 0 auto" class="p" aria-label="x" data-id="1">e</p></body></html>`);
+  assert.deepEqual(removed, []);
+  for (const kept of ['href="#top"', 'href="pages/about.html"', 'href="/docs?q=1"', 'href="mailto:hi@example.com"',
+    'src="data:image/png;base64,AAAA"', 'href="#icon"', 'style="color: #222; margin: 0 auto"', "url(data:image/png;base64,AAAA)"]) {
+    assert.ok(html.includes(kept), `${kept} was dropped`);
+  }
+});
+
+test("CSS escapes and comments can't hide a loader", () => {
+  for (const css of [
+    ".x{background:\\75 rl(https://evil.example/a.png)}",
+    ".x{background:\\000075rl(https://evil.example/a.png)}",
+    ".x{background:u\\rl(https://evil.example/a.png)}",
+    ".x{background:url(/**/https://evil.example/a.png)}",
+    '.x{background:image-set("https://evil.example/a.png" 1x)}',
+    '.x{background:-webkit-image-set("https://evil.example/a.png" 1x)}',
+    ".x{background:IMAGE-SET(url(https://evil.example/a.png) 1x)}",
+    '.x{background:src("https://evil.example/a.png")}',
+    ".x{beh\\61vior:url(a.htc)}",
+  ]) {
+    const removed = [];
+    assert.equal(sanitizeCss(css, removed), ".x{}", css);
+    assert.equal(removed.length, 1, css);
+  }
+  assert.equal(sanitizeCss('@\\69mport "https://evil.example/a.css";.x{color:red}'), "");
+  assert.equal(sanitizeCss(".x{background:image-set(\"data:image/png;base64,AA\" 1x)}"), ".x{background:image-set(\"data:image/png;base64,AA\" 1x)}");
+});
+
+test("style attributes are declaration lists", () => {
+  assert.equal(sanitizeStyleAttribute("color:red} body{background:red"), "");
+  assert.equal(sanitizeStyleAttribute("color: red; a:b{c:d}"), "color: red");
+  assert.equal(sanitizeStyleAttribute("color: red; @import 'x'; margin: 0 !important"), "color: red; margin: 0 !important");
+  assert.equal(sanitizeStyleAttribute('content: "a;b"; color: red'), "color: red");
+  assert.equal(sanitizeStyleAttribute("/* c */ color: red"), "color: red");
+});
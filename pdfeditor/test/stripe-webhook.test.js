@@ -0,0 +1,151 @@
+// Stripe-signed fixture events (test/fixtures/stripe/*.json) through api/stripe-webhook.js against the in-memory
+// Supabase: duplicate deliveries, out-of-order events, abandoned claims and how the user is resolved.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import Stripe from "stripe";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+const SECRET = "whsec_test_secret";
+const stripe = new Stripe("sk_test_unused", { apiVersion: "2024-06-20" });
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/stripe/${name}.json`, import.meta.url), "utf8"));
+
+let db, handler;
+
+before(async () => {
+  db = await startFakeSupabase();
+  Object.assign(process.env, {
+    SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", STRIPE_SECRET_KEY: "sk_test_unused", STRIPE_WEBHOOK_SECRET: SECRET,
+  });
+  ({ default: handler } = await import("../api/stripe-webhook.js"));
+});
+after(() => db.close());
+
+beforeEach(() => {
+  for (const name of Object.keys(db.tables)) delete db.tables[name];
+  db.table("profiles").push(
+    { id: "user-1", email: "user-1@example.com", pro: false },
+    { id: "user-2", email: "user-2@example.com", pro: false, stripe_customer_id: "cus_456" },
+    { id: "user-3", email: "user-3@example.com", pro: false },
+    { id: "user-4", email: "someone-else@example.com", pro: false },
+  );
+});
+
+async function deliver(event, { secret = SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const res = mockRes();
+  await handler(mockReq({ body: payload, headers: { "stripe-signature": signature } }), res);
+  return res;
+}
+
+const profile = (id) => db.table("profiles").find((p) => p.id === id);
+const logged = (id) => db.table("billing_events").find((e) => e.id === id);
+
+test("rejects a payload not signed with the endpoint secret", async () => {
+  const res = await deliver(fixture("subscription-active"), { secret: "whsec_other" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(db.table("billing_events").length, 0);
+});
+
+test("a duplicate delivery is acknowledged without applying it again", async () => {
+  const event = fixture("subscription-active");
+  const first = await deliver(event);
+  assert.deepEqual(first.body, { received: true, outcome: "applied" });
+  assert.equal(profile("user-1").pro, true);
+  assert.equal(profile("user-1").stripe_subscription_id, "sub_123");
+
+  profile("user-1").pro = false; // a second apply would flip this back
+  const second = await deliver(event);
+  assert.equal(second.statusCode, 200);
+  assert.deepEqual(second.body, { received: true, duplicate: true, outcome: "applied" });
+  assert.equal(profile("user-1").pro, false);
+  assert.equal(db.table("billing_events").length, 1);
+});
+
+test("an event older than the stored state is logged as stale and changes nothing", async () => {
+  await deliver(fixture("subscription-canceled"));
+  assert.equal(profile("user-1").status, "canceled");
+
+  const older = await deliver(fixture("subscription-active"));
+  assert.deepEqual(older.body, { received: true, outcome: "stale" });
+  assert.equal(profile("user-1").status, "canceled");
+  assert.equal(profile("user-1").pro, false);
+  assert.equal(logged("evt_sub_active").outcome, "stale");
+});
+
+test("events from the same second end the same whichever arrives first", async () => {
+  const canceled = { ...fixture("subscription-canceled"), id: "evt_b", created: 1760000000 };
+  const active = { ...fixture("subscription-active"), id: "evt_a" };
+
+  assert.equal((await deliver(active)).body.outcome, "applied");
+  assert.equal((await deliver(canceled)).body.outcome, "applied");
+  assert.equal(profile("user-1").status, "canceled");
+
+  delete db.tables.billing_events;
+  Object.assign(profile("user-1"), { status: null, pro: false, stripe_event_at: null, stripe_event_id: null });
+  assert.equal((await deliver(canceled)).body.outcome, "applied");
+  assert.equal((await deliver(active)).body.outcome, "stale");
+  assert.equal(profile("user-1").status, "canceled");
+});
+
+test("an older and a newer event delivered together end on the newer one", async () => {
+  db.table("profiles").splice(0, 1); // no profile yet: both race to create it
+  const outcomes = await Promise.all([deliver(fixture("subscription-canceled")), deliver(fixture("subscription-active"))]);
+  assert.deepEqual(outcomes.map((r) => r.statusCode), [200, 200]);
+  assert.equal(profile("user-1").status, "canceled");
+  assert.equal(profile("user-1").stripe_event_id, "evt_sub_canceled");
+});
+
+test("a claim left processing past its lease is taken over; a fresh one is not", async () => {
+  const event = fixture("subscription-active");
+  const claim = { id: event.id, type: event.type, outcome: "processing", received_at: new Date().toISOString() };
+
+  db.table("billing_events").push({ ...claim, updated_at: new Date().toISOString() });
+  const busy = await deliver(event);
+  assert.deepEqual(busy.body, { received: true, duplicate: true, outcome: "processing" });
+  assert.equal(profile("user-1").pro, false);
+
+  logged(event.id).updated_at = new Date(Date.now() - 10 * 60_000).toISOString();
+  const retried = await deliver(event);
+  assert.deepEqual(retried.body, { received: true, outcome: "applied" });
+  assert.equal(profile("user-1").pro, true);
+  assert.equal(logged(event.id).outcome, "applied");
+});
+
+test("a failed attempt is retried", async () => {
+  const event = fixture("subscription-active");
+  db.table("billing_events").push({ id: event.id, type: event.type, outcome: "failed", updated_at: new Date().toISOString() });
+  const res = await deliver(event);
+  assert.deepEqual(res.body, { received: true, outcome: "applied" });
+});
+
+test("without user metadata the stored Stripe customer id decides, not the email", async () => {
+  const res = await deliver(fixture("subscription-no-metadata"));
+  assert.deepEqual(res.body, { received: true, outcome: "applied" });
+  assert.equal(profile("user-2").status, "past_due");
+  assert.equal(profile("user-4").status, undefined);
+  const entry = logged("evt_sub_customer_only");
+  assert.equal(entry.user_id, "user-2");
+  assert.equal(entry.detail.via, "stripe_customer_id");
+});
+
+test("checkout's client_reference_id wins over metadata and email", async () => {
+  const res = await deliver(fixture("checkout-completed"));
+  assert.deepEqual(res.body, { received: true, outcome: "applied" });
+  assert.equal(profile("user-3").pro, true);
+  assert.equal(profile("user-3").stripe_customer_id, "cus_789");
+  assert.equal(profile("user-1").pro, false);
+  assert.equal(logged("evt_checkout").detail.via, "client_reference_id");
+});
+
+test("an event that matches no user is kept as unmatched", async () => {
+  const event = fixture("subscription-no-metadata");
+  event.id = "evt_nobody";
+  event.data.object.customer = { id: "cus_unknown", object: "customer", email: "nobody@example.com" };
+  const res = await deliver(event);
+  assert.deepEqual(res.body, { received: true, outcome: "unmatched" });
+  assert.equal(logged("evt_nobody").outcome, "unmatched");
+});
@@ -0,0 +1,82 @@
+// Quotas under concurrency: generations are reserved before the model runs, so parallel requests can't all pass the
+// check. Uses the in-memory Supabase and the mock model provider.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+// 1×1 transparent PNG
+const IMAGE = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+
+let db, usage, generateCss;
+
+before(async () => {
+  db = await startFakeSupabase();
+  Object.assign(process.env, {
+    SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test", MODEL_PROVIDER: "mock", CACHE_BACKEND: "off",
+    FREE_DAILY_RUNS: "2", ANON_DAILY_RUNS: "1",
+  });
+  usage = await import("../api/_lib/usage.js");
+  ({ default: generateCss } = await import("../api/generate-css.js"));
+});
+after(() => db.close());
+beforeEach(() => {
+  db.tables.usage_events = [];
+  db.tables.profiles = [{ id: "user-1", email: "user-1@example.com", pro: false }];
+});
+
+const free = { ok: true, tier: "free", user: { id: "user-1" }, profile: null, ipHash: null };
+
+test("parallel reservations never exceed the quota", async () => {
+  const results = await Promise.all(Array.from({ length: 6 }, () => usage.reserveUsage(free, "generate-css")));
+  const held = results.filter((r) => r.ok);
+  assert.ok(held.length <= 2, `${held.length} reserved over a quota of 2`);
+  for (const refused of results.filter((r) => !r.ok)) {
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.error, "free_limit_reached");
+  }
+  assert.equal(db.tables.usage_events.length, held.length, "refused reservations were not taken back");
+
+  const later = [];
+  for (let i = held.length; i < 3; i++) later.push(await usage.reserveUsage(free, "generate-css"));
+  assert.deepEqual(later.map((r) => r.ok), [...Array(2 - held.length).fill(true), false]);
+});
+
+test("a reservation for several generations is all or nothing", async () => {
+  const refused = await usage.reserveUsage(free, "batch", 3);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.body.remaining, 2);
+  assert.equal(db.tables.usage_events.length, 0);
+
+  const held = await usage.reserveUsage(free, "batch", 2);
+  assert.equal(held.ok, true);
+  assert.equal(held.ids.length, 2);
+  assert.equal(held.remaining, 2);
+});
+
+test("settling fills the row in; releasing gives it back", async () => {
+  const [a, b] = [await usage.reserveUsage(free, "refine"), await usage.reserveUsage(free, "refine")];
+  await usage.settleUsage(a.ids[0], { model: "gpt-test", passes: 2, usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 } });
+  await usage.releaseUsage(b.ids);
+  assert.deepEqual(
+    db.tables.usage_events.map(({ model, passes, total_tokens }) => ({ model, passes, total_tokens })),
+    [{ model: "gpt-test", passes: 2, total_tokens: 7 }],
+  );
+  assert.equal((await usage.reserveUsage(free, "refine")).ok, true);
+});
+
+test("parallel anonymous generate-css requests get one run between them", async () => {
+  const call = async () => {
+    const res = mockRes();
+    await generateCss(mockReq({ body: { image: IMAGE, scope: ".card" }, headers: { "x-forwarded-for": "203.0.113.9" } }), res);
+    return res;
+  };
+  const responses = await Promise.all([call(), call(), call()]);
+  const ran = responses.filter((r) => r.statusCode === 200).length;
+  assert.ok(ran <= 1, `${ran} runs over a quota of 1`);
+  assert.equal(responses.length - ran, responses.filter((r) => r.statusCode === 429).length);
+  assert.equal(db.tables.usage_events.length, ran);
+  if (ran) assert.ok(db.tables.usage_events[0].model, "the run was not settled");
+  else assert.equal((await call()).statusCode, 200, "the refused burst left the quota free");
+});
@@ -0,0 +1,103 @@
+// Team workspaces against the in-memory Supabase: invites and their mail, seats handed out by syncSeats(), Pro revoked
+// with the seat, and libraries that don't leak between workspaces.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fake-supabase.js";
+
+const FUTURE = new Date(Date.now() + 30 * 86_400_000).toISOString();
+const user = (id) => ({ id, email: `${id}@example.com` });
+
+let db, ws, supabaseAdmin;
+
+before(async () => {
+  db = await startFakeSupabase();
+  Object.assign(process.env, { SUPABASE_URL: db.url, SUPABASE_SERVICE_ROLE_KEY: "test" });
+  ws = await import("../api/_lib/workspaces.js");
+  ({ supabaseAdmin } = await import("../api/_lib/supabase.js"));
+});
+after(() => db.close());
+beforeEach(() => {
+  for (const name of ["workspaces", "workspace_members", "profiles", "generations"]) db.tables[name] = [];
+  db.mail.length = 0;
+  db.users.clear();
+});
+
+// A workspace owned by `owner` with `members` invited and accepted in order, on an active subscription of `seats`.
+async function team(owner, members, seats) {
+  const { workspace } = await ws.createWorkspace(user(owner), "Acme");
+  for (const id of members) {
+    const { member } = await ws.inviteMember(workspace, `${id}@example.com`, owner);
+    assert.equal((await ws.acceptInvite(user(id), member.id)).ok, true);
+  }
+  Object.assign(db.tables.workspaces.find((w) => w.id === workspace.id), { seats, pro: true, status: "active", pro_until: FUTURE });
+  return ws.getWorkspace(workspace.id);
+}
+
+const profile = (id) => db.tables.profiles.find((p) => p.id === id);
+
+test("an invite is mailed: an invitation to a new address, a sign-in link to an existing account", async () => {
+  db.users.add("known@example.com");
+  const { workspace } = await ws.createWorkspace(user("owner"), "Acme");
+  const fresh = await ws.inviteMember(workspace, "New@Example.com", "owner", { redirectTo: "https://app.test/app.html#team" });
+  const known = await ws.inviteMember(workspace, "known@example.com", "owner", { redirectTo: "https://app.test/app.html#team" });
+  assert.equal(fresh.member.emailed, true);
+  assert.equal(known.member.emailed, true);
+  assert.deepEqual(db.mail.map(({ kind, email, redirectTo }) => ({ kind, email, redirectTo })), [
+    { kind: "invite", email: "new@example.com", redirectTo: "https://app.test/app.html#team" },
+    { kind: "signin", email: "known@example.com", redirectTo: "https://app.test/app.html#team" },
+  ]);
+  assert.equal(db.mail[0].data.workspace_name, "Acme");
+});
+
+test("accepted invites get seats in join order, up to the seats bought", async () => {
+  const workspace = await team("owner", ["m1", "m2", "m3"], 3);
+  const synced = await ws.syncSeats(workspace);
+  assert.deepEqual(synced.holders, ["owner", "m1", "m2"]);
+  assert.equal(profile("m2").pro, true);
+  assert.equal(profile("m2").workspace_id, workspace.id);
+  assert.equal(profile("m3"), undefined);
+  assert.deepEqual(db.tables.workspace_members.filter((m) => m.seat).map((m) => m.user_id), ["owner", "m1", "m2"]);
+});
+
+test("a member with Pro of their own takes no seat", async () => {
+  const workspace = await team("owner", ["m1", "m2", "m3"], 3);
+  db.tables.profiles.push({ id: "m1", pro: true, status: "active", pro_until: FUTURE, workspace_id: null });
+  const synced = await ws.syncSeats(workspace);
+  assert.deepEqual(synced.holders, ["owner", "m2", "m3"]);
+  assert.equal(profile("m1").workspace_id, null, "the member's own subscription is left alone");
+  assert.equal(db.tables.workspace_members.find((m) => m.user_id === "m1").seat, false);
+});
+
+test("removing a member revokes the Pro their seat gave and passes the seat on", async () => {
+  const workspace = await team("owner", ["m1", "m2"], 2);
+  await ws.syncSeats(workspace);
+  const m1 = db.tables.workspace_members.find((m) => m.user_id === "m1");
+  assert.equal((await ws.removeMember(user("m2"), m1.id)).status, 403, "only the owner or the member themselves");
+
+  assert.equal((await ws.removeMember(user("owner"), m1.id)).ok, true);
+  assert.equal(profile("m1").pro, false);
+  assert.equal(profile("m1").workspace_id, null);
+  assert.equal(profile("m2").pro, true);
+  assert.equal(db.tables.workspace_members.find((m) => m.user_id === "m2").seat, true);
+});
+
+test("a library shows its workspace's items and the user's own unshared ones, nothing from other workspaces", async () => {
+  const acme = await team("owner", ["m1"], 2);
+  const { workspace: other } = await ws.createWorkspace(user("rival"), "Other");
+  db.tables.generations.push(
+    { id: "acme-shared", user_id: "owner", workspace_id: acme.id },
+    { id: "m1-private", user_id: "m1", workspace_id: null },
+    { id: "owner-private", user_id: "owner", workspace_id: null },
+    { id: "other-shared", user_id: "rival", workspace_id: other.id },
+    { id: "m1-in-other", user_id: "m1", workspace_id: other.id },
+  );
+  const list = async (userId) => {
+    const { data, error } = await ws.inLibrary(supabaseAdmin.from("generations").select("id"), await ws.libraryFor(userId));
+    if (error) throw error;
+    return data.map((r) => r.id).sort();
+  };
+  assert.deepEqual(await list("m1"), ["acme-shared", "m1-private"]);
+  assert.deepEqual(await list("rival"), ["m1-in-other", "other-shared"]);
+  assert.deepEqual(await list("loner"), []);
+});